@@ -10,26 +10,109 @@
  * After running, a file called auth.json will be saved in the project root.
  * Then run the scraper with:
  *   node --experimental-sqlite index.js --url=... --auth-state=./auth.json
+ *
+ * For an auth pool, save each account under a name instead:
+ *   node save-auth.js --name=news1            → ./auth/news1.json
+ *   node save-auth.js --name=news2 --dir=./sessions
+ * and run the scraper with --auth-dir=./auth. Saving an expired account again
+ * puts it back into rotation.
+ *
+ * Log in with the identity the scraper will use (same --config / --device),
+ * or Instagram sees the session move to a different browser:
+ *   node save-auth.js --config=./scraper.yaml --device="Pixel 7"
+ *
+ * Or log straight into a persistent browser profile, which keeps everything
+ * Chromium stores (not just cookies and localStorage); nothing is written to
+ * auth.json and the scraper runs with --user-data-dir:
+ *   node save-auth.js --user-data-dir=./profiles/news1
+ *
+ * For a self-hosted clone or staging, the login page comes from the config
+ * file's `platform` section, or from --base-url:
+ *   node save-auth.js --base-url=https://staging.example.com
  */
 
 import { chromium } from 'playwright';
-import { writeFileSync } from 'fs';
+import { mkdirSync } from 'fs';
+import { parseArgs } from 'util';
+import { DEFAULT_AUTH_DIR, accountPath } from './src/auth/pool.js';
+import { writeAuthState } from './src/auth/state.js';
+import { loadConfig } from './src/config/index.js';
+import { resolveFingerprint, contextOptionsFor, describeFingerprint } from './src/browser/fingerprint.js';
+import { lockProfile } from './src/browser/profile.js';
+import { resolvePlatform, loginUrl, platformUrl } from './src/platform/index.js';
+
+const { values: args } = parseArgs({
+    options: {
+        name: { type: 'string' },
+        dir: { type: 'string', default: DEFAULT_AUTH_DIR },
+        config: { type: 'string' },
+        device: { type: 'string' },
+        'user-data-dir': { type: 'string' },
+        'base-url': { type: 'string' },
+    },
+});
+const userDataDir = args['user-data-dir'];
+
+if (userDataDir && args.name) {
+    console.error('Use either --name or --user-data-dir, not both');
+    process.exit(1);
+}
+
+let fingerprint;
+let platform;
+try {
+    const config = args.config ? await loadConfig(args.config) : {};
+    fingerprint = resolveFingerprint({ ...config.browser, ...(args.device && { device: args.device }) });
+    platform = resolvePlatform({ ...config.platform, ...(args['base-url'] && { baseUrl: args['base-url'] }) });
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
 
-const AUTH_FILE = './auth.json';
+let authFile = './auth.json';
+if (args.name) {
+    try {
+        authFile = accountPath(args.dir, args.name);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+    mkdirSync(args.dir, { recursive: true });
+}
 
-console.log('Opening Instagram login page...');
+console.log(`Browser identity: ${describeFingerprint(fingerprint)}`);
+console.log(`Opening login page ${loginUrl(platform)} ...`);
 console.log('Please log in manually in the browser window that appears.');
 console.log('Once you are fully logged in and can see your feed, press ENTER here to save the session.\n');
 
-const browser = await chromium.launch({ headless: false });
-const context = await browser.newContext({
-    viewport: { width: 1280, height: 900 },
-    userAgent:
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-});
+// The profile must not be open in a scraper run (or another save-auth) meanwhile
+let lock = null;
+if (userDataDir) {
+    try {
+        lock = await lockProfile(userDataDir);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
+
+let browser;
+let context;
+try {
+    if (userDataDir) {
+        context = await chromium.launchPersistentContext(userDataDir, { headless: false, ...contextOptionsFor(fingerprint) });
+        browser = context;
+    } else {
+        browser = await chromium.launch({ headless: false });
+        context = await browser.newContext(contextOptionsFor(fingerprint));
+    }
+} catch (err) {
+    await lock?.release();
+    throw err;
+}
 
-const page = await context.newPage();
-await page.goto('https://www.instagram.com/accounts/login/', { waitUntil: 'domcontentloaded' });
+const page = context.pages()[0] ?? await context.newPage();
+await page.goto(loginUrl(platform), { waitUntil: 'domcontentloaded' });
 
 // Wait for the user to log in manually
 await new Promise((resolve) => {
@@ -38,12 +121,23 @@ await new Promise((resolve) => {
     process.stdin.once('data', resolve);
 });
 
-// Save the browser session (cookies + localStorage)
-const storageState = await context.storageState();
-writeFileSync(AUTH_FILE, JSON.stringify(storageState, null, 2));
+// Save the browser session (cookies + localStorage), atomically and keeping the
+// previous file as .bak; a profile keeps it on disk itself
+if (!userDataDir) {
+    await writeAuthState(authFile, await context.storageState());
+}
 
 await browser.close();
+await lock?.release();
 
-console.log(`\n✅ Auth state saved to: ${AUTH_FILE}`);
+console.log(userDataDir ? `\n✅ Logged in to profile: ${userDataDir}` : `\n✅ Auth state saved to: ${authFile}`);
 console.log('\nNow run the scraper with:');
-console.log(`  node --experimental-sqlite index.js --url=https://www.instagram.com/username/ --auth-state=./auth.json`);
+const identity = `${args.config ? ` --config=${args.config}` : ''}${args.device ? ` --device="${args.device}"` : ''}${args['base-url'] ? ` --base-url=${platform.baseUrl}` : ''}`;
+const profileUrl = platformUrl('/username/', platform);
+if (userDataDir) {
+    console.log(`  node --experimental-sqlite index.js --url=${profileUrl} --user-data-dir=${userDataDir}${identity}`);
+} else if (args.name) {
+    console.log(`  node --experimental-sqlite index.js --url=${profileUrl} --auth-dir=${args.dir}${identity}`);
+} else {
+    console.log(`  node --experimental-sqlite index.js --url=${profileUrl} --auth-state=./auth.json${identity}`);
+}
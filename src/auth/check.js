@@ -0,0 +1,137 @@
+/**
+ * Auth Check
+ *
+ * Loads saved sessions in a headless browser and reports whether each one is
+ * still logged in, which user it belongs to, and when its key cookies expire
+ * (`auth check`). Nothing is written back.
+ */
+import { readFile } from 'fs/promises';
+import { createLogger } from '../logger/index.js';
+import { launchBrowser, openContext, navigateTo, closeBrowser } from '../browser/index.js';
+import { detectAuthWall } from '../browser/auth.js';
+import { cookieExpiries } from './cookies.js';
+import { DEFAULT_PLATFORM, platformUrl } from '../platform/index.js';
+
+const logger = createLogger('auth-check');
+
+// Relative to the platform's base URL
+const CURRENT_USER_PATH = '/api/v1/accounts/current_user/?edit=true';
+// Public web app id; the private API rejects requests without it
+const WEB_APP_ID = '936619743392459';
+
+/**
+ * @typedef {object} AuthReport
+ * @property {string} name        - account name, or the state file path
+ * @property {string} statePath
+ * @property {boolean} loggedIn
+ * @property {string|null} reason - why the session is not usable
+ * @property {{ id: string, username: string|null, fullName: string|null }|null} user
+ * @property {Array<{ name: string, present: boolean, expires: Date|null, expired: boolean }>} cookies
+ */
+
+/**
+ * Check saved sessions one by one in a shared headless browser.
+ *
+ * @param {Array<{ name: string, statePath: string }>} accounts
+ * @param {object} [opts]
+ * @param {boolean} [opts.headless=true]
+ * @param {function(string): object|null} [opts.proxyFor] - account name → proxy to check it through
+ * @param {object} [opts.fingerprint] - browser identity the sessions were saved with
+ * @param {object} [opts.platform] - site the sessions belong to
+ * @returns {Promise<AuthReport[]>}
+ */
+export async function checkAuthStates(accounts, { headless = true, proxyFor = null, fingerprint, platform = DEFAULT_PLATFORM } = {}) {
+    const reports = [];
+    const states = [];
+
+    // Unreadable files are reported without launching anything for them
+    for (const account of accounts) {
+        try {
+            states.push({ account, state: JSON.parse(await readFile(account.statePath, 'utf-8')) });
+        } catch (err) {
+            reports.push({ ...account, loggedIn: false, reason: `cannot read session: ${err.message}`, user: null, cookies: [] });
+        }
+    }
+    if (states.length === 0) return reports;
+
+    const launched = await launchBrowser({ headless, fingerprint });
+    try {
+        for (const { account, state } of states) {
+            logger.info(`Checking ${account.name}...`);
+            try {
+                reports.push(await checkOne(launched.browser, account, state, { proxy: proxyFor?.(account.name) ?? null, fingerprint, platform }));
+            } catch (err) {
+                // A timeout or a dead proxy says nothing about the other accounts
+                logger.warn(`Could not check ${account.name}: ${err.message.split('\n')[0]}`);
+                reports.push({
+                    ...account,
+                    loggedIn: false,
+                    reason: `check failed: ${err.message.split('\n')[0]}`,
+                    user: null,
+                    cookies: cookieExpiries(state, new Date(), platform),
+                });
+            }
+        }
+    } finally {
+        await closeBrowser(launched.browser);
+    }
+
+    return accounts.map(a => reports.find(r => r.statePath === a.statePath));
+}
+
+async function checkOne(browser, account, state, { proxy, fingerprint, platform }) {
+    const cookies = cookieExpiries(state, new Date(), platform);
+    const report = { ...account, loggedIn: false, reason: null, user: null, cookies };
+
+    const session = cookies.find(c => c.name === 'sessionid');
+    if (!session.present) {
+        report.reason = `no sessionid cookie for ${new URL(platform.baseUrl).hostname}`;
+        return report;
+    }
+    if (session.expired) {
+        report.reason = `sessionid cookie expired ${session.expires.toISOString()}`;
+        return report;
+    }
+
+    const { context, page } = await openContext(browser, { authStatePath: account.statePath, proxy, fingerprint });
+    try {
+        try {
+            await navigateTo(page, platformUrl('/', platform), { platform });
+        } catch (err) {
+            report.reason = err.code === 'AUTH_EXPIRED'
+                ? err.message.split('\n')[0]
+                : `navigation failed: ${err.message.split('\n')[0]}`;
+            return report;
+        }
+
+        const response = await page.evaluate(async ({ url, appId }) => {
+            const res = await fetch(url, { headers: { 'X-IG-App-ID': appId }, credentials: 'include' });
+            return { status: res.status, text: await res.text() };
+        }, { url: platformUrl(CURRENT_USER_PATH, platform), appId: WEB_APP_ID });
+
+        let body = null;
+        try {
+            body = JSON.parse(response.text);
+        } catch { /* HTML error page */ }
+
+        const wall = detectAuthWall(response.status, body);
+        if (wall) {
+            report.reason = wall;
+            return report;
+        }
+
+        const user = body?.user;
+        if (user) {
+            report.user = { id: String(user.pk ?? user.id), username: user.username ?? null, fullName: user.full_name ?? null };
+        } else {
+            // The home page loaded without a login wall; fall back to the cookie for the id
+            logger.warn(`Unexpected current_user response (HTTP ${response.status}) for ${account.name}`);
+            const id = state.cookies.find(c => c.name === 'ds_user_id')?.value;
+            report.user = id ? { id, username: null, fullName: null } : null;
+        }
+        report.loggedIn = true;
+        return report;
+    } finally {
+        await context.close();
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * Cookie Import
+ *
+ * Turns cookies exported from a desktop browser into a Playwright storage
+ * state (the format `--auth-state` and `--auth-dir` sessions use), so a
+ * session can be set up on a headless server without save-auth.js.
+ *
+ * Accepted inputs:
+ *   - Netscape `cookies.txt` (curl, wget, "Get cookies.txt" extensions)
+ *   - JSON cookie arrays from browser extensions (Cookie-Editor, EditThisCookie)
+ *   - Playwright storage state / Playwright cookie arrays (passed through)
+ */
+import { DEFAULT_PLATFORM, isPlatformCookieDomain } from '../platform/index.js';
+
+// Cookies an Instagram session depends on, most important first
+export const KEY_COOKIES = ['sessionid', 'ds_user_id', 'csrftoken'];
+
+const SAME_SITE = {
+    no_restriction: 'None',
+    none: 'None',
+    lax: 'Lax',
+    strict: 'Strict',
+};
+
+function toSameSite(value) {
+    return SAME_SITE[String(value ?? '').toLowerCase()] || 'Lax';
+}
+
+/**
+ * Parse a Netscape cookies.txt file.
+ * @param {string} text
+ * @returns {object[]} Playwright cookies
+ */
+export function parseNetscapeCookies(text) {
+    const cookies = [];
+    for (const [idx, rawLine] of text.split(/\r?\n/).entries()) {
+        // Only trim the start: an empty value leaves a trailing tab
+        let line = rawLine.trimStart();
+        let httpOnly = false;
+        if (line.startsWith('#HttpOnly_')) {
+            httpOnly = true;
+            line = line.slice('#HttpOnly_'.length);
+        } else if (!line.trim() || line.startsWith('#')) {
+            continue;
+        }
+
+        const fields = line.split('\t');
+        if (fields.length < 7) {
+            throw new Error(`cookies.txt line ${idx + 1}: expected 7 tab-separated fields, got ${fields.length}`);
+        }
+        const [domain, includeSubdomains, path, secure, expiry, name, ...value] = fields;
+        const expires = Number(expiry);
+
+        cookies.push({
+            name,
+            value: value.join('\t'),
+            domain: includeSubdomains === 'TRUE' && !domain.startsWith('.') ? `.${domain}` : domain,
+            path: path || '/',
+            expires: expires > 0 ? expires : -1,
+            httpOnly,
+            secure: secure === 'TRUE',
+            sameSite: 'Lax',
+        });
+    }
+    return cookies;
+}
+
+/**
+ * Convert one cookie from a browser-extension export (or Playwright) to a
+ * Playwright cookie.
+ */
+function fromJsonCookie(c, idx) {
+    if (!c || typeof c.name !== 'string' || typeof c.domain !== 'string') {
+        throw new Error(`cookie #${idx + 1}: missing name or domain`);
+    }
+
+    // Extensions use expirationDate (absent for session cookies); Playwright uses expires
+    const expires = c.expires ?? (c.session ? -1 : c.expirationDate);
+    let domain = c.domain;
+    if (c.hostOnly === true) domain = domain.replace(/^\./, '');
+    else if (c.hostOnly === false && !domain.startsWith('.')) domain = `.${domain}`;
+
+    return {
+        name: c.name,
+        value: String(c.value ?? ''),
+        domain,
+        path: c.path || '/',
+        expires: typeof expires === 'number' && expires > 0 ? Math.floor(expires) : -1,
+        httpOnly: !!c.httpOnly,
+        secure: !!c.secure,
+        sameSite: toSameSite(c.sameSite),
+    };
+}
+
+/**
+ * Parse exported cookies in any supported format.
+ * @param {string} text - file contents
+ * @returns {{ cookies: object[], origins: object[] }} Playwright storage state
+ */
+export function importCookies(text) {
+    const trimmed = text.trim();
+    if (!trimmed) throw new Error('cookie file is empty');
+
+    let state;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (err) {
+            throw new Error(`invalid JSON: ${err.message}`);
+        }
+        const list = Array.isArray(data) ? data : data.cookies;
+        if (!Array.isArray(list)) throw new Error('JSON has no cookie array');
+        state = {
+            cookies: list.map(fromJsonCookie),
+            origins: Array.isArray(data.origins) ? data.origins : [],
+        };
+    } else {
+        state = { cookies: parseNetscapeCookies(text), origins: [] };
+    }
+
+    if (state.cookies.length === 0) throw new Error('no cookies found');
+    return state;
+}
+
+/**
+ * Expiry of the key Instagram cookies in a storage state.
+ * @param {{ cookies: object[] }} state
+ * @param {Date} [now]
+ * @param {object} [platform] - only cookies sent to its host count
+ * @returns {Array<{ name: string, present: boolean, expires: Date|null, expired: boolean }>}
+ *          expires is null for missing and session cookies
+ */
+export function cookieExpiries(state, now = new Date(), platform = DEFAULT_PLATFORM) {
+    const igCookies = (state.cookies || []).filter(c => isPlatformCookieDomain(c.domain, platform));
+    return KEY_COOKIES.map((name) => {
+        const cookie = igCookies.find(c => c.name === name);
+        const expires = cookie && cookie.expires > 0 ? new Date(cookie.expires * 1000) : null;
+        return {
+            name,
+            present: !!cookie,
+            expires,
+            expired: !cookie || (!!expires && expires <= now),
+        };
+    });
+}
@@ -0,0 +1,230 @@
+/**
+ * Auth Pool
+ *
+ * Several logged-in sessions saved under names (`save-auth.js --name=<name>`
+ * writes `<dir>/<name>.json`). The orchestrator picks the least-used account
+ * that is available, and swaps accounts per target or when Instagram
+ * throttles one or shows it a login wall.
+ *
+ * Per-account state lives in `<dir>/.pool.json` so it carries over between
+ * runs:
+ *   - runs, posts stored, throttles and auth failures (usage stats)
+ *   - `cooldownUntil`: set after a throttle; the account is skipped until then
+ *   - `expiredAt`: set after a login wall; the account is skipped until its
+ *     session file is saved again
+ *   - `proxy`: the proxy the account was last assigned (--proxy-list), so it
+ *     keeps appearing from the same address
+ */
+import { readdir, readFile, writeFile, rename, stat } from 'fs/promises';
+import { join } from 'path';
+import { createLogger } from '../logger/index.js';
+
+const logger = createLogger('auth-pool');
+
+export const DEFAULT_AUTH_DIR = './auth';
+export const DEFAULT_COOLDOWN_MS = 30 * 60_000;
+
+const STATS_FILE = '.pool.json';
+const NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+/**
+ * Check an account name (used as a file name).
+ * @param {string} name
+ * @returns {string} the name
+ */
+export function validateAccountName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid account name "${name}": use letters, digits, ".", "_" or "-"`);
+    }
+    return name;
+}
+
+/**
+ * Session file for an account.
+ * @param {string} dir
+ * @param {string} name
+ */
+export function accountPath(dir, name) {
+    return join(dir, `${validateAccountName(name)}.json`);
+}
+
+/**
+ * Names of the accounts saved in `dir`, sorted.
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+export async function listAccounts(dir) {
+    const files = await readdir(dir).catch((err) => {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    });
+    return files
+        .filter(f => f.endsWith('.json') && NAME_PATTERN.test(f))
+        .map(f => f.slice(0, -'.json'.length))
+        .sort();
+}
+
+function emptyStats() {
+    return {
+        runs: 0,
+        postsStored: 0,
+        throttles: 0,
+        authFailures: 0,
+        lastUsedAt: null,
+        cooldownUntil: null,
+        expiredAt: null,
+        lastError: null,
+        proxy: null,
+    };
+}
+
+/**
+ * Open the pool of accounts saved in `dir`.
+ *
+ * @param {object} opts
+ * @param {string} [opts.dir='./auth']
+ * @param {string[]|null} [opts.names] - only use these accounts (--accounts)
+ * @param {number} [opts.cooldownMs=1800000] - how long a throttled account is rested
+ * @param {function(): number} [opts.now=Date.now] - clock (tests)
+ */
+export async function openAuthPool({ dir = DEFAULT_AUTH_DIR, names = null, cooldownMs = DEFAULT_COOLDOWN_MS, now = Date.now } = {}) {
+    const saved = await listAccounts(dir);
+    if (saved.length === 0) {
+        throw new Error(`No saved sessions in ${dir} — run: node save-auth.js --name=<account>`);
+    }
+
+    let accounts = saved;
+    if (names) {
+        const missing = names.filter(n => !saved.includes(n));
+        if (missing.length > 0) {
+            throw new Error(`Unknown account(s) in ${dir}: ${missing.join(', ')} (saved: ${saved.join(', ')})`);
+        }
+        accounts = names;
+    }
+
+    const statsFile = join(dir, STATS_FILE);
+    let stored = {};
+    try {
+        stored = JSON.parse(await readFile(statsFile, 'utf-8')).accounts || {};
+    } catch (err) {
+        if (err.code !== 'ENOENT') logger.warn(`Ignoring unreadable ${statsFile}: ${err.message}`);
+    }
+    const stats = Object.fromEntries(saved.map(n => [n, { ...emptyStats(), ...stored[n] }]));
+
+    // A session file saved after the login wall means the account was re-authenticated
+    const savedAt = new Map();
+    for (const name of accounts) {
+        savedAt.set(name, (await stat(accountPath(dir, name))).mtimeMs);
+    }
+
+    const isExpired = (name) => {
+        const { expiredAt } = stats[name];
+        return !!expiredAt && Date.parse(expiredAt) >= savedAt.get(name);
+    };
+    const isCooling = (name) => {
+        const { cooldownUntil } = stats[name];
+        return !!cooldownUntil && Date.parse(cooldownUntil) > now();
+    };
+    const isAvailable = (name) => !isExpired(name) && !isCooling(name);
+
+    const toAccount = (name) => ({ name, statePath: accountPath(dir, name) });
+
+    // Least-used first; ties go to the one idle the longest
+    const byUsage = (a, b) =>
+        stats[a].runs - stats[b].runs ||
+        (stats[a].lastUsedAt || '').localeCompare(stats[b].lastUsedAt || '') ||
+        a.localeCompare(b);
+
+    // Saves share one temp file, so they run one at a time
+    let saveChain = Promise.resolve();
+    function save() {
+        const next = saveChain.then(async () => {
+            const tmp = `${statsFile}.tmp`;
+            await writeFile(tmp, JSON.stringify({ updatedAt: new Date(now()).toISOString(), accounts: stats }, null, 2));
+            await rename(tmp, statsFile);
+        });
+        saveChain = next.catch(() => { });
+        return next;
+    }
+
+    return {
+        dir,
+        accounts,
+
+        /**
+         * Account to use next: the least-used available one. If every account
+         * is cooling down, the one whose cooldown ends first.
+         * @returns {{ name: string, statePath: string }|null} null if all have expired
+         */
+        pick() {
+            const available = accounts.filter(isAvailable).sort(byUsage);
+            if (available.length > 0) return toAccount(available[0]);
+
+            const cooling = accounts.filter(n => !isExpired(n))
+                .sort((a, b) => stats[a].cooldownUntil.localeCompare(stats[b].cooldownUntil));
+            if (cooling.length === 0) return null;
+            logger.warn(`All accounts are cooling down — using ${cooling[0]} (rested until ${stats[cooling[0]].cooldownUntil})`);
+            return toAccount(cooling[0]);
+        },
+
+        /**
+         * Another account that can take over from `current` right now.
+         * @returns {{ name: string, statePath: string }|null}
+         */
+        next(current) {
+            const available = accounts.filter(n => n !== current && isAvailable(n)).sort(byUsage);
+            return available.length > 0 ? toAccount(available[0]) : null;
+        },
+
+        isAvailable,
+
+        /** Whether any account is not expired (cooling down ones included). */
+        hasUsable() {
+            return accounts.some(n => !isExpired(n));
+        },
+
+        /**
+         * Record a finished run with `name`. A rate_limited run starts a
+         * cooldown and an auth_expired one marks the account expired.
+         * @param {string} name
+         * @param {object} summary - scrapeTarget() summary
+         */
+        async record(name, summary) {
+            const entry = stats[name];
+            const at = new Date(now());
+            entry.runs++;
+            entry.postsStored += summary.totalPostsStored || 0;
+            entry.lastUsedAt = at.toISOString();
+
+            if (summary.status === 'rate_limited') {
+                entry.throttles++;
+                entry.cooldownUntil = new Date(at.getTime() + cooldownMs).toISOString();
+                entry.lastError = summary.stopReason;
+                logger.warn(`Account ${name} throttled — cooling down until ${entry.cooldownUntil}`);
+            } else if (summary.status === 'auth_expired') {
+                entry.authFailures++;
+                entry.expiredAt = at.toISOString();
+                entry.lastError = summary.stopReason;
+                logger.error(`Account ${name} expired — re-save it with: node save-auth.js --name=${name}`);
+            }
+            await save();
+        },
+
+        /** account → proxy label, for the accounts that have one. */
+        proxyAssignments() {
+            return Object.fromEntries(accounts.filter(n => stats[n].proxy).map(n => [n, stats[n].proxy]));
+        },
+
+        /** Remember the proxy assigned to `name` (ignored for unknown names). */
+        async setProxy(name, label) {
+            if (!stats[name] || stats[name].proxy === label) return;
+            stats[name].proxy = label;
+            await save();
+        },
+
+        /** Per-account usage stats (a copy). */
+        stats() {
+            return Object.fromEntries(accounts.map(n => [n, { ...stats[n], expired: isExpired(n), coolingDown: isCooling(n) }]));
+        },
+    };
+}
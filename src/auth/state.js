@@ -0,0 +1,23 @@
+/**
+ * Session File Writes
+ *
+ * Session files hold live cookies, so they are replaced atomically (temp +
+ * rename) and the previous version is kept as `<file>.bak`. A crash mid-write
+ * or a bad refresh never leaves the scraper without a working session.
+ */
+import { writeFile, rename, copyFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Replace a Playwright storage state file, backing up the old one.
+ * @param {string} file
+ * @param {{ cookies: object[], origins: object[] }} state
+ */
+export async function writeAuthState(file, state) {
+    await mkdir(dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await writeFile(tmp, JSON.stringify(state, null, 2), { mode: 0o600 }); // session cookies — keep private
+    if (existsSync(file)) await copyFile(file, `${file}.bak`);
+    await rename(tmp, file);
+}
@@ -0,0 +1,139 @@
+/**
+ * Login Wall Detection
+ *
+ * navigateTo() checks for a login wall once, right after page.goto(). Sessions
+ * also expire mid-scroll, and then Instagram just stops returning posts. To
+ * catch that, an auth watch stays attached for the whole run and trips when:
+ *   - the main frame navigates to /accounts/login, /challenge/ or /checkpoint/
+ *     (the platform's challenge markers, see ../platform/index.js)
+ *   - a response redirects there
+ *   - an API response asks for a login or checkpoint (401, require_login,
+ *     login_required, checkpoint_required, challenge_required)
+ *   - the login form shows up on the page (checked per scroll batch)
+ *
+ * Errors for an expired session carry `code = 'AUTH_EXPIRED'`.
+ */
+import { createLogger } from '../logger/index.js';
+import { isGraphQLResponse } from '../network/interceptor.js';
+import { detectThrottle } from '../ratelimit/index.js';
+import { DEFAULT_PLATFORM } from '../platform/index.js';
+
+const logger = createLogger('auth');
+
+const AUTH_MESSAGES = new Set([
+    'login_required',
+    'checkpoint_required',
+    'challenge_required',
+    'checkpoint_challenge_required',
+]);
+
+/**
+ * Whether a URL is one of the platform's login/challenge pages.
+ * @param {string} url
+ * @param {object} [platform]
+ */
+export function isLoginWallUrl(url, platform = DEFAULT_PLATFORM) {
+    return typeof url === 'string' && platform.challengeMarkers.some(p => url.includes(p));
+}
+
+/**
+ * Recognize a "log in again" answer from an API response.
+ * Throttle responses sometimes also set require_login; those are left to
+ * the rate limiter.
+ * @param {number} status
+ * @param {any} body - parsed JSON body or null
+ * @returns {string|null} reason, or null if the session looks fine
+ */
+export function detectAuthWall(status, body) {
+    if (status === 401) return 'HTTP 401';
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return null;
+    if (detectThrottle(status, body)) return null;
+
+    if (AUTH_MESSAGES.has(body.message)) return body.message;
+    if (AUTH_MESSAGES.has(body.error_type)) return body.error_type;
+    if (body.checkpoint_url) return 'checkpoint_required';
+    if (body.require_login === true) return 'require_login';
+    return null;
+}
+
+/**
+ * Error for an expired or challenged session.
+ * @param {string} message
+ * @returns {Error} with code 'AUTH_EXPIRED'
+ */
+export function authExpiredError(message) {
+    return Object.assign(new Error(message), { code: 'AUTH_EXPIRED' });
+}
+
+/**
+ * Watch a page for login walls for the rest of a run.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} [opts]
+ * @param {object} [opts.platform] - login wall URLs and GraphQL patterns
+ * @returns {{ signal: AbortSignal, expired: boolean, reason: string|null,
+ *             check: function(): Promise<boolean>, trip: function(string): void, stop: function(): void }}
+ */
+export function createAuthWatch(page, { platform = DEFAULT_PLATFORM } = {}) {
+    const controller = new AbortController();
+    let reason = null;
+
+    function trip(why) {
+        if (controller.signal.aborted) return;
+        reason = why;
+        logger.error(`Auth expired: ${why}`);
+        controller.abort();
+    }
+
+    function onFrameNavigated(frame) {
+        if (frame === page.mainFrame() && isLoginWallUrl(frame.url(), platform)) {
+            trip(`redirected to ${frame.url()}`);
+        }
+    }
+
+    async function onResponse(response) {
+        try {
+            const status = response.status();
+            const location = response.headers()['location'];
+            if (status >= 300 && status < 400 && isLoginWallUrl(location, platform)) {
+                trip(`${response.url()} redirected to ${location}`);
+                return;
+            }
+
+            if (!isGraphQLResponse(response.url(), response.request().method(), platform)) return;
+            const contentType = response.headers()['content-type'] || '';
+            const body = contentType.includes('json') ? await response.json().catch(() => null) : null;
+
+            const found = detectAuthWall(status, body);
+            if (found) trip(`${found} from ${response.url()}`);
+        } catch (err) {
+            logger.debug(`Auth watch response error: ${err.message}`);
+        }
+    }
+
+    page.on('framenavigated', onFrameNavigated);
+    page.on('response', onResponse);
+
+    return {
+        signal: controller.signal,
+        get expired() {
+            return controller.signal.aborted;
+        },
+        get reason() {
+            return reason;
+        },
+        /** Look for the login form on the page. @returns {Promise<boolean>} expired */
+        async check() {
+            if (controller.signal.aborted) return true;
+            const hasLoginForm = await page.$('input[name="username"]').then(el => !!el).catch(() => false);
+            if (hasLoginForm) trip(`login form shown at ${page.url()}`);
+            return controller.signal.aborted;
+        },
+        /** Mark the session expired (e.g. after navigateTo() hit a login wall). */
+        trip,
+        stop() {
+            page.off('framenavigated', onFrameNavigated);
+            page.off('response', onResponse);
+        },
+    };
+}
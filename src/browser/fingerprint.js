@@ -0,0 +1,151 @@
+/**
+ * Browser Identity
+ *
+ * The user agent, viewport, locale and timezone the scraper presents. A
+ * session saved with one identity and replayed with another (or whose media
+ * is fetched with a third user agent) looks like a stolen cookie, so
+ * save-auth.js, the browser context and the downloader all take it from here.
+ *
+ * Set in the `browser` section of the config file:
+ *   device     - a Playwright device descriptor ("Pixel 7", "iPhone 13",
+ *                "Desktop Chrome", ...) as the starting point
+ *   userAgent, viewport ("412x915" or { width, height }), deviceScaleFactor,
+ *   isMobile, hasTouch, locale, timezone - override single values
+ */
+import { devices } from 'playwright';
+import { createLogger } from '../logger/index.js';
+
+const logger = createLogger('fingerprint');
+
+export const DEFAULT_FINGERPRINT = Object.freeze({
+    device: null,
+    userAgent:
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+    viewport: Object.freeze({ width: 1280, height: 900 }),
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    locale: 'en-US',
+    timezoneId: 'UTC',
+});
+
+const SETTINGS = ['device', 'userAgent', 'viewport', 'deviceScaleFactor', 'isMobile', 'hasTouch', 'locale', 'timezone'];
+
+function parseViewport(value) {
+    const match = typeof value === 'string' && value.trim().match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+    const viewport = match
+        ? { width: Number(match[1]), height: Number(match[2]) }
+        : { width: value?.width, height: value?.height };
+    if (!Number.isInteger(viewport.width) || !Number.isInteger(viewport.height) || viewport.width < 1 || viewport.height < 1) {
+        throw new Error(`browser.viewport: expected "WIDTHxHEIGHT" or { width, height }, got ${JSON.stringify(value)}`);
+    }
+    return viewport;
+}
+
+function parseBoolean(value, key) {
+    if (typeof value !== 'boolean') throw new Error(`browser.${key}: expected true or false`);
+    return value;
+}
+
+/**
+ * Build the browser identity from the config file's `browser` section.
+ * @param {object} [section]
+ * @returns {typeof DEFAULT_FINGERPRINT}
+ */
+export function resolveFingerprint(section = {}) {
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        throw new Error('browser: expected an object of settings');
+    }
+    const unknown = Object.keys(section).filter(k => !SETTINGS.includes(k));
+    if (unknown.length > 0) {
+        throw new Error(`browser: unknown setting(s) ${unknown.join(', ')} (known: ${SETTINGS.join(', ')})`);
+    }
+
+    const fp = { ...DEFAULT_FINGERPRINT };
+
+    if (section.device != null) {
+        const descriptor = devices[section.device];
+        if (!descriptor) {
+            throw new Error(`browser.device: unknown device "${section.device}" (Playwright names such as "Pixel 7", "iPhone 13", "Desktop Chrome")`);
+        }
+        if (descriptor.defaultBrowserType !== 'chromium') {
+            // The scraper always drives Chromium; only the headers and screen change
+            logger.warn(`Device "${section.device}" is a ${descriptor.defaultBrowserType} device — Chromium will present its user agent`);
+        }
+        Object.assign(fp, {
+            device: section.device,
+            userAgent: descriptor.userAgent,
+            viewport: { ...descriptor.viewport },
+            deviceScaleFactor: descriptor.deviceScaleFactor,
+            isMobile: descriptor.isMobile,
+            hasTouch: descriptor.hasTouch,
+        });
+    }
+
+    if (section.userAgent != null) {
+        if (typeof section.userAgent !== 'string' || !section.userAgent.trim()) {
+            throw new Error('browser.userAgent: expected a non-empty string');
+        }
+        fp.userAgent = section.userAgent.trim();
+    }
+    if (section.viewport != null) fp.viewport = parseViewport(section.viewport);
+    if (section.deviceScaleFactor != null) {
+        if (!(typeof section.deviceScaleFactor === 'number' && section.deviceScaleFactor > 0)) {
+            throw new Error('browser.deviceScaleFactor: expected a positive number');
+        }
+        fp.deviceScaleFactor = section.deviceScaleFactor;
+    }
+    if (section.isMobile != null) fp.isMobile = parseBoolean(section.isMobile, 'isMobile');
+    if (section.hasTouch != null) fp.hasTouch = parseBoolean(section.hasTouch, 'hasTouch');
+
+    if (section.locale != null) {
+        try {
+            [fp.locale] = Intl.getCanonicalLocales(String(section.locale));
+        } catch {
+            throw new Error(`browser.locale: invalid locale "${section.locale}" (e.g. en-US, de-DE)`);
+        }
+    }
+    if (section.timezone != null) {
+        try {
+            fp.timezoneId = new Intl.DateTimeFormat('en-US', { timeZone: String(section.timezone) }).resolvedOptions().timeZone;
+        } catch {
+            throw new Error(`browser.timezone: invalid IANA timezone "${section.timezone}" (e.g. UTC, Asia/Kolkata)`);
+        }
+    }
+
+    return fp;
+}
+
+/**
+ * Playwright newContext() options for an identity.
+ */
+export function contextOptionsFor(fp = DEFAULT_FINGERPRINT) {
+    return {
+        userAgent: fp.userAgent,
+        viewport: { ...fp.viewport },
+        deviceScaleFactor: fp.deviceScaleFactor,
+        isMobile: fp.isMobile,
+        hasTouch: fp.hasTouch,
+        locale: fp.locale,
+        timezoneId: fp.timezoneId,
+    };
+}
+
+/**
+ * Headers plain HTTP requests (media downloads) send to match the browser.
+ */
+export function requestHeaders(fp = DEFAULT_FINGERPRINT) {
+    const [language] = fp.locale.split('-');
+    return {
+        'User-Agent': fp.userAgent,
+        'Accept-Language': language === fp.locale ? fp.locale : `${fp.locale},${language};q=0.9`,
+    };
+}
+
+/**
+ * One-line summary for logs, e.g. "Pixel 7, 412x839, de-DE, Europe/Berlin".
+ */
+export function describeFingerprint(fp = DEFAULT_FINGERPRINT) {
+    const base = fp.device || (fp.userAgent === DEFAULT_FINGERPRINT.userAgent ? 'desktop Chrome (default)' : 'custom user agent');
+    return `${base}, ${fp.viewport.width}x${fp.viewport.height}${fp.isMobile ? ' mobile' : ''}, ${fp.locale}, ${fp.timezoneId}`;
+}
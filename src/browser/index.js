@@ -2,39 +2,75 @@ import { createLogger } from '../logger/index.js';
 import { chromium } from 'playwright';
 import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
+import { isLoginWallUrl, authExpiredError } from './auth.js';
+import { browserProxy } from '../proxy/index.js';
+import { DEFAULT_FINGERPRINT, contextOptionsFor } from './fingerprint.js';
+import { DEFAULT_RESOURCE_POLICY, applyResourcePolicy } from './resources.js';
+import { lockProfile } from './profile.js';
+import { DEFAULT_PLATFORM } from '../platform/index.js';
 
 const logger = createLogger('browser');
 
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu',
+];
+
 /**
  * Launch a Playwright Chromium browser instance.
+ * With `userDataDir`, Chromium runs on that persistent profile instead (see
+ * ./profile.js) and `authStatePath` is not used.
  * @param {object} options
  * @param {boolean} options.headless
  * @param {string|null} options.authStatePath - path to Playwright storage state JSON
+ * @param {string|null} [options.userDataDir] - persistent profile directory
+ * @param {object|null} [options.proxy] - parsed proxy (see ../proxy/index.js) for the first context
+ * @param {object} [options.fingerprint] - browser identity (see ./fingerprint.js)
+ * @param {string} [options.resourcePolicy='fonts'] - requests to block (see ./resources.js)
+ * @param {function(string): boolean} [options.allowResource] - URLs let through despite the policy
  * @returns {{ browser, context, page }}
  */
-export async function launchBrowser({ headless = true, authStatePath = null } = {}) {
+export async function launchBrowser({ headless = true, authStatePath = null, userDataDir = null, proxy = null, fingerprint = DEFAULT_FINGERPRINT, resourcePolicy = DEFAULT_RESOURCE_POLICY, allowResource = null } = {}) {
+    if (userDataDir) return launchProfile(userDataDir, { headless, proxy, fingerprint, resourcePolicy, allowResource });
+
     logger.info(`Launching Chromium (headless=${headless})`);
 
     const browser = await chromium.launch({
         headless,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu',
-        ],
+        args: LAUNCH_ARGS,
     });
 
-    const contextOptions = {
-        viewport: { width: 1280, height: 900 },
-        userAgent:
-            'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-        locale: 'en-US',
-        timezoneId: 'UTC',
-    };
+    const { context, page } = await openContext(browser, { authStatePath, proxy, fingerprint, resourcePolicy, allowResource });
+
+    logger.info('Browser launched successfully');
+    return { browser, context, page };
+}
+
+/**
+ * Open a fresh context + page in `browser`, logged in with the given auth
+ * state. Switching accounts (or proxies) means closing the old context and
+ * opening a new one.
+ * @param {import('playwright').Browser} browser
+ * @param {object} options
+ * @param {string|null} options.authStatePath - path to Playwright storage state JSON
+ * @param {object|null} [options.proxy] - parsed proxy (see ../proxy/index.js)
+ * @param {object} [options.fingerprint] - browser identity (see ./fingerprint.js)
+ * @param {string} [options.resourcePolicy='fonts'] - requests to block (see ./resources.js)
+ * @param {function(string): boolean} [options.allowResource] - URLs let through despite the policy
+ * @returns {{ context, page }}
+ */
+export async function openContext(browser, { authStatePath = null, proxy = null, fingerprint = DEFAULT_FINGERPRINT, resourcePolicy = DEFAULT_RESOURCE_POLICY, allowResource = null } = {}) {
+    const contextOptions = contextOptionsFor(fingerprint);
+
+    if (proxy) {
+        logger.info(`Using proxy: ${proxy.label}`);
+        contextOptions.proxy = browserProxy(proxy);
+    }
 
     // Load stored auth state if provided
     if (authStatePath && existsSync(authStatePath)) {
@@ -46,24 +82,71 @@ export async function launchBrowser({ headless = true, authStatePath = null } =
     const context = await browser.newContext(contextOptions);
 
     // Block unnecessary resources to speed up scraping
-    await context.route('**/*.{woff,woff2,ttf,otf}', (route) => route.abort());
+    await applyResourcePolicy(context, resourcePolicy, { allow: allowResource });
 
-    const page = await context.newPage();
+    const page = preparePage(await context.newPage());
+    return { context, page };
+}
+
+/**
+ * Launch Chromium on a persistent profile, holding the profile lock until
+ * closed. There is no separate Browser object for a persistent context, so
+ * the returned `browser` only closes it (and releases the lock); switching
+ * accounts or proxies means relaunching.
+ * @returns {{ browser: { close: function(): Promise<void> }, context, page, persistent: true }}
+ */
+async function launchProfile(userDataDir, { headless, proxy, fingerprint, resourcePolicy, allowResource }) {
+    const lock = await lockProfile(userDataDir);
+    logger.info(`Launching Chromium on profile ${userDataDir} (headless=${headless})`);
+    if (proxy) logger.info(`Using proxy: ${proxy.label}`);
+
+    let context;
+    try {
+        context = await chromium.launchPersistentContext(userDataDir, {
+            headless,
+            args: LAUNCH_ARGS,
+            ...contextOptionsFor(fingerprint),
+            ...(proxy && { proxy: browserProxy(proxy) }),
+        });
+        await applyResourcePolicy(context, resourcePolicy, { allow: allowResource });
+    } catch (err) {
+        await context?.close().catch(() => { });
+        await lock.release();
+        throw err;
+    }
+
+    // A persistent context opens with one blank tab
+    const page = preparePage(context.pages()[0] ?? await context.newPage());
+    const browser = {
+        close: async () => {
+            try {
+                await context.close();
+            } finally {
+                await lock.release();
+            }
+        },
+    };
 
+    logger.info('Browser launched successfully');
+    return { browser, context, page, persistent: true };
+}
+
+function preparePage(page) {
     // Disable default timeout — scraping sessions can run for hours.
     // Individual operations set their own timeouts where needed.
     page.setDefaultTimeout(0);
     page.setDefaultNavigationTimeout(60000); // 60s for navigation only
-
-    logger.info('Browser launched successfully');
-    return { browser, context, page };
+    return page;
 }
 
 /**
  * Navigate to a URL, wait for the page to be ready, and detect login walls.
- * Throws if Instagram redirects to the login page (auth state missing/expired).
+ * Throws (code 'AUTH_EXPIRED') if the site redirects to the login page
+ * (auth state missing/expired). See ./auth.js for detection during a run.
+ * @param {object} [opts]
+ * @param {object} [opts.platform] - login wall URLs (see ../platform/index.js)
  */
-export async function navigateTo(page, url) {
+export async function navigateTo(page, url, { platform = DEFAULT_PLATFORM } = {}) {
     logger.info(`Navigating to: ${url}`);
     await page.goto(url, {
         waitUntil: 'domcontentloaded',
@@ -75,14 +158,9 @@ export async function navigateTo(page, url) {
 
     // ── Login wall detection ──────────────────────────────────────────────────
     const currentUrl = page.url();
-    const isLoginWall =
-        currentUrl.includes('/accounts/login') ||
-        currentUrl.includes('/challenge/') ||
-        currentUrl.includes('/checkpoint/');
-
-    if (isLoginWall) {
-        throw new Error(
-            `Instagram redirected to login/challenge: ${currentUrl}\n` +
+    if (isLoginWallUrl(currentUrl, platform)) {
+        throw authExpiredError(
+            `Redirected to login/challenge: ${currentUrl}\n` +
             `Your auth session has expired or is missing.\n` +
             `Run: node save-auth.js  to re-authenticate, then retry with --auth-state=./auth.json`
         );
@@ -91,8 +169,8 @@ export async function navigateTo(page, url) {
     // Also check for login form on the page even if URL didn't change
     const hasLoginForm = await page.$('input[name="username"]').then(el => !!el).catch(() => false);
     if (hasLoginForm) {
-        throw new Error(
-            `Instagram is showing a login form at ${currentUrl}.\n` +
+        throw authExpiredError(
+            `The site is showing a login form at ${currentUrl}.\n` +
             `Run: node save-auth.js  to save your session, then retry with --auth-state=./auth.json`
         );
     }
@@ -0,0 +1,95 @@
+/**
+ * Persistent Browser Profiles
+ *
+ * With --user-data-dir, Chromium keeps its whole profile on disk: cookies,
+ * localStorage, IndexedDB and service workers. Storage-state files only
+ * carry the first two. Two Chromium processes must never share one profile,
+ * so every user (scraper runs, save-auth.js) takes `<dir>/.scraper.lock`
+ * first.
+ *
+ * The lock records pid and host. A lock whose process has exited (crash,
+ * kill -9) is stale and taken over; one held from another host is always
+ * respected, since its process cannot be checked from here. The lock is
+ * written to a temp file first and hard-linked into place, so nobody ever
+ * reads a half-written lock and mistakes it for a stale one.
+ */
+import { mkdir, writeFile, readFile, rm, link } from 'fs/promises';
+import { hostname } from 'os';
+import { join } from 'path';
+import { createLogger } from '../logger/index.js';
+
+const logger = createLogger('profile');
+
+export const PROFILE_LOCK_FILE = '.scraper.lock';
+
+// Tells apart the temp files of locks taken concurrently in one process
+let lockSeq = 0;
+
+async function readLock(file) {
+    try {
+        return JSON.parse(await readFile(file, 'utf-8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return undefined;
+        return null; // unreadable → treated as stale
+    }
+}
+
+function isHeld(holder) {
+    if (holder.host !== hostname()) return true;
+    try {
+        process.kill(holder.pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM'; // alive, but owned by another user
+    }
+}
+
+/**
+ * Take the lock on a profile directory (created if missing).
+ * @param {string} dir
+ * @returns {Promise<{ file: string, release: function(): Promise<void> }>}
+ * @throws code 'PROFILE_LOCKED' if another live process holds it
+ */
+export async function lockProfile(dir) {
+    await mkdir(dir, { recursive: true });
+    const file = join(dir, PROFILE_LOCK_FILE);
+    const owner = { pid: process.pid, host: hostname(), startedAt: new Date().toISOString() };
+    const tmp = `${file}.${process.pid}.${++lockSeq}.tmp`;
+    await writeFile(tmp, JSON.stringify(owner));
+    try {
+        return await takeLock(dir, file, tmp, owner);
+    } finally {
+        await rm(tmp, { force: true });
+    }
+}
+
+async function takeLock(dir, file, tmp, owner) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+            // Fails with EEXIST if the lock is there, and never exposes a partial file
+            await link(tmp, file);
+            return {
+                file,
+                /** Remove the lock, unless another process has since taken it over. */
+                release: async () => {
+                    const holder = await readLock(file);
+                    if (holder && holder.pid === owner.pid && holder.host === owner.host) await rm(file, { force: true });
+                },
+            };
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+
+        const holder = await readLock(file);
+        if (holder === undefined) continue; // released in between
+        if (holder && isHeld(holder)) {
+            throw Object.assign(
+                new Error(`Browser profile ${dir} is in use by pid ${holder.pid} on ${holder.host} (since ${holder.startedAt})`),
+                { code: 'PROFILE_LOCKED' }
+            );
+        }
+        logger.warn(`Taking over stale profile lock ${file}${holder ? ` (pid ${holder.pid} has exited)` : ''}`);
+        await rm(file, { force: true });
+    }
+    throw Object.assign(new Error(`Could not lock browser profile ${dir}`), { code: 'PROFILE_LOCKED' });
+}
@@ -0,0 +1,58 @@
+/**
+ * Resource Policy
+ *
+ * Which requests the page may make (--block-resources). Posts come from
+ * GraphQL/XHR responses and media is downloaded separately, so the images
+ * and videos Chromium loads while scrolling are mostly wasted bandwidth.
+ *
+ *   none    - load everything
+ *   fonts   - block web fonts (default)
+ *   media   - also block images and video
+ *   strict  - also block stylesheets, text tracks, manifests and other
+ *             non-essential requests
+ *
+ * Documents, scripts, XHR/fetch, event streams and websockets are never
+ * blocked: the feed and the GraphQL traffic depend on them.
+ */
+
+export const RESOURCE_POLICIES = ['none', 'fonts', 'media', 'strict'];
+export const DEFAULT_RESOURCE_POLICY = 'fonts';
+
+const BLOCKED_TYPES = {
+    none: [],
+    fonts: ['font'],
+    media: ['font', 'image', 'media'],
+    strict: ['font', 'image', 'media', 'stylesheet', 'texttrack', 'manifest', 'other'],
+};
+
+/**
+ * Resource types (Playwright's request.resourceType()) a policy blocks.
+ * @param {string} policy
+ * @returns {Set<string>}
+ */
+export function blockedTypes(policy) {
+    if (!RESOURCE_POLICIES.includes(policy)) {
+        throw new Error(`Unknown resource policy "${policy}" (expected ${RESOURCE_POLICIES.join(', ')})`);
+    }
+    return new Set(BLOCKED_TYPES[policy]);
+}
+
+/**
+ * Route the context's requests through the policy.
+ * @param {import('playwright').BrowserContext} context
+ * @param {string} policy
+ * @param {object} [opts]
+ * @param {function(string): boolean} [opts.allow] - let this URL through even if its type is blocked
+ */
+export async function applyResourcePolicy(context, policy, { allow = null } = {}) {
+    const blocked = blockedTypes(policy);
+    if (blocked.size === 0) return;
+
+    await context.route('**/*', (route) => {
+        const request = route.request();
+        if (blocked.has(request.resourceType()) && !allow?.(request.url())) {
+            return route.abort('blockedbyclient');
+        }
+        return route.continue();
+    });
+}
@@ -0,0 +1,53 @@
+/**
+ * Config File
+ *
+ * Settings too structured for CLI flags live in one JSON or YAML file
+ * (--config). Each top-level key is a section read by one module:
+ *
+ *   browser:              # browser identity, see ../browser/fingerprint.js
+ *     device: Pixel 7
+ *     locale: de-DE
+ *     timezone: Europe/Berlin
+ *
+ *   platform:             # site to scrape, see ../platform/index.js
+ *     baseUrl: https://staging.example.com
+ *
+ *   mapping:              # where posts and fields are, see ../network/mapping.js
+ *     - operation: PolarisProfilePostsQuery
+ *       posts: $.data.user.edges[*].node
+ *
+ * Unknown sections are rejected so a typo does not silently fall back to the
+ * defaults.
+ */
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import YAML from 'yaml';
+
+export const CONFIG_SECTIONS = ['browser', 'platform', 'mapping'];
+
+/**
+ * Load and check a config file.
+ * @param {string} file - .json, .yaml or .yml
+ * @returns {Promise<object>} sections present in the file
+ */
+export async function loadConfig(file) {
+    const text = await readFile(file, 'utf-8');
+    const ext = extname(file).toLowerCase();
+
+    let raw;
+    try {
+        raw = ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${file}: ${err.message}`);
+    }
+    raw ??= {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`${file}: expected an object of sections (${CONFIG_SECTIONS.join(', ')})`);
+    }
+
+    const unknown = Object.keys(raw).filter(k => !CONFIG_SECTIONS.includes(k));
+    if (unknown.length > 0) {
+        throw new Error(`${file}: unknown section(s) ${unknown.join(', ')} (known: ${CONFIG_SECTIONS.join(', ')})`);
+    }
+    return raw;
+}
@@ -1,126 +1,120 @@
 /**
- * JSON Database Module
- * Stores scraped data into a JSON file instead of MySQL
+ * Storage Module — pluggable adapter facade
+ *
+ * Every storage backend is a module exporting the same functions:
+ *
+ *   initDb(conf)                               → connection handle
+ *   createSession(conn, { sourceUrl, startDateFilter, endDateFilter, keywords }) → session id
+ *   finalizeSession(conn, sessionId, { status, processed, skipped, errors, durationSeconds, coveredFrom, coveredTo })
+ *                                              status: 'completed' (default) | 'interrupted' | 'rate_limited' | 'auth_expired'
+ *   insertPost(conn, sessionId, postData)      → true if new, false if duplicate
+ *   updateImagePath(conn, postIdentifier, imagePath) → false if the post is not stored
+ *   addPendingJob(conn, { postIdentifier, sessionId, sourceUrl, payload })  (upsert)
+ *   removePendingJob(conn, postIdentifier)
+ *   getPendingJobs(conn)                       → [{ postIdentifier, sessionId, sourceUrl, payload, createdAt }]
+ *   recordFailure(conn, { postIdentifier, kind, sessionId, sourceUrl, postUrl, mediaUrl,
+ *                         errorClass, errorMessage, payload })   (upsert by id + kind; bumps attempts)
+ *                                              kind: 'media' | 'insert'
+ *   resolveFailure(conn, postIdentifier, kind)
+ *   getFailures(conn)                          → [{ ...recordFailure fields, attempts, firstFailedAt, lastFailedAt }]
+ *   getLatestPublishedAt(conn, sourceUrl)      → Date|null
+ *   getCoverage(conn, sourceUrl)               → [{ from: Date, to: Date, keywords }] archived intervals
+ *   getPostDateRange(conn, sessionId)          → { oldest, newest }
+ *   closeDb(conn)
+ *
+ * This module exposes that same API. initDb() picks the adapter named by
+ * `storage` and returns a handle that the other functions route through,
+ * so the orchestrator never needs to know which backend is active.
+ * Adapters are imported lazily — a JSON run never loads the MySQL driver.
  */
+import { createLogger } from '../logger/index.js';
 
-import fs from "fs/promises";
-import path from "path";
-import { createLogger } from "../logger/index.js";
+const logger = createLogger('storage');
 
-const logger = createLogger("json-db");
-
-const OUTPUT_FILE = path.resolve("scraped_posts.json");
-
-let db = {
-  sessions: [],
-  posts: []
+const ADAPTERS = {
+    mysql: () => import('./mysql.js'),
+    json: () => import('./json.js'),
+    sqlite: () => import('./sqlite.js'),
 };
 
-// ─── Init ─────────────────────────────────────
-
-export async function initDb() {
-  try {
-    const data = await fs.readFile(OUTPUT_FILE, "utf-8");
-    db = JSON.parse(data);
-    logger.info("Loaded existing JSON database");
-  } catch {
-    await saveDb();
-    logger.info("Created new JSON database");
-  }
-}
+export const STORAGE_BACKENDS = Object.keys(ADAPTERS);
 
-// ─── Save helper ──────────────────────────────
+/**
+ * Open the configured storage backend.
+ *
+ * @param {object} conf
+ * @param {string} [conf.storage='mysql'] - one of STORAGE_BACKENDS
+ * @param {object} [conf.mysql]           - mysql adapter config { host, port, user, password, database }
+ * @param {object} [conf.json]            - json adapter config { path }
+ * @param {object} [conf.sqlite]          - sqlite adapter config { path }
+ * @returns {Promise<{ backend: string, adapter: object, conn: any }>}
+ */
+export async function initDb({ storage = 'mysql', ...conf } = {}) {
+    const load = ADAPTERS[storage];
+    if (!load) {
+        throw new Error(
+            `Unknown storage backend "${storage}". Expected one of: ${STORAGE_BACKENDS.join(', ')}`
+        );
+    }
+
+    logger.info(`Using ${storage} storage`);
+    const adapter = await load();
+    const conn = await adapter.initDb(conf[storage] || {});
+    return { backend: storage, adapter, conn };
+}
 
-async function saveDb() {
-  await fs.writeFile(OUTPUT_FILE, JSON.stringify(db, null, 2));
+export async function createSession(db, opts) {
+    return db.adapter.createSession(db.conn, opts);
 }
 
-// ─── Sessions ─────────────────────────────────
-
-export async function createSession(_, { sourceUrl, startDateFilter, endDateFilter }) {
-  const sessionId = db.sessions.length + 1;
-
-  db.sessions.push({
-    id: sessionId,
-    source_url: sourceUrl,
-    start_date_filter: startDateFilter,
-    end_date_filter: endDateFilter,
-    start_time: new Date().toISOString(),
-    end_time: null,
-    total_posts_processed: 0,
-    total_posts_skipped: 0,
-    total_errors: 0
-  });
-
-  await saveDb();
-  return sessionId;
+export async function finalizeSession(db, sessionId, stats) {
+    return db.adapter.finalizeSession(db.conn, sessionId, stats);
 }
 
-export async function finalizeSession(_, sessionId, stats) {
-  const session = db.sessions.find(s => s.id === sessionId);
-  if (!session) return;
+export async function insertPost(db, sessionId, postData) {
+    return db.adapter.insertPost(db.conn, sessionId, postData);
+}
 
-  session.end_time = new Date().toISOString();
-  session.total_posts_processed = stats.processed;
-  session.total_posts_skipped = stats.skipped;
-  session.total_errors = stats.errors;
-  session.duration_seconds = stats.durationSeconds;
+export async function updateImagePath(db, postIdentifier, imagePath) {
+    return db.adapter.updateImagePath(db.conn, postIdentifier, imagePath);
+}
 
-  await saveDb();
+export async function addPendingJob(db, job) {
+    return db.adapter.addPendingJob(db.conn, job);
 }
 
-// ─── Posts ───────────────────────────────────
-
-export async function insertPost(_, sessionId, postData) {
-  const exists = db.posts.find(p => p.post_identifier === postData.postIdentifier);
-  if (exists) return false;
-
-  db.posts.push({
-    scrape_session_id: sessionId,
-    post_identifier: postData.postIdentifier,
-    source_url: postData.sourceUrl || null,
-    post_url: postData.postUrl || null,
-    media_type: postData.mediaType || "image",
-    image_url: postData.imageUrl || null,
-    image_path: postData.imagePath || null,
-    video_url: postData.videoUrl || null,
-    caption_text: postData.captionText || "",
-    comments: postData.comments || [],
-    published_at: postData.publishedAt
-      ? postData.publishedAt.toISOString()
-      : null,
-    created_at: new Date().toISOString()
-  });
-
-  await saveDb();
-  return true;
+export async function removePendingJob(db, postIdentifier) {
+    return db.adapter.removePendingJob(db.conn, postIdentifier);
 }
 
-// ─── Queries ─────────────────────────────────
+export async function getPendingJobs(db) {
+    return db.adapter.getPendingJobs(db.conn);
+}
 
-export async function getLatestPublishedAt(_, sourceUrl) {
-  const posts = db.posts
-    .filter(p => p.source_url === sourceUrl && p.published_at)
-    .sort((a, b) => new Date(b.published_at) - new Date(a.published_at));
+export async function recordFailure(db, failure) {
+    return db.adapter.recordFailure(db.conn, failure);
+}
 
-  return posts.length ? new Date(posts[0].published_at) : null;
+export async function resolveFailure(db, postIdentifier, kind) {
+    return db.adapter.resolveFailure(db.conn, postIdentifier, kind);
 }
 
-export async function getPostDateRange(_, sessionId) {
-  const posts = db.posts.filter(p => p.scrape_session_id === sessionId);
+export async function getFailures(db) {
+    return db.adapter.getFailures(db.conn);
+}
 
-  if (!posts.length) return { oldest: null, newest: null };
+export async function getLatestPublishedAt(db, sourceUrl) {
+    return db.adapter.getLatestPublishedAt(db.conn, sourceUrl);
+}
 
-  const sorted = posts.sort(
-    (a, b) => new Date(a.published_at) - new Date(b.published_at)
-  );
+export async function getCoverage(db, sourceUrl) {
+    return db.adapter.getCoverage(db.conn, sourceUrl);
+}
 
-  return {
-    oldest: new Date(sorted[0].published_at),
-    newest: new Date(sorted[sorted.length - 1].published_at)
-  };
+export async function getPostDateRange(db, sessionId) {
+    return db.adapter.getPostDateRange(db.conn, sessionId);
 }
 
-export async function closeDb() {
-  logger.info("JSON database saved");
-}
\ No newline at end of file
+export async function closeDb(db) {
+    if (db) await db.adapter.closeDb(db.conn);
+}
@@ -0,0 +1,378 @@
+/**
+ * JSON Storage Adapter
+ * Stores scraped data in a single JSON file — no database server required.
+ * Selected with --storage=json; see ./index.js for the adapter interface.
+ *
+ * Durability model:
+ *   scraped_posts.json          ← snapshot, only ever replaced atomically
+ *   scraped_posts.json.journal  ← append-only NDJSON, one line per mutation
+ *
+ * Mutations append a single journal line instead of rewriting the snapshot.
+ * Compaction writes the snapshot to a temp file, fsyncs it and renames it over
+ * the old one, then truncates the journal. initDb() replays the journal on top
+ * of the snapshot; replay is idempotent and a torn final line (process killed
+ * mid-append) is ignored.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { createLogger } from "../logger/index.js";
+
+const logger = createLogger("json-db");
+
+const DEFAULT_FILE = "scraped_posts.json";
+const COMPACT_EVERY = 500; // journal entries between automatic compactions
+
+let outputFile = path.resolve(DEFAULT_FILE);
+let journalFile = `${outputFile}.journal`;
+let journal = null; // FileHandle opened in append mode
+let journalEntries = 0;
+let writeChain = Promise.resolve();
+
+let db = {
+  sessions: [],
+  posts: [],
+  pending_jobs: [],
+  failed_jobs: []
+};
+let postIds = new Set();
+
+// ─── Init ─────────────────────────────────────
+
+export async function initDb({ path: filePath = DEFAULT_FILE } = {}) {
+  if (journal) await closeDb();
+
+  outputFile = path.resolve(filePath);
+  journalFile = `${outputFile}.journal`;
+  db = { sessions: [], posts: [], pending_jobs: [], failed_jobs: [] };
+
+  try {
+    db = JSON.parse(await fs.readFile(outputFile, "utf-8"));
+    db.pending_jobs ||= []; // snapshots written before pending jobs existed
+    db.failed_jobs ||= [];
+    logger.info("Loaded existing JSON database");
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      // Never overwrite an archive we could not read
+      throw new Error(`Cannot read JSON database ${outputFile}: ${err.message}`);
+    }
+    logger.info("Creating new JSON database");
+  }
+  postIds = new Set(db.posts.map(p => p.post_identifier));
+
+  const replayed = await replayJournal();
+  if (replayed > 0) {
+    logger.info(`Recovered ${replayed} journal entr${replayed === 1 ? "y" : "ies"} from ${journalFile}`);
+  }
+
+  journal = await fs.open(journalFile, "a");
+  await compact();
+
+  return outputFile;
+}
+
+// ─── Journal helpers ──────────────────────────
+
+/**
+ * Apply one journal entry to the in-memory db. Must be idempotent: entries
+ * can be replayed on top of a snapshot that already contains them if the
+ * process died between the snapshot rename and the journal truncate.
+ */
+function applyEntry({ op, data }) {
+  switch (op) {
+    case "session":
+      if (!db.sessions.some(s => s.id === data.id)) db.sessions.push(data);
+      break;
+    case "finalize": {
+      const session = db.sessions.find(s => s.id === data.id);
+      if (session) Object.assign(session, data);
+      break;
+    }
+    case "post":
+      if (!postIds.has(data.post_identifier)) {
+        postIds.add(data.post_identifier);
+        db.posts.push(data);
+      }
+      break;
+    case "job":
+      db.pending_jobs = db.pending_jobs.filter(j => j.post_identifier !== data.post_identifier);
+      db.pending_jobs.push(data);
+      break;
+    case "job_done":
+      db.pending_jobs = db.pending_jobs.filter(j => j.post_identifier !== data.post_identifier);
+      break;
+    case "image_path": {
+      const post = db.posts.find(p => p.post_identifier === data.post_identifier);
+      if (post) post.image_path = data.image_path;
+      break;
+    }
+    case "failure":
+      db.failed_jobs = db.failed_jobs.filter(f => !sameFailure(f, data));
+      db.failed_jobs.push(data);
+      break;
+    case "failure_done":
+      db.failed_jobs = db.failed_jobs.filter(f => !sameFailure(f, data));
+      break;
+    default:
+      throw new Error(`Unknown journal op "${op}"`);
+  }
+}
+
+function sameFailure(a, b) {
+  return a.post_identifier === b.post_identifier && a.kind === b.kind;
+}
+
+async function replayJournal() {
+  let text;
+  try {
+    text = await fs.readFile(journalFile, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+
+  const lines = text.split("\n");
+  let applied = 0;
+
+  lines.forEach((line, idx) => {
+    if (!line.trim()) return;
+    try {
+      applyEntry(JSON.parse(line));
+      applied++;
+    } catch (err) {
+      // The last line is torn when the process was killed mid-append
+      const isLast = lines.slice(idx + 1).every(l => !l.trim());
+      if (isLast) {
+        logger.warn(`Ignoring torn final journal line (${line.length} bytes)`);
+      } else {
+        logger.warn(`Skipping unreadable journal line ${idx + 1}: ${err.message}`);
+      }
+    }
+  });
+
+  return applied;
+}
+
+/**
+ * Serialize all file writes so journal appends and compactions never interleave.
+ */
+function enqueueWrite(fn) {
+  const next = writeChain.then(fn);
+  writeChain = next.catch(() => { });
+  return next;
+}
+
+async function appendEntry(op, data) {
+  applyEntry({ op, data });
+  await enqueueWrite(() => journal.write(JSON.stringify({ op, data }) + "\n"));
+
+  if (++journalEntries >= COMPACT_EVERY) await compact();
+}
+
+/**
+ * Write a fresh snapshot via temp file + fsync + rename, then empty the journal.
+ */
+function compact() {
+  return enqueueWrite(async () => {
+    const tmpFile = `${outputFile}.tmp`;
+    const tmp = await fs.open(tmpFile, "w");
+    try {
+      await tmp.writeFile(JSON.stringify(db, null, 2));
+      await tmp.sync();
+    } finally {
+      await tmp.close();
+    }
+    await fs.rename(tmpFile, outputFile);
+
+    await journal.truncate(0);
+    await journal.sync();
+    journalEntries = 0;
+  });
+}
+
+// ─── Sessions ─────────────────────────────────
+
+export async function createSession(_, { sourceUrl, startDateFilter, endDateFilter, keywords = null }) {
+  const sessionId = db.sessions.length + 1;
+
+  await appendEntry("session", {
+    id: sessionId,
+    source_url: sourceUrl,
+    start_date_filter: startDateFilter,
+    end_date_filter: endDateFilter,
+    start_time: new Date().toISOString(),
+    end_time: null,
+    status: "running",
+    total_posts_processed: 0,
+    total_posts_skipped: 0,
+    total_errors: 0,
+    keyword_filter: keywords
+  });
+
+  return sessionId;
+}
+
+export async function finalizeSession(_, sessionId, stats) {
+  if (!db.sessions.some(s => s.id === sessionId)) return;
+
+  await appendEntry("finalize", {
+    id: sessionId,
+    end_time: new Date().toISOString(),
+    status: stats.status || "completed",
+    total_posts_processed: stats.processed,
+    total_posts_skipped: stats.skipped,
+    total_errors: stats.errors,
+    duration_seconds: stats.durationSeconds,
+    covered_from: stats.coveredFrom ? stats.coveredFrom.toISOString() : null,
+    covered_to: stats.coveredTo ? stats.coveredTo.toISOString() : null
+  });
+}
+
+// ─── Posts ───────────────────────────────────
+
+export async function insertPost(_, sessionId, postData) {
+  if (postIds.has(postData.postIdentifier)) return false;
+
+  await appendEntry("post", {
+    scrape_session_id: sessionId,
+    post_identifier: postData.postIdentifier,
+    source_url: postData.sourceUrl || null,
+    post_url: postData.postUrl || null,
+    media_type: postData.mediaType || "image",
+    image_url: postData.imageUrl || null,
+    image_path: postData.imagePath || null,
+    video_url: postData.videoUrl || null,
+    caption_text: postData.captionText || "",
+    comments: postData.comments || [],
+    published_at: postData.publishedAt
+      ? postData.publishedAt.toISOString()
+      : null,
+    created_at: new Date().toISOString()
+  });
+
+  return true;
+}
+
+export async function updateImagePath(_, postIdentifier, imagePath) {
+  if (!postIds.has(postIdentifier)) return false;
+
+  await appendEntry("image_path", { post_identifier: postIdentifier, image_path: imagePath });
+  return true;
+}
+
+// ─── Pending jobs ────────────────────────────
+
+export async function addPendingJob(_, { postIdentifier, sessionId, sourceUrl, payload }) {
+  const existing = db.pending_jobs.find(j => j.post_identifier === postIdentifier);
+
+  await appendEntry("job", {
+    post_identifier: postIdentifier,
+    scrape_session_id: sessionId,
+    source_url: sourceUrl || null,
+    payload,
+    created_at: existing ? existing.created_at : new Date().toISOString()
+  });
+}
+
+export async function removePendingJob(_, postIdentifier) {
+  if (!db.pending_jobs.some(j => j.post_identifier === postIdentifier)) return;
+  await appendEntry("job_done", { post_identifier: postIdentifier });
+}
+
+export async function getPendingJobs() {
+  return db.pending_jobs.map(j => ({
+    postIdentifier: j.post_identifier,
+    sessionId: j.scrape_session_id,
+    sourceUrl: j.source_url,
+    payload: j.payload,
+    createdAt: new Date(j.created_at)
+  }));
+}
+
+// ─── Dead letters ────────────────────────────
+
+export async function recordFailure(_, f) {
+  const existing = db.failed_jobs.find(j => sameFailure(j, { post_identifier: f.postIdentifier, kind: f.kind }));
+  const now = new Date().toISOString();
+
+  await appendEntry("failure", {
+    post_identifier: f.postIdentifier,
+    kind: f.kind,
+    scrape_session_id: f.sessionId ?? null,
+    source_url: f.sourceUrl || null,
+    post_url: f.postUrl || null,
+    media_url: f.mediaUrl || null,
+    error_class: f.errorClass || null,
+    error_message: f.errorMessage || null,
+    attempts: existing ? existing.attempts + 1 : 1,
+    first_failed_at: existing ? existing.first_failed_at : now,
+    last_failed_at: now,
+    payload: f.payload
+  });
+}
+
+export async function resolveFailure(_, postIdentifier, kind) {
+  const key = { post_identifier: postIdentifier, kind };
+  if (!db.failed_jobs.some(f => sameFailure(f, key))) return;
+  await appendEntry("failure_done", key);
+}
+
+export async function getFailures() {
+  return [...db.failed_jobs]
+    .sort((a, b) => a.first_failed_at.localeCompare(b.first_failed_at))
+    .map(f => ({
+      postIdentifier: f.post_identifier,
+      kind: f.kind,
+      sessionId: f.scrape_session_id,
+      sourceUrl: f.source_url,
+      postUrl: f.post_url,
+      mediaUrl: f.media_url,
+      errorClass: f.error_class,
+      errorMessage: f.error_message,
+      attempts: f.attempts,
+      firstFailedAt: new Date(f.first_failed_at),
+      lastFailedAt: new Date(f.last_failed_at),
+      payload: f.payload
+    }));
+}
+
+// ─── Queries ─────────────────────────────────
+
+export async function getLatestPublishedAt(_, sourceUrl) {
+  const posts = db.posts
+    .filter(p => p.source_url === sourceUrl && p.published_at)
+    .sort((a, b) => new Date(b.published_at) - new Date(a.published_at));
+
+  return posts.length ? new Date(posts[0].published_at) : null;
+}
+
+export async function getCoverage(_, sourceUrl) {
+  return db.sessions
+    .filter(s => s.source_url === sourceUrl && s.covered_from && s.covered_to)
+    .map(s => ({ from: new Date(s.covered_from), to: new Date(s.covered_to), keywords: s.keyword_filter ?? null }))
+    .sort((a, b) => a.from - b.from);
+}
+
+export async function getPostDateRange(_, sessionId) {
+  const posts = db.posts.filter(p => p.scrape_session_id === sessionId);
+
+  if (!posts.length) return { oldest: null, newest: null };
+
+  const sorted = posts.sort(
+    (a, b) => new Date(a.published_at) - new Date(b.published_at)
+  );
+
+  return {
+    oldest: new Date(sorted[0].published_at),
+    newest: new Date(sorted[sorted.length - 1].published_at)
+  };
+}
+
+export async function closeDb() {
+  if (!journal) return;
+
+  await compact();
+  await journal.close();
+  journal = null;
+  logger.info("JSON database saved");
+}
@@ -0,0 +1,362 @@
+/**
+ * MySQL Storage Adapter
+ *
+ * Connection pool (mysql2/promise) with automatic database + schema creation.
+ * Selected with --storage=mysql; see ./index.js for the adapter interface.
+ *
+ * All DATETIME columns are stored in UTC (pool timezone 'Z').
+ */
+import mysql from 'mysql2/promise';
+import { createLogger } from '../logger/index.js';
+
+const logger = createLogger('mysql-db');
+
+const SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS scrape_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        source_url VARCHAR(500),
+        start_date_filter DATE,
+        end_date_filter DATE,
+        start_time DATETIME,
+        end_time DATETIME NULL,
+        status VARCHAR(20) NULL,
+        total_posts_processed INT DEFAULT 0,
+        total_posts_skipped INT DEFAULT 0,
+        total_errors INT DEFAULT 0,
+        duration_seconds INT NULL,
+        covered_from DATETIME NULL,
+        covered_to DATETIME NULL,
+        keyword_filter TEXT NULL,
+        KEY idx_source_coverage (source_url(191), covered_from)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    `CREATE TABLE IF NOT EXISTS posts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        scrape_session_id INT,
+        post_identifier VARCHAR(255) NOT NULL,
+        source_url VARCHAR(500),
+        post_url VARCHAR(500),
+        media_type VARCHAR(20) DEFAULT 'image',
+        image_url TEXT,
+        image_path VARCHAR(500),
+        video_url TEXT,
+        caption_text TEXT,
+        comments_json JSON,
+        published_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_post_identifier (post_identifier),
+        KEY idx_source_published (source_url(191), published_at),
+        KEY idx_session (scrape_session_id),
+        FOREIGN KEY (scrape_session_id) REFERENCES scrape_sessions(id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    `CREATE TABLE IF NOT EXISTS pending_jobs (
+        post_identifier VARCHAR(255) NOT NULL PRIMARY KEY,
+        scrape_session_id INT,
+        source_url VARCHAR(500),
+        payload_json JSON NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_pending_created (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    `CREATE TABLE IF NOT EXISTS failed_jobs (
+        post_identifier VARCHAR(255) NOT NULL,
+        kind VARCHAR(20) NOT NULL,
+        scrape_session_id INT,
+        source_url VARCHAR(500),
+        post_url VARCHAR(500),
+        media_url TEXT,
+        error_class VARCHAR(100),
+        error_message TEXT,
+        attempts INT NOT NULL DEFAULT 1,
+        first_failed_at DATETIME NOT NULL,
+        last_failed_at DATETIME NOT NULL,
+        payload_json JSON NOT NULL,
+        PRIMARY KEY (post_identifier, kind),
+        KEY idx_failed_first (first_failed_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+];
+
+// Columns added after the first release; created on existing databases by initDb()
+const ADDED_COLUMNS = [
+    { table: 'scrape_sessions', column: 'covered_from', ddl: 'DATETIME NULL' },
+    { table: 'scrape_sessions', column: 'covered_to', ddl: 'DATETIME NULL' },
+    { table: 'scrape_sessions', column: 'status', ddl: 'VARCHAR(20) NULL' },
+    { table: 'scrape_sessions', column: 'keyword_filter', ddl: 'TEXT NULL' },
+];
+
+// ─── Init ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the database (if missing), open a pool and ensure the schema exists.
+ *
+ * @param {object} conf
+ * @param {string} conf.host
+ * @param {number} conf.port
+ * @param {string} conf.user
+ * @param {string} conf.password
+ * @param {string} conf.database
+ * @returns {Promise<import('mysql2/promise').Pool>}
+ */
+export async function initDb({ host, port, user, password, database }) {
+    const bootstrap = await mysql.createConnection({ host, port, user, password });
+    try {
+        await bootstrap.query(
+            `CREATE DATABASE IF NOT EXISTS \`${database}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`
+        );
+    } finally {
+        await bootstrap.end();
+    }
+
+    const pool = mysql.createPool({
+        host,
+        port,
+        user,
+        password,
+        database,
+        connectionLimit: 10,
+        timezone: 'Z',
+        charset: 'utf8mb4',
+    });
+
+    for (const stmt of SCHEMA) {
+        await pool.query(stmt);
+    }
+    await addMissingColumns(pool, database);
+
+    logger.info(`Connected to MySQL ${host}:${port}/${database} (schema ready)`);
+    return pool;
+}
+
+/**
+ * Bring tables created by older versions up to date.
+ * MySQL has no ADD COLUMN IF NOT EXISTS, so check information_schema first.
+ */
+async function addMissingColumns(pool, database) {
+    const [rows] = await pool.query(
+        `SELECT TABLE_NAME AS tableName, COLUMN_NAME AS columnName
+         FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = ?`,
+        [database]
+    );
+    const existing = new Set(rows.map(r => `${r.tableName}.${r.columnName}`));
+
+    for (const { table, column, ddl } of ADDED_COLUMNS) {
+        if (existing.has(`${table}.${column}`)) continue;
+        await pool.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${ddl}`);
+        logger.info(`Added column ${table}.${column}`);
+    }
+}
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+
+export async function createSession(pool, { sourceUrl, startDateFilter, endDateFilter, keywords = null }) {
+    const [result] = await pool.query(
+        `INSERT INTO scrape_sessions (source_url, start_date_filter, end_date_filter, start_time, status, keyword_filter)
+         VALUES (?, ?, ?, ?, 'running', ?)`,
+        [sourceUrl, startDateFilter, endDateFilter, new Date(), keywords && JSON.stringify(keywords)]
+    );
+    return result.insertId;
+}
+
+export async function finalizeSession(pool, sessionId, stats) {
+    await pool.query(
+        `UPDATE scrape_sessions
+         SET end_time = ?, status = ?, total_posts_processed = ?, total_posts_skipped = ?,
+             total_errors = ?, duration_seconds = ?, covered_from = ?, covered_to = ?
+         WHERE id = ?`,
+        [
+            new Date(),
+            stats.status || 'completed',
+            stats.processed,
+            stats.skipped,
+            stats.errors,
+            stats.durationSeconds,
+            stats.coveredFrom || null,
+            stats.coveredTo || null,
+            sessionId,
+        ]
+    );
+}
+
+// ─── Posts ────────────────────────────────────────────────────────────────────
+
+/**
+ * Insert a post. Idempotent via the UNIQUE post_identifier key.
+ * @returns {Promise<boolean>} true if a new row was written, false for duplicates
+ */
+export async function insertPost(pool, sessionId, postData) {
+    const [result] = await pool.query(
+        `INSERT IGNORE INTO posts
+         (scrape_session_id, post_identifier, source_url, post_url, media_type,
+          image_url, image_path, video_url, caption_text, comments_json, published_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            sessionId,
+            postData.postIdentifier,
+            postData.sourceUrl || null,
+            postData.postUrl || null,
+            postData.mediaType || 'image',
+            postData.imageUrl || null,
+            postData.imagePath || null,
+            postData.videoUrl || null,
+            postData.captionText || '',
+            JSON.stringify(postData.comments || []),
+            postData.publishedAt || null,
+        ]
+    );
+    return result.affectedRows === 1;
+}
+
+/**
+ * Point a stored post at its media file (after a retried download).
+ * @returns {Promise<boolean>} false if no such post is stored
+ */
+export async function updateImagePath(pool, postIdentifier, imagePath) {
+    const [result] = await pool.query(
+        `UPDATE posts SET image_path = ? WHERE post_identifier = ?`,
+        [imagePath, postIdentifier]
+    );
+    return result.affectedRows > 0;
+}
+
+// ─── Pending jobs ─────────────────────────────────────────────────────────────
+
+/**
+ * Persist an accepted post before it is downloaded/stored (upsert by id).
+ */
+export async function addPendingJob(pool, { postIdentifier, sessionId, sourceUrl, payload }) {
+    await pool.query(
+        `INSERT INTO pending_jobs (post_identifier, scrape_session_id, source_url, payload_json, created_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE scrape_session_id = VALUES(scrape_session_id),
+             source_url = VALUES(source_url), payload_json = VALUES(payload_json)`,
+        [postIdentifier, sessionId, sourceUrl || null, JSON.stringify(payload), new Date()]
+    );
+}
+
+export async function removePendingJob(pool, postIdentifier) {
+    await pool.query(`DELETE FROM pending_jobs WHERE post_identifier = ?`, [postIdentifier]);
+}
+
+/**
+ * Jobs left over from earlier runs, oldest first.
+ * @returns {Promise<Array<{postIdentifier, sessionId, sourceUrl, payload, createdAt}>>}
+ */
+export async function getPendingJobs(pool) {
+    const [rows] = await pool.query(`SELECT * FROM pending_jobs ORDER BY created_at, post_identifier`);
+    return rows.map(r => ({
+        postIdentifier: r.post_identifier,
+        sessionId: r.scrape_session_id,
+        sourceUrl: r.source_url,
+        // mysql2 parses JSON columns itself; older servers return text
+        payload: typeof r.payload_json === 'string' ? JSON.parse(r.payload_json) : r.payload_json,
+        createdAt: r.created_at,
+    }));
+}
+
+// ─── Dead letters ─────────────────────────────────────────────────────────────
+
+/**
+ * Record a failed media download or insert (upsert by id + kind; repeated
+ * failures bump attempts and last_failed_at).
+ */
+export async function recordFailure(pool, f) {
+    const now = new Date();
+    await pool.query(
+        `INSERT INTO failed_jobs
+         (post_identifier, kind, scrape_session_id, source_url, post_url, media_url,
+          error_class, error_message, attempts, first_failed_at, last_failed_at, payload_json)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE attempts = attempts + 1,
+             scrape_session_id = VALUES(scrape_session_id), source_url = VALUES(source_url),
+             post_url = VALUES(post_url), media_url = VALUES(media_url),
+             error_class = VALUES(error_class), error_message = VALUES(error_message),
+             last_failed_at = VALUES(last_failed_at), payload_json = VALUES(payload_json)`,
+        [
+            f.postIdentifier,
+            f.kind,
+            f.sessionId ?? null,
+            f.sourceUrl || null,
+            f.postUrl || null,
+            f.mediaUrl || null,
+            f.errorClass || null,
+            f.errorMessage || null,
+            now,
+            now,
+            JSON.stringify(f.payload),
+        ]
+    );
+}
+
+export async function resolveFailure(pool, postIdentifier, kind) {
+    await pool.query(`DELETE FROM failed_jobs WHERE post_identifier = ? AND kind = ?`, [postIdentifier, kind]);
+}
+
+/**
+ * Unresolved failures, oldest first.
+ * @returns {Promise<Array<{postIdentifier, kind, sessionId, sourceUrl, postUrl, mediaUrl,
+ *          errorClass, errorMessage, attempts, firstFailedAt, lastFailedAt, payload}>>}
+ */
+export async function getFailures(pool) {
+    const [rows] = await pool.query(`SELECT * FROM failed_jobs ORDER BY first_failed_at, post_identifier`);
+    return rows.map(r => ({
+        postIdentifier: r.post_identifier,
+        kind: r.kind,
+        sessionId: r.scrape_session_id,
+        sourceUrl: r.source_url,
+        postUrl: r.post_url,
+        mediaUrl: r.media_url,
+        errorClass: r.error_class,
+        errorMessage: r.error_message,
+        attempts: r.attempts,
+        firstFailedAt: r.first_failed_at,
+        lastFailedAt: r.last_failed_at,
+        payload: typeof r.payload_json === 'string' ? JSON.parse(r.payload_json) : r.payload_json,
+    }));
+}
+
+// ─── Queries ──────────────────────────────────────────────────────────────────
+
+/**
+ * Latest published_at stored for a source (or across all sources if omitted).
+ * @returns {Promise<Date|null>}
+ */
+export async function getLatestPublishedAt(pool, sourceUrl) {
+    const [rows] = sourceUrl
+        ? await pool.query(
+            `SELECT MAX(published_at) AS latest FROM posts WHERE source_url = ?`,
+            [sourceUrl]
+        )
+        : await pool.query(`SELECT MAX(published_at) AS latest FROM posts`);
+    return rows[0]?.latest || null;
+}
+
+/**
+ * Time intervals archived by finished sessions of a source.
+ * @returns {Promise<Array<{from: Date, to: Date, keywords: string[]|null}>>}
+ */
+export async function getCoverage(pool, sourceUrl) {
+    const [rows] = await pool.query(
+        `SELECT covered_from, covered_to, keyword_filter FROM scrape_sessions
+         WHERE source_url = ? AND covered_from IS NOT NULL AND covered_to IS NOT NULL
+         ORDER BY covered_from`,
+        [sourceUrl]
+    );
+    return rows.map(r => ({ from: r.covered_from, to: r.covered_to, keywords: r.keyword_filter ? JSON.parse(r.keyword_filter) : null }));
+}
+
+export async function getPostDateRange(pool, sessionId) {
+    const [rows] = await pool.query(
+        `SELECT MIN(published_at) AS oldest, MAX(published_at) AS newest
+         FROM posts WHERE scrape_session_id = ?`,
+        [sessionId]
+    );
+    return {
+        oldest: rows[0]?.oldest || null,
+        newest: rows[0]?.newest || null,
+    };
+}
+
+export async function closeDb(pool) {
+    if (pool) {
+        await pool.end();
+        logger.info('MySQL pool closed');
+    }
+}
@@ -0,0 +1,416 @@
+/**
+ * SQLite Storage Adapter
+ *
+ * Embedded single-file database via Node's built-in `node:sqlite`
+ * (Node ≥ 22.5; run with --experimental-sqlite on versions that still need it).
+ * Selected with --storage=sqlite; see ./index.js for the adapter interface.
+ *
+ * Timestamps are stored as ISO-8601 UTC strings, which sort lexicographically,
+ * so MAX()/MIN() over published_at are plain index lookups.
+ */
+import { mkdirSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { createLogger } from '../logger/index.js';
+
+const logger = createLogger('sqlite-db');
+
+const DEFAULT_FILE = 'data/scraper.sqlite';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS scrape_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_url TEXT,
+        start_date_filter TEXT,
+        end_date_filter TEXT,
+        start_time TEXT NOT NULL,
+        end_time TEXT,
+        status TEXT,
+        total_posts_processed INTEGER DEFAULT 0,
+        total_posts_skipped INTEGER DEFAULT 0,
+        total_errors INTEGER DEFAULT 0,
+        duration_seconds INTEGER,
+        covered_from TEXT,
+        covered_to TEXT,
+        keyword_filter TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scrape_session_id INTEGER REFERENCES scrape_sessions(id),
+        post_identifier TEXT NOT NULL,
+        source_url TEXT,
+        post_url TEXT,
+        media_type TEXT DEFAULT 'image',
+        image_url TEXT,
+        image_path TEXT,
+        video_url TEXT,
+        caption_text TEXT,
+        published_at TEXT,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        username TEXT,
+        text TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS pending_jobs (
+        post_identifier TEXT PRIMARY KEY,
+        scrape_session_id INTEGER,
+        source_url TEXT,
+        payload_json TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS failed_jobs (
+        post_identifier TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        scrape_session_id INTEGER,
+        source_url TEXT,
+        post_url TEXT,
+        media_url TEXT,
+        error_class TEXT,
+        error_message TEXT,
+        attempts INTEGER NOT NULL DEFAULT 1,
+        first_failed_at TEXT NOT NULL,
+        last_failed_at TEXT NOT NULL,
+        payload_json TEXT NOT NULL,
+        PRIMARY KEY (post_identifier, kind)
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS uq_posts_identifier ON posts(post_identifier);
+    CREATE INDEX IF NOT EXISTS idx_posts_source_published ON posts(source_url, published_at);
+    CREATE INDEX IF NOT EXISTS idx_posts_session_published ON posts(scrape_session_id, published_at);
+    CREATE INDEX IF NOT EXISTS idx_comments_post ON comments(post_id);
+`;
+
+// Columns added after the first release; created on existing files by initDb()
+const ADDED_COLUMNS = [
+    { table: 'scrape_sessions', column: 'covered_from', ddl: 'TEXT' },
+    { table: 'scrape_sessions', column: 'covered_to', ddl: 'TEXT' },
+    { table: 'scrape_sessions', column: 'status', ddl: 'TEXT' },
+    { table: 'scrape_sessions', column: 'keyword_filter', ddl: 'TEXT' },
+];
+
+// Indexes over ADDED_COLUMNS must be created after the columns exist
+const POST_MIGRATION_SCHEMA = `
+    CREATE INDEX IF NOT EXISTS idx_sessions_source_coverage ON scrape_sessions(source_url, covered_from);
+`;
+
+// ─── Init ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Open (or create) the SQLite file and ensure the schema exists.
+ *
+ * @param {object} [conf]
+ * @param {string} [conf.path='data/scraper.sqlite'] - database file (':memory:' for tests)
+ * @returns {Promise<import('node:sqlite').DatabaseSync>}
+ */
+export async function initDb({ path = DEFAULT_FILE } = {}) {
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = await import('node:sqlite'));
+    } catch {
+        throw new Error(
+            `SQLite storage requires Node.js ≥ 22.5 with node:sqlite (running ${process.version}). ` +
+            `Use --experimental-sqlite on older 22.x releases, or pick --storage=json|mysql`
+        );
+    }
+
+    const file = path === ':memory:' ? path : resolve(path);
+    if (file !== ':memory:') mkdirSync(dirname(file), { recursive: true });
+
+    const conn = new DatabaseSync(file);
+    conn.exec('PRAGMA journal_mode = WAL');
+    conn.exec('PRAGMA foreign_keys = ON');
+    conn.exec(SCHEMA);
+    addMissingColumns(conn);
+    conn.exec(POST_MIGRATION_SCHEMA);
+
+    logger.info(`Opened SQLite database: ${file}`);
+    return conn;
+}
+
+/**
+ * Bring files created by older versions up to date.
+ */
+function addMissingColumns(conn) {
+    for (const { table, column, ddl } of ADDED_COLUMNS) {
+        const columns = conn.prepare(`PRAGMA table_info(${table})`).all();
+        if (columns.some(c => c.name === column)) continue;
+        conn.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+        logger.info(`Added column ${table}.${column}`);
+    }
+}
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+
+export async function createSession(conn, { sourceUrl, startDateFilter, endDateFilter, keywords = null }) {
+    const result = conn
+        .prepare(
+            `INSERT INTO scrape_sessions (source_url, start_date_filter, end_date_filter, start_time, status, keyword_filter)
+             VALUES (?, ?, ?, ?, 'running', ?)`
+        )
+        .run(sourceUrl, startDateFilter, endDateFilter, new Date().toISOString(), keywords && JSON.stringify(keywords));
+    return Number(result.lastInsertRowid);
+}
+
+export async function finalizeSession(conn, sessionId, stats) {
+    conn
+        .prepare(
+            `UPDATE scrape_sessions
+             SET end_time = ?, status = ?, total_posts_processed = ?, total_posts_skipped = ?,
+                 total_errors = ?, duration_seconds = ?, covered_from = ?, covered_to = ?
+             WHERE id = ?`
+        )
+        .run(
+            new Date().toISOString(),
+            stats.status || 'completed',
+            stats.processed,
+            stats.skipped,
+            stats.errors,
+            stats.durationSeconds ?? null,
+            stats.coveredFrom ? stats.coveredFrom.toISOString() : null,
+            stats.coveredTo ? stats.coveredTo.toISOString() : null,
+            sessionId
+        );
+}
+
+// ─── Posts ────────────────────────────────────────────────────────────────────
+
+/**
+ * Insert a post and its comments in one transaction.
+ * Idempotent via the unique index on post_identifier.
+ * @returns {Promise<boolean>} true if a new row was written, false for duplicates
+ */
+export async function insertPost(conn, sessionId, postData) {
+    conn.exec('BEGIN');
+    try {
+        const result = conn
+            .prepare(
+                `INSERT OR IGNORE INTO posts
+                 (scrape_session_id, post_identifier, source_url, post_url, media_type,
+                  image_url, image_path, video_url, caption_text, published_at, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+            )
+            .run(
+                sessionId,
+                postData.postIdentifier,
+                postData.sourceUrl || null,
+                postData.postUrl || null,
+                postData.mediaType || 'image',
+                postData.imageUrl || null,
+                postData.imagePath || null,
+                postData.videoUrl || null,
+                postData.captionText || '',
+                postData.publishedAt ? postData.publishedAt.toISOString() : null,
+                new Date().toISOString()
+            );
+
+        if (result.changes === 0) {
+            conn.exec('ROLLBACK');
+            return false;
+        }
+
+        const postId = Number(result.lastInsertRowid);
+        const insertComment = conn.prepare(
+            `INSERT INTO comments (post_id, position, username, text) VALUES (?, ?, ?, ?)`
+        );
+        (postData.comments || []).forEach((c, idx) => {
+            insertComment.run(postId, idx, c.username || null, c.text || '');
+        });
+
+        conn.exec('COMMIT');
+        return true;
+    } catch (err) {
+        conn.exec('ROLLBACK');
+        throw err;
+    }
+}
+
+/**
+ * Comments for a stored post, in their original order.
+ * @returns {Promise<Array<{username: string|null, text: string}>>}
+ */
+export async function getComments(conn, postIdentifier) {
+    return conn
+        .prepare(
+            `SELECT c.username, c.text FROM comments c
+             JOIN posts p ON p.id = c.post_id
+             WHERE p.post_identifier = ?
+             ORDER BY c.position`
+        )
+        .all(postIdentifier)
+        .map(({ username, text }) => ({ username, text }));
+}
+
+/**
+ * Point a stored post at its media file (after a retried download).
+ * @returns {Promise<boolean>} false if no such post is stored
+ */
+export async function updateImagePath(conn, postIdentifier, imagePath) {
+    const result = conn
+        .prepare(`UPDATE posts SET image_path = ? WHERE post_identifier = ?`)
+        .run(imagePath, postIdentifier);
+    return result.changes > 0;
+}
+
+// ─── Pending jobs ─────────────────────────────────────────────────────────────
+
+/**
+ * Persist an accepted post before it is downloaded/stored (upsert by id).
+ */
+export async function addPendingJob(conn, { postIdentifier, sessionId, sourceUrl, payload }) {
+    conn
+        .prepare(
+            `INSERT INTO pending_jobs (post_identifier, scrape_session_id, source_url, payload_json, created_at)
+             VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT(post_identifier) DO UPDATE SET scrape_session_id = excluded.scrape_session_id,
+                 source_url = excluded.source_url, payload_json = excluded.payload_json`
+        )
+        .run(postIdentifier, sessionId, sourceUrl || null, JSON.stringify(payload), new Date().toISOString());
+}
+
+export async function removePendingJob(conn, postIdentifier) {
+    conn.prepare(`DELETE FROM pending_jobs WHERE post_identifier = ?`).run(postIdentifier);
+}
+
+/**
+ * Jobs left over from earlier runs, oldest first.
+ * @returns {Promise<Array<{postIdentifier, sessionId, sourceUrl, payload, createdAt}>>}
+ */
+export async function getPendingJobs(conn) {
+    return conn
+        .prepare(`SELECT * FROM pending_jobs ORDER BY created_at, post_identifier`)
+        .all()
+        .map(r => ({
+            postIdentifier: r.post_identifier,
+            sessionId: r.scrape_session_id,
+            sourceUrl: r.source_url,
+            payload: JSON.parse(r.payload_json),
+            createdAt: toDate(r.created_at),
+        }));
+}
+
+// ─── Dead letters ─────────────────────────────────────────────────────────────
+
+/**
+ * Record a failed media download or insert (upsert by id + kind; repeated
+ * failures bump attempts and last_failed_at).
+ */
+export async function recordFailure(conn, f) {
+    const now = new Date().toISOString();
+    conn
+        .prepare(
+            `INSERT INTO failed_jobs
+             (post_identifier, kind, scrape_session_id, source_url, post_url, media_url,
+              error_class, error_message, attempts, first_failed_at, last_failed_at, payload_json)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+             ON CONFLICT(post_identifier, kind) DO UPDATE SET attempts = attempts + 1,
+                 scrape_session_id = excluded.scrape_session_id, source_url = excluded.source_url,
+                 post_url = excluded.post_url, media_url = excluded.media_url,
+                 error_class = excluded.error_class, error_message = excluded.error_message,
+                 last_failed_at = excluded.last_failed_at, payload_json = excluded.payload_json`
+        )
+        .run(
+            f.postIdentifier,
+            f.kind,
+            f.sessionId ?? null,
+            f.sourceUrl || null,
+            f.postUrl || null,
+            f.mediaUrl || null,
+            f.errorClass || null,
+            f.errorMessage || null,
+            now,
+            now,
+            JSON.stringify(f.payload)
+        );
+}
+
+export async function resolveFailure(conn, postIdentifier, kind) {
+    conn.prepare(`DELETE FROM failed_jobs WHERE post_identifier = ? AND kind = ?`).run(postIdentifier, kind);
+}
+
+/**
+ * Unresolved failures, oldest first.
+ * @returns {Promise<Array<{postIdentifier, kind, sessionId, sourceUrl, postUrl, mediaUrl,
+ *          errorClass, errorMessage, attempts, firstFailedAt, lastFailedAt, payload}>>}
+ */
+export async function getFailures(conn) {
+    return conn
+        .prepare(`SELECT * FROM failed_jobs ORDER BY first_failed_at, post_identifier`)
+        .all()
+        .map(r => ({
+            postIdentifier: r.post_identifier,
+            kind: r.kind,
+            sessionId: r.scrape_session_id,
+            sourceUrl: r.source_url,
+            postUrl: r.post_url,
+            mediaUrl: r.media_url,
+            errorClass: r.error_class,
+            errorMessage: r.error_message,
+            attempts: r.attempts,
+            firstFailedAt: toDate(r.first_failed_at),
+            lastFailedAt: toDate(r.last_failed_at),
+            payload: JSON.parse(r.payload_json),
+        }));
+}
+
+// ─── Queries ──────────────────────────────────────────────────────────────────
+
+function toDate(value) {
+    return value ? new Date(value) : null;
+}
+
+/**
+ * Latest published_at stored for a source (or across all sources if omitted).
+ * Served by idx_posts_source_published.
+ * @returns {Promise<Date|null>}
+ */
+export async function getLatestPublishedAt(conn, sourceUrl) {
+    const row = sourceUrl
+        ? conn
+            .prepare(`SELECT MAX(published_at) AS latest FROM posts WHERE source_url = ?`)
+            .get(sourceUrl)
+        : conn.prepare(`SELECT MAX(published_at) AS latest FROM posts`).get();
+    return toDate(row?.latest);
+}
+
+/**
+ * Time intervals archived by finished sessions of a source.
+ * Served by idx_sessions_source_coverage.
+ * @returns {Promise<Array<{from: Date, to: Date, keywords: string[]|null}>>}
+ */
+export async function getCoverage(conn, sourceUrl) {
+    return conn
+        .prepare(
+            `SELECT covered_from, covered_to, keyword_filter FROM scrape_sessions
+             WHERE source_url = ? AND covered_from IS NOT NULL AND covered_to IS NOT NULL
+             ORDER BY covered_from`
+        )
+        .all(sourceUrl)
+        .map(r => ({ from: toDate(r.covered_from), to: toDate(r.covered_to), keywords: r.keyword_filter ? JSON.parse(r.keyword_filter) : null }));
+}
+
+/**
+ * Oldest/newest post stored by a session. Served by idx_posts_session_published.
+ */
+export async function getPostDateRange(conn, sessionId) {
+    const row = conn
+        .prepare(
+            `SELECT MIN(published_at) AS oldest, MAX(published_at) AS newest
+             FROM posts WHERE scrape_session_id = ? AND published_at IS NOT NULL`
+        )
+        .get(sessionId);
+    return { oldest: toDate(row?.oldest), newest: toDate(row?.newest) };
+}
+
+export async function closeDb(conn) {
+    if (conn) {
+        conn.close();
+        logger.info('SQLite database closed');
+    }
+}
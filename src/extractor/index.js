@@ -1,6 +1,7 @@
 import { createHash } from 'crypto';
 import { createLogger } from '../logger/index.js';
 import { parseISO, isValid, fromUnixTime } from 'date-fns';
+import { DEFAULT_PLATFORM } from '../platform/index.js';
 
 const logger = createLogger('extractor');
 
@@ -72,6 +73,8 @@ export function isWithinRange(date, startDate, endDate) {
  *
  * @param {import('playwright').ElementHandle} postHandle
  * @param {import('playwright').Page} _page  (unused but kept for API consistency)
+ * @param {object} [opts]
+ * @param {object} [opts.platform] - site relative post links belong to
  * @returns {Promise<{
  *   postIdentifier: string,
  *   postUrl: string|null,
@@ -82,7 +85,7 @@ export function isWithinRange(date, startDate, endDate) {
  *   rawDateValue: string|null
  * }>}
  */
-export async function extractPost(postHandle, _page) {
+export async function extractPost(postHandle, _page, { platform = DEFAULT_PLATFORM } = {}) {
     const data = await postHandle.evaluate((article) => {
         // ── Post URL & Shortcode (stable identifier) ───────────────────────────
         // Instagram post URLs: /p/<shortcode>/  or  /reel/<shortcode>/
@@ -203,12 +206,8 @@ export async function extractPost(postHandle, _page) {
             .slice(0, 32);
     }
 
-    // Build full post URL
-    const postUrl = data.postUrl
-        ? data.postUrl.startsWith('http')
-            ? data.postUrl
-            : `https://www.instagram.com${data.postUrl}`
-        : null;
+    // Build full post URL (links are resolved like the browser would, on the platform's site)
+    const postUrl = data.postUrl ? new URL(data.postUrl, `${platform.baseUrl}/`).href : null;
 
     return {
         postIdentifier,
@@ -5,11 +5,21 @@
  * so it works in parallel worker threads independently of the page lifecycle.
  * Stores files under downloads/<year>/<month>/<post_id>.ext
  * Retries up to MAX_RETRIES times with exponential backoff.
+ * Files are written to a .part file and renamed into place, so an interrupted
+ * run never leaves a truncated image behind.
+ * With a shared rate limiter, every attempt waits out the current pause and
+ * CDN 429s pause the whole pipeline.
+ * With a proxy, requests are tunnelled through it like the browser's, and
+ * they present the browser's user agent and language. The Referer is the
+ * platform's base URL.
  */
 import axios from 'axios';
-import { mkdirSync, writeFileSync } from 'fs';
+import { mkdirSync, writeFileSync, renameSync, rmSync } from 'fs';
 import { join, extname } from 'path';
 import { createLogger } from '../logger/index.js';
+import { proxyAgents } from '../proxy/index.js';
+import { DEFAULT_FINGERPRINT, requestHeaders } from '../browser/fingerprint.js';
+import { DEFAULT_PLATFORM, platformUrl } from '../platform/index.js';
 
 const logger = createLogger('downloader');
 
@@ -30,6 +40,55 @@ function getExtension(imageUrl) {
     return '.jpg';
 }
 
+/**
+ * Build (and create the directory for) the on-disk path of a media file:
+ * <baseDir>/<year>/<month>/<sanitized postIdentifier><ext>
+ */
+function mediaPath({ imageUrl, postIdentifier, publishedAt, baseDir }) {
+    const year = publishedAt ? publishedAt.getUTCFullYear().toString() : 'unknown';
+    const month = publishedAt ? String(publishedAt.getUTCMonth() + 1).padStart(2, '0') : '00';
+    const dir = join(baseDir, year, month);
+    mkdirSync(dir, { recursive: true });
+
+    // Sanitize postIdentifier for filesystem safety
+    const safeName = postIdentifier.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 80);
+    const ext = getExtension(imageUrl);
+    return join(dir, `${safeName}${ext}`);
+}
+
+/**
+ * Write via <file>.part + rename so readers never see a partial file.
+ */
+function writeAtomic(filepath, data) {
+    const partPath = `${filepath}.part`;
+    try {
+        writeFileSync(partPath, data);
+        renameSync(partPath, filepath);
+    } catch (err) {
+        rmSync(partPath, { force: true });
+        throw err;
+    }
+}
+
+/**
+ * Save media bytes obtained elsewhere (e.g. a replayed HAR) under the same
+ * layout downloadImage() uses.
+ *
+ * @param {object} opts
+ * @param {Buffer} opts.data
+ * @param {string} opts.imageUrl        - original URL (determines the extension)
+ * @param {string} opts.postIdentifier
+ * @param {Date|null} opts.publishedAt
+ * @param {string} [opts.baseDir='downloads']
+ * @returns {string} relative file path
+ */
+export function saveMedia({ data, imageUrl, postIdentifier, publishedAt, baseDir = 'downloads' }) {
+    const filepath = mediaPath({ imageUrl, postIdentifier, publishedAt, baseDir });
+    writeAtomic(filepath, data);
+    logger.info(`Saved: ${filepath} (${(data.byteLength / 1024).toFixed(1)} KB)`);
+    return filepath;
+}
+
 /**
  * Download an image and save it to disk.
  *
@@ -39,6 +98,11 @@ function getExtension(imageUrl) {
  * @param {Date|null} opts.publishedAt  - determines directory (year/month)
  * @param {string} [opts.baseDir='downloads']
  * @param {string|null} [opts.authCookies] - optional Cookie header value
+ * @param {AbortSignal} [opts.signal] - aborts the transfer and any remaining retries
+ * @param {ReturnType<import('../ratelimit/index.js').createRateLimiter>|null} [opts.rateLimiter]
+ * @param {object|null} [opts.proxy] - parsed proxy (see ../proxy/index.js)
+ * @param {object} [opts.fingerprint] - browser identity (see ../browser/fingerprint.js)
+ * @param {object} [opts.platform] - site the media belongs to (see ../platform/index.js)
  * @returns {Promise<string>} relative file path (e.g. downloads/2023/06/ABC123.jpg)
  */
 export async function downloadImage({
@@ -47,48 +111,53 @@ export async function downloadImage({
     publishedAt,
     baseDir = 'downloads',
     authCookies = null,
+    signal,
+    rateLimiter = null,
+    proxy = null,
+    fingerprint = DEFAULT_FINGERPRINT,
+    platform = DEFAULT_PLATFORM,
 }) {
-    const year = publishedAt ? publishedAt.getUTCFullYear().toString() : 'unknown';
-    const month = publishedAt ? String(publishedAt.getUTCMonth() + 1).padStart(2, '0') : '00';
-    const dir = join(baseDir, year, month);
-    mkdirSync(dir, { recursive: true });
-
-    // Sanitize postIdentifier for filesystem safety
-    const safeName = postIdentifier.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 80);
-    const ext = getExtension(imageUrl);
-    const filename = `${safeName}${ext}`;
-    const filepath = join(dir, filename);
+    const filepath = mediaPath({ imageUrl, postIdentifier, publishedAt, baseDir });
 
     const headers = {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/121.0 Safari/537.36',
+        ...requestHeaders(fingerprint),
         'Accept': 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
-        'Referer': 'https://www.instagram.com/',
+        'Referer': platformUrl('/', platform),
     };
     if (authCookies) headers['Cookie'] = authCookies;
 
     let lastErr;
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        await rateLimiter?.wait(signal);
+        if (signal?.aborted) throw new Error(`Download cancelled: ${imageUrl}`);
+
         try {
             logger.debug(`Downloading (attempt ${attempt}): ${imageUrl}`);
             const response = await axios.get(imageUrl, {
                 responseType: 'arraybuffer',
                 headers,
                 timeout: 30000,
+                signal,
+                ...(proxy && proxyAgents(proxy)),
             });
 
-            writeFileSync(filepath, response.data);
+            writeAtomic(filepath, response.data);
+            rateLimiter?.ok();
             const kb = (response.data.byteLength / 1024).toFixed(1);
             logger.info(`Saved: ${filepath} (${kb} KB)`);
             return filepath;
         } catch (err) {
+            if (signal?.aborted) throw new Error(`Download cancelled: ${imageUrl}`);
             lastErr = err;
             const code = err.response?.status || err.code;
             logger.warn(`Download attempt ${attempt}/${MAX_RETRIES} failed [${code}]: ${err.message}`);
+            if (code === 429) rateLimiter?.report('HTTP 429 from media CDN');
             if (attempt < MAX_RETRIES) {
                 await new Promise(r => setTimeout(r, BASE_DELAY_MS * Math.pow(2, attempt - 1)));
             }
         }
     }
 
-    throw new Error(`Image download failed after ${MAX_RETRIES} retries: ${lastErr?.message}`);
+    // The axios error stays reachable for classification (HTTP status, error code)
+    throw new Error(`Image download failed after ${MAX_RETRIES} retries: ${lastErr?.message}`, { cause: lastErr });
 }
@@ -0,0 +1,244 @@
+/**
+ * Schema Drift Detection
+ *
+ * Instagram changes its GraphQL payloads without notice, and the interceptor
+ * then quietly finds fewer posts, or posts without captions or dates. Every
+ * live run fingerprints the responses it parses — the key paths of each
+ * response, per operation (the GraphQL operation name, else the URL path) —
+ * and compares them with the fingerprints earlier runs of the same source left
+ * in the schema file (--schema-file). Fingerprints are kept per source because
+ * shapes differ by profile: an account without videos never has the video
+ * keys, and that is not drift. The run's drift report lists:
+ *
+ *   new_keys      key paths no earlier run has seen
+ *   removed_keys  key paths the last STABLE_RUNS runs all had, missing now
+ *   no_nodes      an operation that yielded post nodes last time but none now
+ *   null_captions / null_dates
+ *                 more than `threshold` of the posts found without one
+ *
+ * The file is updated after every checked run, so a change is reported once
+ * (the null rates are judged per run). Array items share one path ("[]") and
+ * numeric keys are folded into "*", so the shape does not depend on the data.
+ */
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+export const DEFAULT_SCHEMA_FILE = 'data/schema-fingerprints.json';
+export const DEFAULT_DRIFT_THRESHOLD = 0.3;
+
+// Fingerprints of runs checked without a source URL
+const ANY_SOURCE = '*';
+
+// A key must have been seen this many runs in a row before its absence counts
+const STABLE_RUNS = 3;
+// Posts a run must find for an operation before its null rates are judged
+const MIN_POSTS = 5;
+// Object levels fingerprinted, and array items looked at per array
+const SHAPE_DEPTH = 10;
+const SAMPLE_ITEMS = 50;
+// Key paths listed per issue in the log
+const LOG_KEYS = 5;
+
+/**
+ * Key paths of a response body, e.g. "data.user.edges[].node.caption".
+ * @param {any} body
+ * @returns {string[]} sorted
+ */
+export function responseShape(body) {
+    const paths = new Set();
+    collectPaths(body, '', 0, paths);
+    return [...paths].sort();
+}
+
+function collectPaths(value, prefix, depth, paths) {
+    if (value === null || typeof value !== 'object' || depth >= SHAPE_DEPTH) return;
+
+    if (Array.isArray(value)) {
+        for (const item of value.slice(0, SAMPLE_ITEMS)) collectPaths(item, `${prefix}[]`, depth, paths);
+        return;
+    }
+    for (const [key, child] of Object.entries(value)) {
+        const name = /^\d+$/.test(key) ? '*' : key;
+        const path = prefix ? `${prefix}.${name}` : name;
+        paths.add(path);
+        collectPaths(child, path, depth + 1, paths);
+    }
+}
+
+/**
+ * Collects what one run parsed, per operation. Pass `observe` to the
+ * interceptor (createResponseProcessor / attachInterceptor).
+ */
+export function createDriftTracker() {
+    const operations = new Map();
+
+    return {
+        operations,
+
+        /**
+         * @param {{ url: string, operation?: string|null, body: any, nodes: number, posts: object[] }} response
+         */
+        observe({ url, operation = null, body, nodes, posts }) {
+            const name = operation ?? operationFromUrl(url);
+            let op = operations.get(name);
+            if (!op) {
+                op = { responses: 0, nodes: 0, posts: 0, noCaption: 0, noDate: 0, keys: new Set() };
+                operations.set(name, op);
+            }
+            op.responses++;
+            op.nodes += nodes;
+            op.posts += posts.length;
+            op.noCaption += posts.filter(p => !p.captionText).length;
+            op.noDate += posts.filter(p => !p.publishedAt).length;
+            for (const path of responseShape(body)) op.keys.add(path);
+        },
+    };
+}
+
+function operationFromUrl(url) {
+    try {
+        return new URL(url).pathname;
+    } catch {
+        return String(url);
+    }
+}
+
+/**
+ * Only the outermost paths: "data.user" stands for everything below it.
+ */
+function outermost(paths) {
+    const set = new Set(paths);
+    return paths.filter(p => {
+        for (let parent = parentPath(p); parent; parent = parentPath(parent)) {
+            if (set.has(parent)) return false;
+        }
+        return true;
+    });
+}
+
+function parentPath(path) {
+    const parent = path.replace(/(?:\[\]|\.[^.]*)$/, '');
+    return parent === path ? '' : parent;
+}
+
+/**
+ * Compare one run with the stored fingerprints.
+ * @param {object} stored - operations stored for the run's source
+ * @param {ReturnType<typeof createDriftTracker>} tracker
+ * @param {{ threshold?: number }} [opts]
+ * @returns {Array<{ operation: string, kind: string, message: string, keys?: string[] }>}
+ */
+export function compareSchemas(stored, tracker, { threshold = DEFAULT_DRIFT_THRESHOLD } = {}) {
+    const issues = [];
+
+    for (const [operation, op] of tracker.operations) {
+        const known = stored[operation];
+        const add = (kind, message, keys) => issues.push({ operation, kind, message, ...(keys && { keys }) });
+
+        if (known) {
+            const added = outermost([...op.keys].filter(k => !(k in known.keys)).sort());
+            const removed = outermost(Object.entries(known.keys)
+                .filter(([k, streak]) => streak >= STABLE_RUNS && !op.keys.has(k))
+                .map(([k]) => k)
+                .sort());
+            if (added.length > 0) add('new_keys', `${added.length} new key path(s)`, added);
+            if (removed.length > 0) add('removed_keys', `${removed.length} key path(s) gone`, removed);
+            if (known.nodes > 0 && op.nodes === 0) {
+                add('no_nodes', `no post nodes in ${op.responses} response(s) (${known.nodes} last run)`);
+            }
+        }
+
+        if (op.posts >= MIN_POSTS) {
+            for (const [kind, count, what] of [['null_captions', op.noCaption, 'caption'], ['null_dates', op.noDate, 'date']]) {
+                if (count / op.posts > threshold) add(kind, `${count}/${op.posts} post(s) without a ${what}`);
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * The stored fingerprints with one run merged in: key streaks grow for the
+ * paths seen and restart for the rest. Operations the run did not see are
+ * kept as they were.
+ */
+export function mergeSchemas(stored, tracker, now = new Date()) {
+    const merged = { ...stored };
+    const at = now.toISOString();
+
+    for (const [operation, op] of tracker.operations) {
+        const known = stored[operation];
+        const keys = Object.fromEntries(Object.keys(known?.keys ?? {}).map(k => [k, 0]));
+        for (const path of op.keys) keys[path] = (known?.keys[path] ?? 0) + 1;
+
+        merged[operation] = {
+            firstSeenAt: known?.firstSeenAt ?? at,
+            lastSeenAt: at,
+            runs: (known?.runs ?? 0) + 1,
+            responses: op.responses,
+            nodes: op.nodes,
+            posts: op.posts,
+            keys,
+        };
+    }
+
+    return merged;
+}
+
+async function readSchemaFile(file) {
+    try {
+        const data = JSON.parse(await readFile(file, 'utf-8'));
+        // Files from before per-source fingerprints start over
+        return data?.sources && typeof data.sources === 'object' ? data : { sources: {} };
+    } catch (err) {
+        if (err.code === 'ENOENT') return { sources: {} };
+        throw Object.assign(new Error(`Unreadable schema file ${file}: ${err.message}`), { code: 'ESCHEMA' });
+    }
+}
+
+/**
+ * Compare a finished run with the fingerprints of its source in the schema
+ * file, then record it there (atomically, temp + rename) together with the
+ * report.
+ *
+ * @param {ReturnType<typeof createDriftTracker>} tracker
+ * @param {{ file?: string, threshold?: number, sourceUrl?: string }} [opts]
+ * @returns {Promise<{ checkedAt: string, sourceUrl: string|null, operations: string[],
+ *                     firstSeen: string[], issues: ReturnType<typeof compareSchemas> }>}
+ */
+export async function checkDrift(tracker, { file = DEFAULT_SCHEMA_FILE, threshold = DEFAULT_DRIFT_THRESHOLD, sourceUrl = null } = {}) {
+    const data = await readSchemaFile(file);
+    const source = sourceUrl ?? ANY_SOURCE;
+    const stored = data.sources[source] ?? {};
+    const now = new Date();
+
+    const report = {
+        checkedAt: now.toISOString(),
+        sourceUrl,
+        operations: [...tracker.operations.keys()],
+        firstSeen: [...tracker.operations.keys()].filter(op => !stored[op]),
+        issues: compareSchemas(stored, tracker, { threshold }),
+    };
+
+    await mkdir(dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await writeFile(tmp, JSON.stringify({
+        updatedAt: report.checkedAt,
+        sources: { ...data.sources, [source]: mergeSchemas(stored, tracker, now) },
+        lastReport: report,
+    }, null, 2));
+    await rename(tmp, file);
+
+    return report;
+}
+
+/**
+ * Log lines for a drift report.
+ */
+export function describeDrift(report) {
+    return report.issues.map(({ operation, message, keys }) => {
+        const list = keys ? `: ${keys.slice(0, LOG_KEYS).join(', ')}${keys.length > LOG_KEYS ? ', …' : ''}` : '';
+        return `[${operation}] ${message}${list}`;
+    });
+}
@@ -3,26 +3,20 @@
  *
  * Attaches a page.on('response') listener and intercepts all GraphQL API
  * responses. Parses post edges from any discovered nesting structure using
- * a recursive schema search — no hardcoded field paths required.
+ * a recursive schema search — no hardcoded field paths required. Where that
+ * guesses wrong, mapping rules (./mapping.js) point at posts and fields
+ * directly; the search remains the fallback.
  *
  * The interceptor emits posts via a callback so the orchestrator can queue
  * them for download + DB insert while scrolling continues independently.
  */
 import { createLogger } from '../logger/index.js';
+import { DEFAULT_PLATFORM, postUrlFor } from '../platform/index.js';
+import { findRule } from './mapping.js';
 
 const logger = createLogger('interceptor');
 
-// ─── GraphQL URL patterns for popular Instagram backends / clones ─────────────
-const GQL_URL_PATTERNS = [
-    '/graphql',
-    '/api/graphql',
-    '/graphql/query',
-    '/graph/query',
-    '/graphql/v1',
-    '/api/v1/feed',
-    '/api/v2/feed',
-    '/query',
-];
+// GraphQL URL patterns are part of the platform profile (../platform/index.js)
 
 // ─── Field name hints for post arrays (edge/node GraphQL convention) ──────────
 const EDGE_ARRAY_HINTS = [
@@ -68,6 +62,11 @@ const COMMENT_FIELDS = [
     'comments', 'preview_comments', 'comment_list',
 ];
 
+// ─── Field names marking a pinned post (non-empty list of user ids/users) ─────
+const PINNED_LIST_FIELDS = [
+    'pinned_for_users', 'timeline_pinned_user_ids', 'clips_tab_pinned_user_ids',
+];
+
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
@@ -228,34 +227,43 @@ function extractComments(node) {
         }
 
         // flat array of comment objects
-        if (Array.isArray(val)) {
-            return val.map(c => ({
-                username: c.user?.username || c.username || c.owner?.username || null,
-                text: c.text || c.content || '',
-            })).filter(c => c.text);
-        }
+        if (Array.isArray(val)) return toComments(val);
     }
     return [];
 }
 
+function toComments(list) {
+    return list
+        .filter(c => c && typeof c === 'object')
+        .map(c => c.node ?? c)
+        .map(c => ({
+            username: c.user?.username || c.username || c.owner?.username || null,
+            text: c.text || c.content || '',
+        }))
+        .filter(c => c.text);
+}
+
 /**
  * Extract published timestamp. Returns Date or null.
  */
 function extractTimestamp(node) {
     for (const field of TIMESTAMP_FIELDS) {
-        const val = node[field];
-        if (val == null) continue;
+        const d = toDate(node[field]);
+        if (d) return d;
+    }
+    return null;
+}
 
-        // Unix seconds
-        if (typeof val === 'number') {
-            const d = val > 1e10 ? new Date(val) : new Date(val * 1000);
-            if (!isNaN(d.getTime())) return d;
-        }
-        // ISO string
-        if (typeof val === 'string') {
-            const d = new Date(val);
-            if (!isNaN(d.getTime())) return d;
-        }
+function toDate(val) {
+    // Unix seconds (or milliseconds)
+    if (typeof val === 'number') {
+        const d = val > 1e10 ? new Date(val) : new Date(val * 1000);
+        if (!isNaN(d.getTime())) return d;
+    }
+    // ISO string
+    if (typeof val === 'string') {
+        const d = new Date(val);
+        if (!isNaN(d.getTime())) return d;
     }
     return null;
 }
@@ -271,6 +279,17 @@ function extractId(node) {
     return null;
 }
 
+/**
+ * Is the post pinned to the top of the profile grid? Pinned posts can be
+ * arbitrarily old, so they must not count towards the date boundary.
+ */
+function extractPinned(node) {
+    for (const field of PINNED_LIST_FIELDS) {
+        if (Array.isArray(node[field]) && node[field].length > 0) return true;
+    }
+    return node.is_pinned === true || node.pinned === true;
+}
+
 /**
  * Extract the best video URL from a post node (highest quality).
  */
@@ -286,28 +305,63 @@ function extractVideoUrl(node) {
     return null;
 }
 
+// ─── Mapped fields (see ./mapping.js) ─────────────────────────────────────────
+// Each reads the value a mapping rule selects, or undefined to fall back to the
+// heuristics above.
+
+const FIELD_VALUES = {
+    id: v => (typeof v === 'string' || typeof v === 'number') && String(v).length > 0 ? String(v) : undefined,
+    shortcode: v => typeof v === 'string' && v ? v : undefined,
+    caption: v => typeof v === 'string' ? v : typeof v?.text === 'string' ? v.text : undefined,
+    publishedAt: v => toDate(v) ?? undefined,
+    imageUrl: v => typeof v === 'string' && v.startsWith('http') ? v : undefined,
+    videoUrl: v => typeof v === 'string' && v.startsWith('http') ? v : undefined,
+    pinned: v => typeof v === 'boolean' ? v : Array.isArray(v) ? v.length > 0 : undefined,
+};
+
+function mapped(fields, name, node) {
+    const select = fields?.[name];
+    if (!select) return undefined;
+    const values = select(node);
+    // List fields take every match ($.comments[*]) or a single matched array ($.comments)
+    if (name === 'comments' || name === 'carousel') {
+        const list = values.length === 1 && Array.isArray(values[0]) ? values[0] : values;
+        return list.length > 0 ? list : undefined;
+    }
+    for (const value of values) {
+        const read = FIELD_VALUES[name](value);
+        if (read !== undefined) return read;
+    }
+    return undefined;
+}
+
 /**
  * Parse a raw post node into a normalized post object.
  * Returns null if essential fields (id or timestamp) are missing.
+ * `fields` are the selectors of the mapping rule in use, if any.
  */
-function normalizePost(node) {
-    const id = extractId(node);
+function normalizePost(node, platform, fields = null) {
+    const id = mapped(fields, 'id', node) ?? extractId(node);
     if (!id) return null;
 
-    // Build Instagram post URL from shortcode/code field when available
-    const shortcode = node.shortcode || node.code || null;
+    // Build the post URL from shortcode/code field when available
+    const shortcode = mapped(fields, 'shortcode', node) ?? (node.shortcode || node.code || null);
     const postUrl = shortcode
-        ? `https://www.instagram.com/p/${shortcode}/`
+        ? postUrlFor(shortcode, platform)
         : null;
 
     // Detect post type
-    const isVideo = !!(node.is_video || node.video_url || node.video_versions);
-    const isCarousel = !!(node.carousel_media || node.sidecar_media || node.__typename === 'GraphSidecar');
+    const mappedVideo = mapped(fields, 'videoUrl', node);
+    const slides = carouselSlides(node, fields);
+    const isVideo = !!(mappedVideo || node.is_video || node.video_url || node.video_versions);
+    const isCarousel = !!(slides || node.__typename === 'GraphSidecar');
     const mediaType = isCarousel ? 'carousel' : isVideo ? 'video' : 'image';
 
-    const videoUrl = isVideo ? extractVideoUrl(node) : null;
+    const videoUrl = isVideo ? mappedVideo ?? extractVideoUrl(node) : null;
     // For images use existing extractor; for videos use thumbnail (display_url / poster)
-    const imageUrl = extractImageUrl(node);
+    const imageUrl = mapped(fields, 'imageUrl', node) ?? extractImageUrl(node);
+
+    const comments = mapped(fields, 'comments', node);
 
     return {
         postIdentifier: id,
@@ -315,98 +369,215 @@ function normalizePost(node) {
         imageUrl,
         videoUrl,
         mediaType,
-        captionText: extractCaption(node),
-        comments: extractComments(node),
-        publishedAt: extractTimestamp(node),
+        captionText: mapped(fields, 'caption', node) ?? extractCaption(node),
+        comments: comments ? toComments(comments) : extractComments(node),
+        publishedAt: mapped(fields, 'publishedAt', node) ?? extractTimestamp(node),
+        isPinned: mapped(fields, 'pinned', node) ?? extractPinned(node),
         rawNode: node, // kept briefly for debugging; cleared after processing
     };
 }
 
+function carouselSlides(node, fields) {
+    const slides = mapped(fields, 'carousel', node) ?? node.carousel_media ?? node.sidecar_media;
+    return Array.isArray(slides) ? slides : null;
+}
+
 // ─── Interceptor attachment ───────────────────────────────────────────────────
 
 /**
  * Detect if a response URL looks like a GraphQL endpoint.
+ * @param {string} url
+ * @param {string} method
+ * @param {object} [platform] - supplies the URL patterns (see ../platform/index.js)
  */
-function isGraphQLResponse(url, method) {
+export function isGraphQLResponse(url, method, platform = DEFAULT_PLATFORM) {
     if (!url) return false;
     const lc = url.toLowerCase();
-    return GQL_URL_PATTERNS.some(p => lc.includes(p)) ||
+    return platform.graphqlPatterns.some(p => lc.includes(p)) ||
         (method === 'POST' && (lc.includes('/api/') || lc.includes('/query')));
 }
 
+// Where clients name the GraphQL operation: Instagram's web app sends
+// fb_api_req_friendly_name (and the x-fb-friendly-name header), Apollo-style
+// clients operationName
+const OPERATION_PARAMS = ['fb_api_req_friendly_name', 'operationName'];
+
+/**
+ * Name of the GraphQL operation a request ran, if it says.
+ * @param {{ url: string, headers?: object, postData?: string|null }} request
+ * @returns {string|null}
+ */
+export function graphqlOperation({ url, headers = {}, postData = null }) {
+    const header = headers['x-fb-friendly-name'];
+    if (header) return header;
+
+    const sources = [];
+    try {
+        sources.push(new URL(url).searchParams);
+    } catch { /* relative or invalid URL */ }
+    if (postData) {
+        try {
+            const json = JSON.parse(postData);
+            if (json && typeof json === 'object') sources.push(new Map(Object.entries(json)));
+        } catch {
+            sources.push(new URLSearchParams(postData));
+        }
+    }
+
+    for (const source of sources) {
+        for (const param of OPERATION_PARAMS) {
+            const name = source.get(param);
+            if (typeof name === 'string' && name) return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the parse-and-emit step shared by the live interceptor and offline
+ * replay: discover post nodes in a parsed JSON body, normalize them and emit
+ * each post (carousel slides as separate posts) via onPost.
+ *
+ * @param {function(object): void} onPost
+ * @param {object} [options]
+ * @param {object} [options.platform] - builds post URLs (see ../platform/index.js)
+ * @param {object[]} [options.mapping] - compiled mapping rules (see ./mapping.js)
+ * @param {function(object): void} [options.observe] - called with every parsed
+ *        response: { url, operation, body, nodes (count), postNodes, posts } (see ./drift.js)
+ * @returns {function(string, any, { operation?: string|null }=): number}
+ *          (url, body, { operation }) → number of post nodes found
+ */
+export function createResponseProcessor(onPost, { platform = DEFAULT_PLATFORM, mapping = [], observe = null } = {}) {
+    let responseCount = 0;
+    let schemaLogged = false;
+
+    return function processResponse(url, body, { operation = null } = {}) {
+        responseCount++;
+
+        // Log the first GraphQL response schema to help identify structure
+        if (!schemaLogged) {
+            schemaLogged = true;
+            logger.info(`[interceptor] First GraphQL response from: ${url}`);
+            logger.info(`[interceptor] Top-level keys: ${Object.keys(body || {}).join(', ')}`);
+            // Log structure summary (not full body to avoid log bloat)
+            logStructure(body, 0, 3);
+        }
+
+        // Mapped posts first, else discover post nodes recursively
+        const rule = mapping.length > 0 ? findRule(mapping, { url, operation }) : null;
+        let nodes = rule?.posts ? rule.posts(body).filter(n => n && typeof n === 'object' && !Array.isArray(n)) : [];
+        if (rule?.posts && nodes.length === 0) {
+            logger.debug(`[interceptor] Mapped posts selector found nothing in ${operation ?? url} — using heuristics`);
+        }
+        if (nodes.length === 0) nodes = findPostNodes(body);
+        const fields = rule?.fields ?? null;
+        const posts = nodes.map(node => [node, normalizePost(node, platform, fields)]).filter(([, post]) => post);
+        observe?.({ url, operation, body, nodes: nodes.length, postNodes: nodes, posts: posts.map(([, post]) => post) });
+        if (nodes.length === 0) return 0;
+
+        logger.info(`[interceptor] GraphQL response #${responseCount}: ${nodes.length} post node(s) found from ${url}`);
+
+        for (const [node, post] of posts) {
+            // Carousel post — emit each slide as a separate row (same caption/date, unique image)
+            const slides = carouselSlides(node, fields);
+            if (slides && slides.length > 1) {
+                logger.info(`[interceptor] Carousel post ${post.postIdentifier}: ${slides.length} slides`);
+                slides.forEach((slide, idx) => {
+                    const slideVideo = mapped(fields, 'videoUrl', slide);
+                    const slideIsVideo = !!(slideVideo || slide.is_video || slide.video_url || slide.video_versions);
+                    onPost({
+                        ...post,
+                        postIdentifier: `${post.postIdentifier}_c${idx + 1}`,
+                        parentIdentifier: post.postIdentifier,
+                        imageUrl: mapped(fields, 'imageUrl', slide) ?? extractImageUrl(slide) ?? post.imageUrl,
+                        videoUrl: slideIsVideo ? slideVideo ?? extractVideoUrl(slide) : null,
+                        mediaType: slideIsVideo ? 'video' : 'image',
+                        // caption always inherited from parent carousel post
+                        rawNode: undefined,
+                    });
+                });
+            } else {
+                onPost(post);
+            }
+        }
+
+        return nodes.length;
+    };
+}
+
 /**
  * Attach a GraphQL response interceptor to the Playwright page.
  *
  * @param {import('playwright').Page} page
  * @param {function(object): void} onPost - called for each discovered post node
+ * @param {object} [options]
+ * @param {{ record: function(object): Promise<void> }|null} [options.recorder] -
+ *        receives every matched JSON response (including non-2xx) before parsing
+ * @param {function(import('playwright').Request, any, object[]): void} [options.onBody] -
+ *        called with the request, parsed body and extracted post nodes of every
+ *        2xx JSON response
+ * @param {ReturnType<import('../ratelimit/index.js').createRateLimiter>|null} [options.rateLimiter] -
+ *        sees the status and body of every matched response (throttle detection)
+ * @param {object} [options.platform] - URL patterns and post URLs (see ../platform/index.js)
+ * @param {object[]} [options.mapping] - compiled mapping rules (see ./mapping.js)
+ * @param {function(object): void} [options.observe] - see createResponseProcessor()
  * @returns {{ stop: function }} call stop() to detach the listener
  */
-export function attachInterceptor(page, onPost) {
-    let responseCount = 0;
-    let schemaLogged = false;
+export function attachInterceptor(page, onPost, { recorder = null, onBody = null, rateLimiter = null, platform = DEFAULT_PLATFORM, mapping = [], observe = null } = {}) {
+    // The post nodes of the response being handled, for onBody
+    let postNodes = [];
+    const processResponse = createResponseProcessor(onPost, {
+        platform,
+        mapping,
+        observe: (parsed) => {
+            postNodes = parsed.postNodes;
+            observe?.(parsed);
+        },
+    });
 
     async function handleResponse(response) {
         try {
             const url = response.url();
-            const method = response.request().method();
+            const request = response.request();
+            const method = request.method();
 
-            if (!isGraphQLResponse(url, method)) return;
+            if (!isGraphQLResponse(url, method, platform)) return;
+            const operation = graphqlOperation({ url, headers: request.headers(), postData: request.postData() });
 
-            // Only process JSON responses
+            const status = response.status();
+
+            // Only process JSON responses (a 429 may come back as HTML)
             const contentType = response.headers()['content-type'] || '';
-            if (!contentType.includes('json')) return;
+            if (!contentType.includes('json')) {
+                if (status === 429) rateLimiter?.observe(status, null);
+                return;
+            }
 
-            const status = response.status();
-            if (status < 200 || status >= 300) return;
+            let text = null;
+            if (recorder || rateLimiter) text = await response.text().catch(() => null);
+            if (recorder && text != null) {
+                recorder.record({ url, method, operation, status, headers: response.headers(), body: text });
+            }
+
+            const ok = status >= 200 && status < 300;
+            if (!ok && !rateLimiter) return;
 
             let body;
             try {
-                body = await response.json();
+                body = text != null ? JSON.parse(text) : await response.json();
             } catch {
-                return; // Not valid JSON
+                // Not valid JSON
+                rateLimiter?.observe(status, text);
+                return;
             }
 
-            responseCount++;
-
-            // Log the first GraphQL response schema to help identify structure
-            if (!schemaLogged) {
-                schemaLogged = true;
-                logger.info(`[interceptor] First GraphQL response from: ${url}`);
-                logger.info(`[interceptor] Top-level keys: ${Object.keys(body || {}).join(', ')}`);
-                // Log structure summary (not full body to avoid log bloat)
-                logStructure(body, 0, 3);
-            }
+            // Throttle errors often arrive as 4xx JSON ("Please wait a few minutes")
+            rateLimiter?.observe(status, body);
+            if (!ok) return;
 
-            // Discover post nodes recursively
-            const nodes = findPostNodes(body);
-            if (nodes.length === 0) return;
-
-            logger.info(`[interceptor] GraphQL response #${responseCount}: ${nodes.length} post node(s) found from ${url}`);
-
-            for (const node of nodes) {
-                const post = normalizePost(node);
-                if (!post) continue;
-
-                // Carousel post — emit each slide as a separate row (same caption/date, unique image)
-                const carouselSlides = node.carousel_media || node.sidecar_media;
-                if (Array.isArray(carouselSlides) && carouselSlides.length > 1) {
-                    logger.info(`[interceptor] Carousel post ${post.postIdentifier}: ${carouselSlides.length} slides`);
-                    carouselSlides.forEach((slide, idx) => {
-                        const slideIsVideo = !!(slide.is_video || slide.video_url || slide.video_versions);
-                        onPost({
-                            ...post,
-                            postIdentifier: `${post.postIdentifier}_c${idx + 1}`,
-                            imageUrl: extractImageUrl(slide) || post.imageUrl,
-                            videoUrl: slideIsVideo ? extractVideoUrl(slide) : null,
-                            mediaType: slideIsVideo ? 'video' : 'image',
-                            // caption always inherited from parent carousel post
-                            rawNode: undefined,
-                        });
-                    });
-                } else {
-                    onPost(post);
-                }
-            }
+            postNodes = [];
+            processResponse(url, body, { operation });
+            onBody?.(request, body, postNodes);
         } catch (err) {
             logger.debug(`[interceptor] Response handling error: ${err.message}`);
         }
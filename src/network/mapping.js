@@ -0,0 +1,152 @@
+/**
+ * Field Mapping Rules
+ *
+ * The interceptor finds posts and their fields by guessing from known field
+ * names. When a clone (or an Instagram schema change) names things
+ * differently, the `mapping` section of the config file says where they are
+ * instead of patching the hint lists:
+ *
+ *   mapping:
+ *     - operation: PolarisProfilePostsQuery      # GraphQL operation name(s), optional
+ *       url: /graphql/query                      # URL substring(s), optional
+ *       posts: $.data.user.timeline.edges[*].node
+ *       fields:
+ *         caption: $.caption.text
+ *         publishedAt: $.taken_at
+ *     - fields:                                  # no match keys: every other response
+ *         imageUrl: $.media.hd_url
+ *
+ * The first rule whose `operation` and `url` both match a response is used.
+ * `posts` is evaluated on the response body and `fields` on each post. A
+ * selector that finds nothing, or a field without one, falls back to the
+ * built-in heuristics.
+ *
+ * Selectors are a JSONPath subset: `$` root, `.name` / `['name']`, `[0]`,
+ * `[-1]`, `[*]` / `.*` (every element or value), `..name` (at any depth).
+ */
+
+export const MAPPING_FIELDS = [
+    'id', 'shortcode', 'caption', 'publishedAt', 'imageUrl', 'videoUrl', 'comments', 'pinned', 'carousel',
+];
+
+const RULE_KEYS = ['operation', 'url', 'posts', 'fields'];
+const MAX_DEPTH = 12;
+
+const NAME = /^[A-Za-z0-9_$@-]+/;
+const BRACKET = /^\[\s*(?:(\*)|(-?\d+)|'([^']*)'|"([^"]*)")\s*\]/;
+
+/**
+ * Compile a selector into a function returning every value it matches.
+ * @param {string} path - e.g. "$.data.items[*].node"
+ * @returns {function(any): any[]}
+ */
+export function compileSelector(path) {
+    if (typeof path !== 'string' || !path.startsWith('$')) {
+        throw new Error(`invalid selector ${JSON.stringify(path)}: must start with "$"`);
+    }
+
+    const steps = [];
+    let rest = path.slice(1);
+    while (rest.length > 0) {
+        let match;
+        if (rest.startsWith('..') && (match = rest.slice(2).match(NAME))) {
+            steps.push({ descend: match[0] });
+            rest = rest.slice(2 + match[0].length);
+        } else if (rest.startsWith('.*')) {
+            steps.push({ wildcard: true });
+            rest = rest.slice(2);
+        } else if (rest.startsWith('.') && (match = rest.slice(1).match(NAME))) {
+            steps.push({ key: match[0] });
+            rest = rest.slice(1 + match[0].length);
+        } else if ((match = rest.match(BRACKET))) {
+            const [whole, star, index, single, double] = match;
+            if (star) steps.push({ wildcard: true });
+            else if (index !== undefined) steps.push({ index: Number(index) });
+            else steps.push({ key: single ?? double });
+            rest = rest.slice(whole.length);
+        } else {
+            throw new Error(`invalid selector "${path}" near "${rest}"`);
+        }
+    }
+
+    return (root) => steps.reduce((values, step) => values.flatMap(v => applyStep(v, step)), [root])
+        .filter(v => v !== undefined);
+}
+
+function applyStep(value, step) {
+    if (value === null || typeof value !== 'object') return [];
+    if (step.key !== undefined) return Array.isArray(value) ? [] : [value[step.key]];
+    if (step.index !== undefined) return Array.isArray(value) ? [value.at(step.index)] : [];
+    if (step.wildcard) return Array.isArray(value) ? value : Object.values(value);
+    return descend(value, step.descend, 0);
+}
+
+function descend(value, key, depth) {
+    if (depth > MAX_DEPTH || value === null || typeof value !== 'object') return [];
+    const found = !Array.isArray(value) && key in value ? [value[key]] : [];
+    for (const child of Object.values(value)) found.push(...descend(child, key, depth + 1));
+    return found;
+}
+
+function asList(value, where) {
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length === 0 || list.some(v => typeof v !== 'string' || !v.trim())) {
+        throw new Error(`${where}: expected a string or a list of strings`);
+    }
+    return list.map(v => v.trim());
+}
+
+/**
+ * Check and compile the config file's `mapping` section.
+ * @param {object[]} [section]
+ * @returns {Array<{ operations: string[]|null, urls: string[]|null, posts: function|null, fields: Object<string, function> }>}
+ */
+export function resolveMapping(section = []) {
+    if (!Array.isArray(section)) throw new Error('mapping: expected a list of rules');
+
+    return section.map((rule, i) => {
+        const where = `mapping[${i}]`;
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${where}: expected an object`);
+        const unknown = Object.keys(rule).filter(k => !RULE_KEYS.includes(k));
+        if (unknown.length > 0) {
+            throw new Error(`${where}: unknown key(s) ${unknown.join(', ')} (known: ${RULE_KEYS.join(', ')})`);
+        }
+
+        const fields = rule.fields ?? {};
+        if (typeof fields !== 'object' || Array.isArray(fields)) throw new Error(`${where}.fields: expected an object`);
+        const unknownFields = Object.keys(fields).filter(k => !MAPPING_FIELDS.includes(k));
+        if (unknownFields.length > 0) {
+            throw new Error(`${where}.fields: unknown field(s) ${unknownFields.join(', ')} (known: ${MAPPING_FIELDS.join(', ')})`);
+        }
+        if (rule.posts == null && Object.keys(fields).length === 0) {
+            throw new Error(`${where}: needs "posts" and/or "fields"`);
+        }
+
+        const compile = (path, key) => {
+            try {
+                return compileSelector(path);
+            } catch (err) {
+                throw new Error(`${where}.${key}: ${err.message}`);
+            }
+        };
+
+        return {
+            operations: rule.operation != null ? asList(rule.operation, `${where}.operation`) : null,
+            urls: rule.url != null ? asList(rule.url, `${where}.url`) : null,
+            posts: rule.posts != null ? compile(rule.posts, 'posts') : null,
+            fields: Object.fromEntries(Object.entries(fields).map(([k, path]) => [k, compile(path, `fields.${k}`)])),
+        };
+    });
+}
+
+/**
+ * The rule for a response: the first one whose operation and URL match.
+ * @param {ReturnType<typeof resolveMapping>} rules
+ * @param {{ url: string, operation?: string|null }} response
+ */
+export function findRule(rules, { url, operation = null }) {
+    return rules.find(rule =>
+        (!rule.operations || (operation != null && rule.operations.includes(operation))) &&
+        (!rule.urls || rule.urls.some(u => url?.includes(u)))
+    ) ?? null;
+}
@@ -0,0 +1,77 @@
+/**
+ * Media Capture
+ *
+ * With --capture-media, image and video bodies the page loads itself are
+ * kept when their URL is the media URL of a post found in the same run. The
+ * download job then saves those bytes instead of fetching the file again, so
+ * it crosses the network once.
+ *
+ * Only posts already discovered are wanted, and a body is handed out once,
+ * so nothing else is held in memory. Partial (206) video responses cannot be
+ * reused; those files are downloaded as usual.
+ */
+import { createLogger } from '../logger/index.js';
+
+const logger = createLogger('media-capture');
+
+const MEDIA_TYPES = new Set(['image', 'media']);
+
+export function createMediaCapture() {
+    const wanted = new Set();
+    const bodies = new Map(); // url → Promise<Buffer|null>
+
+    function observe(response) {
+        const url = response.url();
+        if (!wanted.has(url) || bodies.has(url)) return;
+        if (response.status() !== 200 || !MEDIA_TYPES.has(response.request().resourceType())) return;
+        bodies.set(url, response.body().catch((err) => {
+            logger.debug(`Could not read media body ${url}: ${err.message}`);
+            return null;
+        }));
+    }
+
+    return {
+        captured: 0,
+
+        /** Keep the body of `url` if the page loads it. */
+        want(url) {
+            if (url) wanted.add(url);
+        },
+
+        /** Whether `url` is a wanted media URL (lets it past a blocking resource policy). */
+        wants(url) {
+            return wanted.has(url);
+        },
+
+        /**
+         * The captured body of `url`, if the page has loaded it. Either way
+         * the URL is no longer wanted afterwards.
+         * @returns {Promise<Buffer|null>}
+         */
+        async take(url) {
+            wanted.delete(url);
+            const body = bodies.get(url);
+            if (!body) return null;
+            bodies.delete(url);
+            const data = await body;
+            if (data?.length) this.captured++;
+            return data?.length ? data : null;
+        },
+
+        /**
+         * Watch a page's responses.
+         * @param {import('playwright').Page} page
+         * @returns {{ stop: function }}
+         */
+        attach(page) {
+            page.on('response', observe);
+            return {
+                stop: () => {
+                    page.off('response', observe);
+                    wanted.clear();
+                    bodies.clear();
+                },
+            };
+        },
+    };
+}
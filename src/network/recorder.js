@@ -0,0 +1,90 @@
+/**
+ * GraphQL Response Recorder
+ *
+ * Persists every response the interceptor matches (--record <dir>) so that
+ * extraction bugs can be reproduced later without hitting the site again.
+ *
+ * Layout — one directory per scrape session:
+ *   <dir>/session-<id>-<timestamp>/
+ *     session.json        ← { sessionId, sourceUrl, startedAt, gzip }
+ *     index.ndjson        ← one line per response: { seq, file, url, method, operation, status, timestamp, bytes }
+ *     000001.json[.gz]    ← { url, method, operation, status, headers, timestamp, body }
+ *
+ * `body` is the raw response text, byte-for-byte as received. `operation` is
+ * the GraphQL operation name the request carried, or null.
+ */
+import { mkdir, writeFile, appendFile } from 'fs/promises';
+import { join } from 'path';
+import { gzip as gzipCb } from 'zlib';
+import { promisify } from 'util';
+import { createLogger } from '../logger/index.js';
+
+const logger = createLogger('recorder');
+const gzipAsync = promisify(gzipCb);
+
+export const RECORD_INDEX_FILE = 'index.ndjson';
+export const RECORD_SESSION_FILE = 'session.json';
+
+/**
+ * Create a recorder for one scrape session.
+ *
+ * @param {object} opts
+ * @param {string} opts.dir           - root recording directory
+ * @param {number|string} opts.sessionId
+ * @param {string} opts.sourceUrl
+ * @param {boolean} [opts.gzip=false] - gzip each response file
+ * @returns {Promise<{ dir: string, record: function(object): Promise<void>, close: function(): Promise<number> }>}
+ */
+export async function createRecorder({ dir, sessionId, sourceUrl, gzip = false }) {
+    const startedAt = new Date();
+    const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+    const sessionDir = join(dir, `session-${sessionId}-${stamp}`);
+    await mkdir(sessionDir, { recursive: true });
+
+    await writeFile(
+        join(sessionDir, RECORD_SESSION_FILE),
+        JSON.stringify({ sessionId, sourceUrl, startedAt: startedAt.toISOString(), gzip }, null, 2)
+    );
+
+    let seq = 0;
+    let failures = 0;
+    let chain = Promise.resolve();
+
+    logger.info(`Recording GraphQL responses to ${sessionDir}${gzip ? ' (gzip)' : ''}`);
+
+    /**
+     * Queue one response for writing. Sequence numbers are assigned in
+     * arrival order; writes are serialized so the index stays ordered.
+     */
+    function record({ url, method, operation = null, status, headers, body }) {
+        const n = ++seq;
+        const timestamp = new Date().toISOString();
+        const file = `${String(n).padStart(6, '0')}.json${gzip ? '.gz' : ''}`;
+
+        chain = chain.then(async () => {
+            try {
+                const json = JSON.stringify({ url, method, operation, status, headers, timestamp, body });
+                const data = gzip ? await gzipAsync(json) : json;
+                await writeFile(join(sessionDir, file), data);
+                const line = { seq: n, file, url, method, operation, status, timestamp, bytes: Buffer.byteLength(body || '') };
+                await appendFile(join(sessionDir, RECORD_INDEX_FILE), JSON.stringify(line) + '\n');
+            } catch (err) {
+                failures++;
+                logger.warn(`Failed to record response #${n}: ${err.message}`);
+            }
+        });
+        return chain;
+    }
+
+    /**
+     * Wait for pending writes.
+     * @returns {Promise<number>} number of responses recorded
+     */
+    async function close() {
+        await chain;
+        logger.info(`Recorded ${seq - failures} response(s) to ${sessionDir}`);
+        return seq - failures;
+    }
+
+    return { dir: sessionDir, record, close };
+}
@@ -0,0 +1,166 @@
+/**
+ * Offline Replay Sources
+ *
+ * Loads previously captured responses for --replay so the full pipeline can
+ * run without launching a browser:
+ *
+ *   - a --record session directory (contains index.ndjson)
+ *   - a --record root directory (every session-* subdirectory, in name order)
+ *   - a HAR file exported from browser devtools / Playwright recordHar
+ *
+ * Each source yields the same response shape the live interceptor sees, and
+ * can serve media bytes when the capture contains them (HAR with content).
+ */
+import { readFile, readdir, stat } from 'fs/promises';
+import { join, basename } from 'path';
+import { gunzip as gunzipCb } from 'zlib';
+import { promisify } from 'util';
+import { isGraphQLResponse, graphqlOperation } from './interceptor.js';
+import { DEFAULT_PLATFORM } from '../platform/index.js';
+import { RECORD_INDEX_FILE, RECORD_SESSION_FILE } from './recorder.js';
+import { createLogger } from '../logger/index.js';
+
+const logger = createLogger('replay');
+const gunzipAsync = promisify(gunzipCb);
+
+/**
+ * @typedef {object} ReplaySource
+ * @property {string} label                 - human-readable origin (for logs)
+ * @property {string|null} sourceUrl        - profile URL the capture was taken from
+ * @property {function(): AsyncGenerator<{url, method, operation, status, headers, body: string}>} responses
+ * @property {function(string): Buffer|null} getMedia - recorded bytes for a media URL
+ */
+
+/**
+ * Load one or more replay sources from a path.
+ * @param {string} path - session dir, recordings root dir, or .har file
+ * @param {object} [opts]
+ * @param {object} [opts.platform] - GraphQL URL patterns picking responses out of a HAR
+ * @returns {Promise<ReplaySource[]>}
+ */
+export async function loadReplaySources(path, { platform = DEFAULT_PLATFORM } = {}) {
+    const info = await stat(path);
+
+    if (info.isFile()) {
+        return [await loadHar(path, platform)];
+    }
+
+    if (await exists(join(path, RECORD_INDEX_FILE))) {
+        return [await loadRecordedSession(path)];
+    }
+
+    const sessions = [];
+    for (const entry of (await readdir(path, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.isDirectory() && await exists(join(path, entry.name, RECORD_INDEX_FILE))) {
+            sessions.push(await loadRecordedSession(join(path, entry.name)));
+        }
+    }
+    if (sessions.length === 0) {
+        throw new Error(`No recorded sessions found in ${path} (expected ${RECORD_INDEX_FILE} or session-* folders)`);
+    }
+    return sessions;
+}
+
+// ─── --record directories ─────────────────────────────────────────────────────
+
+async function loadRecordedSession(dir) {
+    let meta = {};
+    try {
+        meta = JSON.parse(await readFile(join(dir, RECORD_SESSION_FILE), 'utf-8'));
+    } catch {
+        logger.warn(`No readable ${RECORD_SESSION_FILE} in ${dir} — source URL unknown`);
+    }
+
+    const index = (await readFile(join(dir, RECORD_INDEX_FILE), 'utf-8'))
+        .split('\n')
+        .filter(line => line.trim())
+        .flatMap((line) => {
+            try {
+                return [JSON.parse(line)];
+            } catch {
+                logger.warn(`Skipping unreadable index line in ${dir}`);
+                return [];
+            }
+        })
+        .sort((a, b) => a.seq - b.seq);
+
+    logger.info(`Loaded recording ${basename(dir)}: ${index.length} response(s)`);
+
+    return {
+        label: dir,
+        sourceUrl: meta.sourceUrl || null,
+        async *responses() {
+            for (const item of index) {
+                let raw = await readFile(join(dir, item.file));
+                if (item.file.endsWith('.gz')) raw = await gunzipAsync(raw);
+                yield JSON.parse(raw.toString('utf-8'));
+            }
+        },
+        getMedia: () => null,
+    };
+}
+
+// ─── HAR files ────────────────────────────────────────────────────────────────
+
+async function loadHar(file, platform) {
+    const har = JSON.parse(await readFile(file, 'utf-8'));
+    const entries = har?.log?.entries;
+    if (!Array.isArray(entries)) {
+        throw new Error(`${file} is not a HAR file (missing log.entries)`);
+    }
+
+    const responses = [];
+    const media = new Map();
+    let documentUrl = null;
+
+    for (const entry of entries) {
+        const url = entry.request?.url;
+        const method = entry.request?.method || 'GET';
+        const content = entry.response?.content || {};
+        const mimeType = content.mimeType || '';
+
+        if (!documentUrl && mimeType.includes('text/html')) documentUrl = url;
+
+        if (typeof content.text !== 'string') continue;
+        const bytes = Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf-8');
+
+        if (/^(image|video)\//.test(mimeType)) {
+            media.set(url, bytes);
+        } else if (mimeType.includes('json') && isGraphQLResponse(url, method, platform)) {
+            responses.push({
+                url,
+                method,
+                operation: graphqlOperation({
+                    url,
+                    headers: Object.fromEntries((entry.request.headers || []).map(h => [h.name.toLowerCase(), h.value])),
+                    postData: entry.request.postData?.text ?? null,
+                }),
+                status: entry.response.status,
+                headers: Object.fromEntries(
+                    (entry.response.headers || []).map(h => [h.name.toLowerCase(), h.value])
+                ),
+                body: bytes.toString('utf-8'),
+            });
+        }
+    }
+
+    logger.info(`Loaded HAR ${basename(file)}: ${responses.length} GraphQL response(s), ${media.size} media file(s)`);
+
+    return {
+        label: file,
+        sourceUrl: har.log.pages?.[0]?.title?.startsWith('http') ? har.log.pages[0].title : documentUrl,
+        async *responses() {
+            yield* responses;
+        },
+        getMedia: (url) => media.get(url) || null,
+    };
+}
+
+async function exists(path) {
+    try {
+        await stat(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
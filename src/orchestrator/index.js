@@ -8,31 +8,711 @@ import {
     createSession,
     finalizeSession,
     insertPost,
-    getLatestPublishedAt,
+    updateImagePath,
+    addPendingJob,
+    removePendingJob,
+    getPendingJobs,
+    recordFailure,
+    resolveFailure,
+    getFailures,
+    getCoverage,
     getPostDateRange,
     closeDb,
 } from '../database/index.js';
-import { launchBrowser, navigateTo, closeBrowser } from '../browser/index.js';
-import { attachInterceptor } from '../network/interceptor.js';
+import { launchBrowser, openContext, navigateTo, closeBrowser } from '../browser/index.js';
+import { createAuthWatch } from '../browser/auth.js';
+import { DEFAULT_FINGERPRINT } from '../browser/fingerprint.js';
+import { DEFAULT_PLATFORM, platformUrl } from '../platform/index.js';
+import { openAuthPool } from '../auth/pool.js';
+import { writeAuthState } from '../auth/state.js';
+import { cookieExpiries } from '../auth/cookies.js';
+import { attachInterceptor, createResponseProcessor } from '../network/interceptor.js';
+import { createRecorder } from '../network/recorder.js';
+import { loadReplaySources } from '../network/replay.js';
+import { createMediaCapture } from '../network/media.js';
+import { createDriftTracker, checkDrift, describeDrift } from '../network/drift.js';
 import { driveScroll } from '../scroll/controller.js';
+import { createPaginationTracker, drivePagination } from '../scroll/paginator.js';
 import { PostProcessor } from '../post/processor.js';
-import { downloadImage } from '../image/downloader.js';
+import { toPendingJob, fromPendingJob } from '../queue/pending.js';
+import { toFailure, needsFreshUrl } from '../queue/deadletter.js';
+import { downloadImage, saveMedia } from '../image/downloader.js';
+import { parseSchedule, parseDuration, sleep, WatchStatus } from '../watch/index.js';
+import { mergeIntervals, findGaps, formatInterval, keywordSet, coversKeywords } from '../resume/index.js';
+import { createRateLimiter } from '../ratelimit/index.js';
+import { createProxyPool, isProxyError, DEFAULT_PROXY_KEY } from '../proxy/index.js';
 import PQueue from 'p-queue';
 
 const logger = createLogger('orchestrator');
 
+// Default time queued jobs get to finish after a shutdown signal before the
+// rest are cancelled (opts.drainTimeoutMs)
+const SHUTDOWN_DRAIN_MS = 30000;
+
+/**
+ * Scrape a single profile (--url).
+ * @returns {Promise<object>} run summary
+ */
 export async function run(opts) {
+    const [result] = await runTargets(opts, [{ url: opts.url }], { isolateErrors: false });
+    return result.summary;
+}
+
+/**
+ * Scrape every profile from a targets file (--targets) in one invocation.
+ * Storage and the browser context are opened once and shared; each target
+ * gets its own scrape session. A failing target is logged and skipped.
+ *
+ * @param {object} opts - same as run(), plus `targets` from loadTargets()
+ * @returns {Promise<{ targets: object[], totals: object }>}
+ */
+export async function runBatch(opts) {
+    const startTime = Date.now();
+    const results = await runTargets(opts, opts.targets, { isolateErrors: true });
+
+    const succeeded = results.filter(r => r.summary);
+    const sum = (key) => succeeded.reduce((acc, r) => acc + (r.summary[key] ?? 0), 0);
+
+    const totals = {
+        targets: results.length,
+        targetsSucceeded: succeeded.length,
+        targetsFailed: results.length - succeeded.length,
+        totalPostsSeen: sum('totalPostsSeen'),
+        totalPostsStored: sum('totalPostsStored'),
+        totalPostsSkipped: sum('totalPostsSkipped'),
+        imagesDownloaded: sum('imagesDownloaded'),
+        imagesFailed: sum('imagesFailed'),
+        schemaDrift: sum('schemaDrift'),
+        totalErrors: sum('totalErrors') + results.length - succeeded.length,
+        runtimeSeconds: Math.round((Date.now() - startTime) / 1000),
+    };
+
+    logBanner('BATCH COMPLETE');
+    for (const r of results) {
+        logger.info(
+            r.summary
+                ? `  ✓ ${r.url}: stored ${r.summary.totalPostsStored}, skipped ${r.summary.totalPostsSkipped}, errors ${r.summary.totalErrors}${r.summary.schemaDrift ? `, schema drift ${r.summary.schemaDrift}` : ''}`
+                : `  ✗ ${r.url}: ${r.error}`
+        );
+    }
+    logger.info('────────────────────────────────────────────────────');
+    Object.entries(totals).forEach(([k, v]) =>
+        logger.info(`  ${k}: ${v}`)
+    );
+    logger.info('════════════════════════════════════════════════════');
+
+    return { targets: results, totals };
+}
+
+/**
+ * Re-scrape profiles on a schedule until `signal` aborts (--watch).
+ *
+ * Each target keeps its own schedule (target.schedule, else opts.schedule).
+ * Every cycle goes through the normal pipeline, so the coverage recorded by
+ * the previous cycle means only posts newer than it are fetched.
+ * A random delay of up to opts.jitter is added to each next run time.
+ * Progress is mirrored to opts.statusFile for health monitoring.
+ *
+ * @param {object} opts - same as runBatch(), plus:
+ * @param {string} opts.schedule     - default interval ("15m") or cron expression
+ * @param {string} [opts.jitter='0'] - max random delay added per cycle ("2m")
+ * @param {string} opts.statusFile   - JSON health/status file path
+ * @param {AbortSignal} [opts.signal] - aborting interrupts the current cycle
+ *        (see scrapeTarget) and stops the watch
+ * @param {boolean} [opts.failOnDrift] - also stop when a cycle reports schema drift
+ * @returns {Promise<{ status: 'stopped'|'auth_expired'|'schema_drift' }>} the
+ *          watch also stops when a cycle hits a login wall
+ */
+export async function runWatch(opts) {
+    const { signal } = opts;
+    const jitterMs = parseDuration(opts.jitter || 0);
+    const targets = opts.targets || [{ url: opts.url }];
+
+    const schedules = targets.map(t => ({
+        target: t,
+        schedule: parseSchedule(t.schedule || opts.schedule),
+        nextRunAt: new Date(),
+    }));
+
+    const status = new WatchStatus(
+        opts.statusFile,
+        schedules.map(s => ({ url: s.target.url, schedule: s.schedule.spec }))
+    );
+
+    const pipeline = await openPipeline(opts);
+    let authExpired = false;
+    let drifted = false;
+    const stopState = () => {
+        if (authExpired) return 'auth_expired';
+        return drifted ? 'schema_drift' : 'stopped';
+    };
+
+    try {
+        await status.update({ state: 'idle' });
+
+        while (!signal?.aborted) {
+            const due = schedules.reduce((a, b) => (b.nextRunAt < a.nextRunAt ? b : a));
+            const waitMs = due.nextRunAt.getTime() - Date.now();
+
+            if (waitMs > 0) {
+                logger.info(`Watch: next run ${due.target.url} at ${due.nextRunAt.toISOString()}`);
+                await sleep(waitMs, signal);
+                continue;
+            }
+
+            const entry = status.target(due.target.url);
+            await status.update({ state: 'scraping' });
+
+            // A cycle aborted by throttling leaves the limiter tripped; the
+            // schedule has spaced the next cycle out, so start it fresh
+            if (pipeline.rateLimiter.exceeded) pipeline.rateLimiter.reset();
+
+            try {
+                const summary = await scrapeWithAccounts(pipeline, resolveTarget(due.target, opts));
+                Object.assign(entry, {
+                    lastStatus: summary.status === 'completed' ? 'ok' : summary.status,
+                    lastError: summary.status === 'auth_expired' ? summary.stopReason : null,
+                    lastPostsStored: summary.totalPostsStored,
+                    lastSchemaDrift: summary.schemaDrift ?? null,
+                });
+                // With a pool, accounts that are only cooling down can take the next cycle
+                if (summary.status === 'auth_expired' && !pipeline.pool?.hasUsable()) authExpired = true;
+                if (opts.failOnDrift && summary.schemaDrift > 0) drifted = true;
+            } catch (err) {
+                logger.error(`Watch cycle failed [${due.target.url}]: ${err.message}`);
+                Object.assign(entry, { lastStatus: 'error', lastError: err.message });
+            }
+
+            const jitter = Math.round(Math.random() * jitterMs);
+            due.nextRunAt = new Date(due.schedule.next(new Date()).getTime() + jitter);
+            Object.assign(entry, {
+                runs: entry.runs + 1,
+                lastRunAt: new Date().toISOString(),
+                nextRunAt: due.nextRunAt.toISOString(),
+            });
+            await status.update({ state: 'idle', cycles: status.state.cycles + 1 });
+
+            // Every later cycle would hit the same login wall / changed payloads
+            if (authExpired || drifted) break;
+        }
+
+        if (authExpired) {
+            logger.error('Watch: auth expired — stopping (refresh --auth-state and restart)');
+        } else if (drifted) {
+            logger.error(`Watch: schema drift — stopping (see lastReport in ${opts.schema?.file})`);
+        } else {
+            logger.info('Watch: shutdown requested — stopping');
+            await status.update({ state: 'stopping' });
+        }
+    } finally {
+        await pipeline.close();
+        // Left as auth_expired / schema_drift so monitoring can tell it apart from a clean stop
+        await status.update({ state: stopState() });
+    }
+
+    return { status: stopState() };
+}
+
+/**
+ * Run the pipeline offline from captured responses (--replay): no browser is
+ * launched. Responses go through the same post discovery, filtering,
+ * download and storage steps as a live scrape.
+ *
+ * @param {object} opts - same as run(), plus:
+ * @param {string} opts.replay - recording session dir, recordings root, or .har file
+ * @param {'network'|'recording'|'none'} [opts.replayMedia='network'] - where media bytes come from
+ * @param {string} [opts.url] - overrides the source URL stored in the capture
+ * @returns {Promise<object[]>} one summary per replayed session
+ */
+export async function runReplay(opts) {
+    const sources = await loadReplaySources(opts.replay, { platform: opts.platform });
+    const proxyPool = (opts.replayMedia ?? 'network') === 'network' ? await openProxyPool(opts) : null;
+    const db = await openStorage(opts);
+    const summaries = [];
+
+    try {
+        for (const source of sources) {
+            const url = opts.url || source.sourceUrl;
+            if (!url) {
+                throw new Error(`Cannot tell which profile ${source.label} was captured from — pass --url`);
+            }
+
+            logger.info(`Replaying ${source.label} as ${url}`);
+            if (opts.signal?.aborted) break;
+            summaries.push(await scrapeTarget(
+                { db, replay: source, replayMedia: opts.replayMedia, signal: opts.signal, drainTimeoutMs: opts.drainTimeoutMs, proxyPool, fingerprint: opts.fingerprint, platform: opts.platform, mapping: opts.mapping },
+                resolveTarget({ url }, opts)
+            ));
+        }
+    } finally {
+        await closeDb(db);
+    }
+
+    return summaries;
+}
+
+/**
+ * Only store the posts left pending by earlier runs, without scraping.
+ * (Every live run also does this on startup.)
+ *
+ * @param {object} opts - storage options, workers, signal, drainTimeoutMs
+ * @returns {Promise<{ total: number, done: number, stored: number, pending: number }>}
+ */
+export async function recoverPendingJobs(opts) {
+    const proxyPool = await openProxyPool(opts);
+    const db = await openStorage(opts);
+    try {
+        return await processPendingJobs(db, { ...opts, proxyPool });
+    } finally {
+        await closeDb(db);
+    }
+}
+
+/**
+ * Re-attempt the failed media downloads and inserts in the dead-letter store
+ * (`retry-failed`). Media URLs that have expired or that the CDN refuses are
+ * refreshed by revisiting the post page; the browser is only launched when
+ * one is needed. Jobs that fail again stay in the store with attempts bumped.
+ *
+ * @param {object} opts - storage options, headless, authStatePath (or authDir/accounts), proxies, signal
+ * @returns {Promise<{ total: number, resolved: number, failed: number, refreshed: number }>}
+ */
+export async function retryFailed(opts) {
+    const { signal = null } = opts;
+    const authPool = opts.authDir ? await openAuthPool({ dir: opts.authDir, names: opts.accounts }) : null;
+    const account = authPool?.pick() ?? null;
+    const authStatePath = authPool ? account?.statePath ?? null : opts.authStatePath;
+    const proxyPool = await openProxyPool(opts, authPool);
+    const mediaOpts = { proxyPool, proxyKey: account?.name ?? DEFAULT_PROXY_KEY, fingerprint: opts.fingerprint, platform: opts.platform };
+    const db = await openStorage(opts);
+    const refresher = createMediaRefresher({ ...opts, authStatePath, proxy: proxyPool?.assign(mediaOpts.proxyKey) ?? null });
+    const result = { total: 0, resolved: 0, failed: 0, refreshed: 0 };
+
+    try {
+        const failures = await getFailures(db);
+        result.total = failures.length;
+        if (failures.length === 0) {
+            logger.info('No failed jobs to retry');
+            return result;
+        }
+
+        logger.info(`Retrying ${failures.length} failed job(s)...`);
+        for (const [idx, failure] of failures.entries()) {
+            if (signal?.aborted) {
+                logger.warn(`Shutdown requested — leaving ${failures.length - idx} failed job(s) for later`);
+                break;
+            }
+
+            const outcome = await retryFailure(db, failure, refresher, signal, mediaOpts);
+            if (outcome === 'resolved') result.resolved++;
+            else if (outcome === 'failed') result.failed++;
+        }
+    } finally {
+        result.refreshed = refresher.refreshed;
+        await refresher.close();
+        await closeDb(db);
+    }
+
+    logger.info(
+        `Retry complete: ${result.resolved} resolved, ${result.failed} still failing, ${result.refreshed} media URL(s) refreshed`
+    );
+    return result;
+}
+
+/**
+ * Open storage + browser once, then scrape each target in turn.
+ */
+async function runTargets(opts, targets, { isolateErrors }) {
+    const pipeline = await openPipeline(opts);
+    const results = [];
+
+    try {
+        for (const [idx, target] of targets.entries()) {
+            if (opts.signal?.aborted) {
+                logger.warn(`Shutdown requested — skipping ${targets.length - idx} remaining target(s)`);
+                break;
+            }
+            if (pipeline.rateLimiter.exceeded) {
+                logger.warn(`Rate limited — skipping ${targets.length - idx} remaining target(s)`);
+                break;
+            }
+            if (targets.length > 1) {
+                logger.info(`── Target ${idx + 1}/${targets.length}: ${target.url}`);
+            }
+
+            try {
+                const summary = await scrapeWithAccounts(pipeline, resolveTarget(target, opts));
+                results.push({ url: target.url, summary });
+                if (summary.status === 'auth_expired' && !pipeline.pool?.hasUsable() && idx < targets.length - 1) {
+                    logger.error(`Auth expired — skipping ${targets.length - idx - 1} remaining target(s)`);
+                    break;
+                }
+            } catch (err) {
+                if (!isolateErrors) throw err;
+                logger.error(`Target failed [${target.url}]: ${err.message}`);
+                results.push({ url: target.url, error: err.message });
+            }
+        }
+    } finally {
+        await pipeline.close();
+    }
+
+    return results;
+}
+
+/**
+ * Open the configured storage and launch the shared browser. With an auth
+ * pool (opts.authDir) the browser starts logged in as the least-used
+ * available account, and `useAccount()` switches it to another one.
+ * With a proxy pool, each account (or the single session) goes through its
+ * own proxy, and `ensureProxy()` moves the browser off a dropped one.
+ * @returns {Promise<{ db, page, record, schema, paginate, signal, drainTimeoutMs, rateLimiter, pool, account,
+ *                     proxyPool, proxy, rotatePerTarget, useAccount: function(object): Promise<void>,
+ *                     ensureProxy: function(): Promise<void>, refreshAuthState: function(object): Promise<void>,
+ *                     close: function(): Promise<void> }>}
+ */
+async function openPipeline(opts) {
+    const { headless, record = null, paginate = false, signal = null, drainTimeoutMs } = opts;
+
+    // ── Accounts ──────────────────────────────────────
+    const pool = opts.authDir
+        ? await openAuthPool({ dir: opts.authDir, names: opts.accounts, cooldownMs: opts.accountCooldownMs })
+        : null;
+    const account = pool?.pick() ?? null;
+    if (pool && !account) {
+        throw new Error(`Every account in ${pool.dir} has expired — re-save them with: node save-auth.js --name=<account>`);
+    }
+
+    const rateLimiter = createRateLimiter({
+        baseDelayMs: opts.throttleBackoffMs,
+        maxThrottles: opts.maxThrottles,
+        // Rather than waiting out a throttle, hand over to a rested account
+        shouldAbort: pool ? () => !!pool.next(pipeline.account) : null,
+    });
+
+    const proxyPool = await openProxyPool(opts, pool);
+    const proxyFor = (name) => proxyPool?.assign(name ?? DEFAULT_PROXY_KEY) ?? null;
+
+    // Post media the page loads anyway is reused, and let past a blocking policy
+    const mediaCapture = opts.captureMedia ? createMediaCapture() : null;
+    const contextOpts = {
+        fingerprint: opts.fingerprint,
+        resourcePolicy: opts.resourcePolicy,
+        allowResource: mediaCapture?.wants ?? null,
+    };
+
+    const db = await openStorage(opts);
+
+    // ── Leftovers from earlier runs ───────────────────
+    try {
+        await processPendingJobs(db, { ...opts, proxyPool });
+    } catch (err) {
+        await closeDb(db);
+        throw err;
+    }
+
+    // ── Browser ───────────────────────────────────────
+    let launched;
+    let proxy;
+    try {
+        proxy = proxyFor(account?.name);
+        logger.info(account ? `Launching browser as account ${account.name}...` : 'Launching browser...');
+        launched = await launchBrowser({
+            headless,
+            authStatePath: account ? account.statePath : opts.authStatePath,
+            userDataDir: opts.userDataDir,
+            proxy,
+            ...contextOpts,
+        });
+    } catch (err) {
+        await closeDb(db);
+        throw err;
+    }
+
+    // New context (and page) for `statePath`, through the proxy assigned to `name`.
+    // A persistent profile has a single context, so it is relaunched instead.
+    const reopen = async (statePath, name) => {
+        const nextProxy = proxyFor(name);
+        if (launched.persistent) {
+            await closeBrowser(launched.browser);
+            launched = await launchBrowser({ headless, userDataDir: opts.userDataDir, proxy: nextProxy, ...contextOpts });
+        } else {
+            await launched.context.close();
+            const opened = await openContext(launched.browser, { authStatePath: statePath, proxy: nextProxy, ...contextOpts });
+            launched = { ...launched, ...opened };
+        }
+        pipeline.page = launched.page;
+        pipeline.proxy = nextProxy;
+    };
+
+    const pipeline = {
+        db,
+        page: launched.page,
+        record,
+        schema: opts.schema ?? null,
+        paginate,
+        signal,
+        drainTimeoutMs,
+        rateLimiter,
+        pool,
+        account: account?.name ?? null,
+        statePath: account ? account.statePath : opts.authStatePath,
+        proxyPool,
+        proxy,
+        fingerprint: opts.fingerprint,
+        platform: opts.platform,
+        mapping: opts.mapping,
+        mediaCapture,
+        rotatePerTarget: opts.rotate !== 'failure',
+        /** Log the browser in as another pool account (new context, fresh rate limiter). */
+        useAccount: async (next) => {
+            if (!next || next.name === pipeline.account) return;
+            logger.info(`Switching account: ${pipeline.account} → ${next.name}`);
+            await reopen(next.statePath, next.name);
+            pipeline.account = next.name;
+            pipeline.statePath = next.statePath;
+            rateLimiter.reset();
+        },
+        /** Reconnect through another proxy if the pool has dropped the current one. */
+        ensureProxy: async () => {
+            if (!proxyPool || proxyPool.isHealthy(pipeline.proxy)) return;
+            logger.warn(`Proxy ${pipeline.proxy.label} was dropped — reconnecting the browser`);
+            await reopen(pipeline.statePath, pipeline.account);
+        },
+        /**
+         * --refresh-auth: write the cookies Instagram rotated during a run
+         * back to the session file. Skipped when the run ended on a login wall.
+         */
+        refreshAuthState: async (summary) => {
+            if (!opts.refreshAuth || !pipeline.statePath) return;
+            if (summary.status === 'auth_expired') {
+                logger.warn(`Not refreshing ${pipeline.statePath}: the session ended on a login wall`);
+                return;
+            }
+            try {
+                const state = await launched.context.storageState();
+                if (!cookieExpiries(state, new Date(), opts.platform).find(c => c.name === 'sessionid').present) {
+                    logger.warn(`Not refreshing ${pipeline.statePath}: the browser has no sessionid cookie`);
+                    return;
+                }
+                await writeAuthState(pipeline.statePath, state);
+                logger.info(`Refreshed auth state: ${pipeline.statePath} (previous kept as .bak)`);
+            } catch (err) {
+                logger.warn(`Could not refresh ${pipeline.statePath}: ${err.message}`);
+            }
+        },
+        close: async () => {
+            await closeBrowser(launched.browser);
+            await closeDb(db);
+        },
+    };
+    return pipeline;
+}
+
+/**
+ * scrapeTarget() with the auth pool (--auth-dir). The least-used available
+ * account is picked first (per target, unless --rotate=failure). When a
+ * throttle or a login wall ends the run, the pool rests or expires that
+ * account and the target is retried with the next available one; coverage
+ * makes the retry fetch only what is still missing.
+ *
+ * With or without a pool, each run's session is written back afterwards
+ * when --refresh-auth is on.
+ */
+async function scrapeWithAccounts(pipeline, target) {
+    const { pool } = pipeline;
+    if (!pool) {
+        const summary = await scrapeThroughProxy(pipeline, target);
+        await pipeline.refreshAuthState(summary);
+        return summary;
+    }
+
+    if (pipeline.rotatePerTarget || !pool.isAvailable(pipeline.account)) {
+        await pipeline.useAccount(pool.pick());
+    }
+
+    const attempts = [];
+    while (true) {
+        const summary = await scrapeThroughProxy(pipeline, target);
+        attempts.push(summary);
+        await pipeline.refreshAuthState(summary);
+        await pool.record(pipeline.account, summary);
+
+        if (summary.status !== 'rate_limited' && summary.status !== 'auth_expired') break;
+        if (pipeline.signal?.aborted) break;
+
+        const next = pool.next(pipeline.account);
+        if (!next) {
+            logger.warn(`No other account available for ${target.url}`);
+            break;
+        }
+        logger.warn(`Retrying ${target.url} with account ${next.name}`);
+        await pipeline.useAccount(next);
+    }
+
+    return mergeAttempts(attempts);
+}
+
+/**
+ * scrapeTarget() on a browser whose proxy is still in the pool. A run that
+ * fails because the browser cannot reach Instagram through the proxy counts
+ * against that proxy.
+ */
+async function scrapeThroughProxy(pipeline, target) {
+    const { proxyPool } = pipeline;
+    if (!proxyPool) return scrapeTarget(pipeline, target);
+
+    await pipeline.ensureProxy();
+    const { proxy } = pipeline;
+    try {
+        const summary = await scrapeTarget(pipeline, target);
+        proxyPool.reportSuccess(proxy);
+        return summary;
+    } catch (err) {
+        if (isProxyError(err)) proxyPool.reportFailure(proxy, err.message.split('\n')[0]);
+        throw err;
+    }
+}
+
+/**
+ * Proxy pool for opts.proxies (--proxy / --proxy-list), health-checked
+ * unless opts.proxyCheck is false. With an auth pool, the account → proxy
+ * assignments are kept in its stats file.
+ * @returns {Promise<ReturnType<typeof createProxyPool>|null>} null without proxies
+ */
+async function openProxyPool(opts, authPool = null) {
+    if (!opts.proxies?.length) return null;
+
+    const proxyPool = createProxyPool(opts.proxies, {
+        maxFailures: opts.proxyMaxFailures,
+        assignments: authPool?.proxyAssignments(),
+        // assign() is synchronous, so the save is not awaited here. It takes
+        // its turn on the auth pool's save chain with the record() saves, so
+        // it cannot break them; a failed one is only logged.
+        onAssign: authPool && ((name, label) => {
+            authPool.setProxy(name, label).catch(err => logger.warn(`Could not save proxy of ${name}: ${err.message}`));
+        }),
+    });
+    if (opts.proxyCheck !== false) {
+        logger.info(`Checking ${proxyPool.size} proxy(ies)...`);
+        await proxyPool.checkAll({ url: platformUrl('/robots.txt', opts.platform) });
+        if (proxyPool.healthy.length === 0) {
+            throw Object.assign(new Error('No proxy passed the health check'), { code: 'EPROXY' });
+        }
+    }
+    return proxyPool;
+}
+
+// Summary counters added up when a target took several accounts
+const SUMMED_KEYS = [
+    'totalPostsSeen', 'totalPostsStored', 'totalPostsSkipped', 'pinnedOlderSkipped', 'jobsCancelled',
+    'throttles', 'imagesDownloaded', 'imagesFailed', 'mediaCaptured', 'deadLettered', 'totalErrors', 'runtimeSeconds',
+];
+
+/**
+ * One summary for a target retried with several accounts: counters are
+ * summed, everything else comes from the last attempt.
+ */
+function mergeAttempts(attempts) {
+    const last = attempts[attempts.length - 1];
+    if (attempts.length === 1) return last;
+
+    const merged = { ...last, accounts: attempts.map(a => a.account) };
+    delete merged.account;
+    for (const key of SUMMED_KEYS) {
+        merged[key] = attempts.reduce((acc, a) => acc + (a[key] || 0), 0);
+    }
+    const stored = attempts.flatMap(a => [a.oldestStoredPost, a.newestStoredPost]).filter(d => d && d !== 'N/A').sort();
+    merged.oldestStoredPost = stored[0] || 'N/A';
+    merged.newestStoredPost = stored[stored.length - 1] || 'N/A';
+    return merged;
+}
+
+/**
+ * Open the storage backend selected by opts.storage.
+ */
+async function openStorage(opts) {
     const {
-        url,
-        startDate,
-        endDate,
+        storage = 'mysql',
         mysql: mysqlConf,
-        workers,
-        authStatePath,
-        headless,
-        keywords = [],
+        json: jsonConf,
+        sqlite: sqliteConf,
     } = opts;
 
+    logger.info(`Opening ${storage} storage...`);
+    return initDb({
+        storage,
+        mysql: mysqlConf,
+        json: jsonConf,
+        sqlite: sqliteConf,
+    });
+}
+
+/**
+ * Per-target overrides (startDate, endDate, keywords, workers) fall back to opts.
+ */
+function resolveTarget(target, opts) {
+    return {
+        url: target.url,
+        startDate: target.startDate || opts.startDate,
+        endDate: target.endDate || opts.endDate,
+        keywords: target.keywords || opts.keywords || [],
+        workers: target.workers || opts.workers,
+        boundaryStreak: opts.boundaryStreak,
+        force: !!opts.force,
+    };
+}
+
+/**
+ * Feed captured responses through the same parse-and-emit path the live
+ * interceptor uses. Stops early once `boundaryReason()` reports a date
+ * boundary or `signal` aborts, mirroring the live scroll loop.
+ */
+async function feedReplay(replay, onPost, boundaryReason, signal, { platform, mapping }) {
+    const processResponse = createResponseProcessor(onPost, { platform, mapping });
+    let replayed = 0;
+
+    for await (const response of replay.responses()) {
+        if (signal?.aborted) {
+            logger.warn('Shutdown requested — stopping replay');
+            break;
+        }
+        if (response.status < 200 || response.status >= 300) continue;
+
+        let body;
+        try {
+            body = JSON.parse(response.body);
+        } catch {
+            continue; // Not valid JSON
+        }
+
+        processResponse(response.url, body, { operation: response.operation ?? null });
+        replayed++;
+
+        const reason = boundaryReason();
+        if (reason) {
+            logger.info(`Date boundary hit — stopping replay: ${reason}`);
+            break;
+        }
+    }
+
+    logger.info(`Replayed ${replayed} response(s) from ${replay.label}`);
+}
+
+/**
+ * Run the full scrape pipeline for one profile, either live on an
+ * already-open page or offline from a replay source.
+ *
+ * When `signal` aborts (also while draining), scrolling stops and the
+ * interceptor is detached; queued jobs get `drainTimeoutMs` to finish, the
+ * rest are cancelled (and partial downloads aborted). The session is then
+ * finalized as 'interrupted' and the usual summary returned.
+ */
+async function scrapeTarget({ db, page = null, record = null, schema = null, paginate = false, replay = null, replayMedia = 'network', signal = null, drainTimeoutMs = SHUTDOWN_DRAIN_MS, rateLimiter = null, account = null, proxyPool = null, fingerprint = DEFAULT_FINGERPRINT, platform = DEFAULT_PLATFORM, mapping = [], mediaCapture = null }, { url, startDate, endDate, keywords, workers, boundaryStreak, force = false }) {
+    if (startDate > endDate) {
+        throw new Error(`start date ${startDate.toISOString().slice(0, 10)} is after end date ${endDate.toISOString().slice(0, 10)}`);
+    }
+
     const startTime = Date.now();
 
     const stats = {
@@ -41,27 +721,92 @@ export async function run(opts) {
         errors: 0,
         images: 0,
         imageFails: 0,
+        insertFails: 0,
+        cancelled: 0,
+        persistFails: 0,
+        deadLetters: 0,
+        insertsParked: 0,
+        captured: 0,
     };
 
     let totalIntercepted = 0;
 
-    // ── MySQL ─────────────────────────────────────────
-    logger.info('Connecting to MySQL...');
-    const pool = await initDb(mysqlConf);
+    // ── Coverage: only fetch the parts of the range never archived ───
+    // Replays re-run a capture for debugging, so they neither use nor record it.
+    // Only sessions that kept at least the posts this run keeps count.
+    const useCoverage = !force && !replay;
+    const wanted = keywordSet(keywords);
+    const covered = useCoverage
+        ? mergeIntervals((await getCoverage(db, url)).filter(iv => coversKeywords(iv.keywords, wanted)))
+        : [];
+    const gaps = findGaps(startDate, endDate, covered);
 
-    const latestStored = await getLatestPublishedAt(pool, url);
-    if (latestStored) {
-        logger.info(`Resuming: latest stored post at ${latestStored.toISOString()}`);
+    if (gaps.length === 0) {
+        logger.info(`Skipping ${url}: ${formatInterval({ from: startDate, to: endDate })} already archived (use --force to re-scrape)`);
+        return {
+            dateRangeApplied: formatInterval({ from: startDate, to: endDate }),
+            totalPostsSeen: 0,
+            totalPostsStored: 0,
+            totalPostsSkipped: 0,
+            pinnedOlderSkipped: 0,
+            status: 'completed',
+            stopReason: 'range already archived',
+            imagesDownloaded: 0,
+            imagesFailed: 0,
+            oldestStoredPost: 'N/A',
+            newestStoredPost: 'N/A',
+            totalErrors: 0,
+            runtimeSeconds: 0,
+        };
     }
+    if (covered.length > 0) {
+        logger.info(`Already archived: ${covered.map(formatInterval).join(', ')}`);
+        logger.info(`Fetching gap(s): ${gaps.map(formatInterval).join(', ')}`);
+    } else if (force && !replay) {
+        logger.info('--force: ignoring archive coverage');
+    }
+
+    // Nothing older than the oldest gap is needed
+    const effectiveStart = gaps[0].from;
 
-    const sessionId = await createSession(pool, {
+    const sessionId = await createSession(db, {
         sourceUrl: url,
         startDateFilter: startDate.toISOString().slice(0, 10),
         endDateFilter: endDate.toISOString().slice(0, 10),
+        keywords: wanted,
     });
 
+    // Watches the live page for login walls until the run ends
+    const authWatch = replay ? null : createAuthWatch(page, { platform });
+
+    // A shutdown signal, a tripped rate limiter and an expired login end the
+    // run the same way: stop fetching, drain the queue, finalize the session
+    const stopSignals = [signal, rateLimiter?.signal, authWatch?.signal].filter(Boolean);
+    const stop = stopSignals.length > 0 ? AbortSignal.any(stopSignals) : null;
+    const throttlesBefore = rateLimiter?.throttles ?? 0;
+    const stopCause = () => {
+        if (authWatch?.expired) return 'Login wall detected';
+        if (rateLimiter?.exceeded) return 'Rate limited';
+        return 'Shutdown requested';
+    };
+
     // ── Worker Pool ───────────────────────────────────
     const queue = new PQueue({ concurrency: workers });
+    const jobs = new AbortController(); // aborted when a shutdown drain times out
+
+    // Replays can always be re-run from the capture, so they skip the pending-jobs
+    // and dead-letter stores
+    const persistJobs = !replay;
+    // Media goes through the same proxy, with the same identity, as the browser
+    const mediaOpts = { rateLimiter, proxyPool, proxyKey: account ?? DEFAULT_PROXY_KEY, fingerprint, platform };
+    const fetchMedia = replay
+        ? replayMediaFetcher(replay, replayMedia, mediaOpts)
+        : async (post, mediaUrl, jobSignal) => {
+            const data = await mediaCapture?.take(mediaUrl);
+            if (!data) return downloadMedia(post, mediaUrl, jobSignal, mediaOpts);
+            stats.captured++;
+            return saveMedia({ data, imageUrl: mediaUrl, postIdentifier: post.postIdentifier, publishedAt: post.publishedAt });
+        };
 
     queue.on('error', (err) => {
         logger.error(`Worker pool error: ${err.message}`);
@@ -69,94 +814,76 @@ export async function run(opts) {
     });
 
     let pendingNewPosts = 0;
-    let dateBoundaryHit = false;
 
     const processor = new PostProcessor({
-        startDate,
+        startDate: effectiveStart,
         endDate,
-        latestStoredDate: latestStored,
+        covered,
         keywords,
+        boundaryStreak,
         onValidPost: (post) => {
             pendingNewPosts++;
 
-            queue.add(async () => {
-                let imagePath = null;
-
-                const downloadUrl = post.videoUrl || post.imageUrl;
+            // The raw GraphQL node is not needed past processing; keep it out of the queue
+            const { rawNode, ...fields } = post;
+            const job = { ...fields, sourceUrl: url };
+            mediaCapture?.want(job.videoUrl || job.imageUrl);
 
-                if (downloadUrl) {
-                    try {
-                        imagePath = await downloadImage({
-                            imageUrl: downloadUrl,
-                            postIdentifier: post.postIdentifier,
-                            publishedAt: post.publishedAt,
-                        });
-                        stats.images++;
-                    } catch (err) {
-                        stats.imageFails++;
-                        stats.errors++;
-                        logger.error(
-                            `Media download failed [${post.postIdentifier}]: ${err.message}`
-                        );
-                    }
-                }
-
-                try {
-                    const inserted = await insertPost(pool, sessionId, {
-                        ...post,
-                        sourceUrl: url,
-                        imagePath,
-                    });
-
-                    if (inserted) {
-                        stats.processed++;
-                        const captionPreview = (post.captionText || '')
-                            .slice(0, 60)
-                            .replace(/\n/g, ' ');
-
-                        logger.info(
-                            `Stored [${post.postIdentifier}] | ${post.mediaType || 'image'} | ${post.publishedAt.toISOString()} | "${captionPreview}" | file: ${imagePath || 'N/A'}`
-                        );
-                    }
-                } catch (err) {
-                    stats.errors++;
-                    logger.error(
-                        `DB insert failed [${post.postIdentifier}]: ${err.message}`
-                    );
-                }
+            // Persist before queueing so a crash cannot lose the post
+            const persisted = persistJobs
+                ? addPendingJob(db, toPendingJob(sessionId, job)).then(() => true, (err) => {
+                    stats.persistFails++;
+                    logger.warn(`Could not persist pending job [${job.postIdentifier}]: ${err.message}`);
+                    return false;
+                })
+                : null;
 
-                delete post.rawNode;
+            queue.add(async () => {
+                const durable = await persisted;
+                const done = await storePost(db, sessionId, job, { stats, signal: jobs.signal, fetchMedia, deadLetter: persistJobs });
+                if (done && durable) await forgetPendingJob(db, job.postIdentifier);
             });
         },
     });
 
-    // ── Browser ───────────────────────────────────────
-    logger.info('Launching browser...');
-    const { browser, page } = await launchBrowser({
-        headless,
-        authStatePath,
-    });
-
-    const interceptor = attachInterceptor(page, (post) => {
+    const onPost = (post) => {
         totalIntercepted++;
-        const wasValid = processor.process(post);
+        processor.process(post);
+    };
 
-        if (!wasValid && processor.belowBoundary) {
-            dateBoundaryHit = true;
-        }
-    });
+    let recorder = null;
+    let interceptor = null;
+    let capture = null;
+    const tracker = paginate ? createPaginationTracker() : null;
+    // Replays re-parse old captures, which would skew the fingerprints
+    const drift = schema && !replay ? createDriftTracker() : null;
 
-    try {
-        await navigateTo(page, url);
-    } catch (err) {
-        logger.error(`Navigation failed: ${err.message}`);
-        interceptor.stop();
-        await closeBrowser(browser);
-        await closeDb(pool);
-        throw err;
+    if (!replay) {
+        recorder = record
+            ? await createRecorder({ ...record, sessionId, sourceUrl: url })
+            : null;
+
+        interceptor = attachInterceptor(page, onPost, { recorder, onBody: tracker?.observe, rateLimiter, platform, mapping, observe: drift?.observe });
+        capture = mediaCapture?.attach(page) ?? null;
+
+        try {
+            await navigateTo(page, url, { platform });
+        } catch (err) {
+            logger.error(`Navigation failed: ${err.message}`);
+            if (err.code === 'AUTH_EXPIRED') {
+                // Finalize the session as auth_expired below instead of failing
+                authWatch.trip(err.message.split('\n')[0]);
+            } else {
+                interceptor.stop();
+                capture?.stop();
+                authWatch.stop();
+                await recorder?.close();
+                throw err;
+            }
+        }
     }
 
-    logger.info(`Scraping: ${url}`);
+    logger.info(`${replay ? 'Replaying' : 'Scraping'}: ${url}`);
     logger.info(
         `Date range: ${startDate.toISOString().slice(0, 10)} → ${endDate
             .toISOString()
@@ -167,80 +894,540 @@ export async function run(opts) {
         `Keywords: ${keywords.length > 0 ? keywords.join(', ') : '(all posts)'}`
     );
 
-    // ── Scroll Loop ───────────────────────────────────
-    const scroller = driveScroll(page);
-    await scroller.next();
+    if (replay) {
+        // ── Replay ────────────────────────────────────────
+        await feedReplay(replay, onPost, () => processor.boundaryReason, signal, { platform, mapping });
+    } else {
+        /**
+         * Drive a scroll/pagination generator until it finishes or the date
+         * boundary is hit. Returns the generator's return value.
+         */
+        const consume = async (driver, label) => {
+            let lastBatchIntercepted = totalIntercepted;
+            const primed = await driver.next();
+            if (primed.done) return primed.value;
 
-    let lastBatchIntercepted = 0;
+            while (true) {
+                if (stop?.aborted) {
+                    logger.warn(`${stopCause()} — stopping ${label.toLowerCase()}`);
+                    await driver.return();
+                    return null;
+                }
 
-    while (true) {
-        const hadNewData = totalIntercepted > lastBatchIntercepted;
-        lastBatchIntercepted = totalIntercepted;
+                const hadNewData = totalIntercepted > lastBatchIntercepted;
+                lastBatchIntercepted = totalIntercepted;
 
-        const batchStartPending = pendingNewPosts;
+                const batchStartPending = pendingNewPosts;
 
-        const { value, done } = await scroller.next(hadNewData);
-        if (done) break;
+                const { value, done } = await driver.next(hadNewData);
+                if (done) return value;
 
-        const newInBatch = pendingNewPosts - batchStartPending;
+                const newInBatch = pendingNewPosts - batchStartPending;
 
-        logger.info(
-            `Scroll #${value.iteration}: ${newInBatch} new post(s) queued | total valid: ${processor.stats.inRange} | intercepted: ${totalIntercepted} | queue: ${queue.size}`
-        );
+                logger.info(
+                    `${label} #${value.iteration}: ${newInBatch} new post(s) queued | total valid: ${processor.stats.inRange} | intercepted: ${totalIntercepted} | queue: ${queue.size}`
+                );
 
-        if (dateBoundaryHit) {
-            logger.info('Date boundary hit — stopping scroll');
-            break;
+                // A login modal can appear without any navigation; the
+                // top of the loop stops the driver
+                if (await authWatch.check()) continue;
+
+                // Checked per batch so in-range posts later in the same
+                // response can still reset an out-of-order streak
+                if (processor.belowBoundary) {
+                    logger.info(`Date boundary hit — stopping ${label.toLowerCase()}: ${processor.boundaryReason}`);
+                    await driver.return();
+                    return null;
+                }
+            }
+        };
+
+        let scroll = true;
+        if (tracker && !stop.aborted) {
+            // ── Cursor Pagination ─────────────────────────────
+            const result = await consume(drivePagination(page, tracker, { rateLimiter, signal }), 'Page');
+            if (result?.failed) {
+                logger.warn(`Cursor pagination failed (${result.reason}) — falling back to scrolling`);
+            } else {
+                scroll = false;
+            }
+        }
+
+        if (scroll && !processor.belowBoundary && !stop?.aborted) {
+            // ── Scroll Loop ───────────────────────────────────
+            await consume(driveScroll(page, { rateLimiter, signal }), 'Scroll');
         }
     }
 
     // ── Drain Queue ───────────────────────────────────
-    logger.info(
-        `Scroll complete. Draining worker queue (${queue.size} remaining)...`
-    );
-    await queue.onIdle();
+    if (!stop?.aborted) {
+        logger.info(
+            `${replay ? 'Replay' : 'Scroll'} complete. Draining worker queue (${queue.size} remaining)...`
+        );
+    }
+    const interrupted = await drainQueue(queue, {
+        signal: stop,
+        drainTimeoutMs,
+        jobs,
+        stats,
+        onInterrupt: () => interceptor?.stop(), // no new posts from here on
+    });
     logger.info('Queue drained');
 
     // ── Cleanup ───────────────────────────────────────
-    interceptor.stop();
-    await closeBrowser(browser);
+    interceptor?.stop();
+    capture?.stop();
+    authWatch?.stop();
+    await recorder?.close();
 
     processor.logSummary();
 
     const duration = Math.round((Date.now() - startTime) / 1000);
 
-    await finalizeSession(pool, sessionId, {
+    // An interrupted run still covers the part of the feed it walked through,
+    // unless posts from it were dropped without being stored, kept pending or
+    // dead-lettered
+    const coverage = useCoverage ? coveredInterval(processor, effectiveStart, endDate, startTime) : null;
+    const lost = persistJobs && stats.persistFails === 0 ? 0 : stats.insertFails - stats.insertsParked + stats.cancelled;
+    if (coverage && lost > 0) {
+        logger.warn(`Not recording coverage: ${lost} post(s) not stored`);
+    } else if (coverage) {
+        logger.info(`Archived interval: ${formatInterval(coverage)}`);
+    }
+    const recordCoverage = coverage && lost === 0;
+
+    let status = 'completed';
+    if (authWatch?.expired) status = 'auth_expired';
+    else if (rateLimiter?.exceeded) status = 'rate_limited';
+    else if (interrupted) status = 'interrupted';
+
+    // ── Schema Drift ──────────────────────────────────
+    // A run cut short saw only part of the usual responses
+    let driftReport = null;
+    if (drift && status !== 'completed') {
+        logger.info(`Skipping the schema drift check: the run ended ${status.replace('_', ' ')}`);
+    } else if (drift) {
+        try {
+            driftReport = await checkDrift(drift, { ...schema, sourceUrl: url });
+            if (driftReport.firstSeen.length > 0) logger.info(`Schema: first fingerprint of ${driftReport.firstSeen.join(', ')}`);
+            for (const line of describeDrift(driftReport)) logger.warn(`Schema drift ${line}`);
+        } catch (err) {
+            logger.warn(`Schema drift check failed: ${err.message}`);
+        }
+    }
+
+    await finalizeSession(db, sessionId, {
+        status,
         processed: stats.processed,
         skipped: processor.stats.skipped,
         errors: stats.errors,
         durationSeconds: duration,
+        coveredFrom: recordCoverage ? coverage.from : null,
+        coveredTo: recordCoverage ? coverage.to : null,
     });
 
-    const dateRange = await getPostDateRange(pool, sessionId);
-    await closeDb(pool);
+    const dateRange = await getPostDateRange(db, sessionId);
+
+    let stopReason = `end of ${replay ? 'recording' : 'feed'}`;
+    if (status === 'auth_expired') stopReason = `auth expired: ${authWatch.reason}`;
+    else if (status === 'rate_limited') stopReason = `rate limited: ${rateLimiter.reason}`;
+    else if (interrupted) stopReason = 'shutdown signal';
+    else if (processor.boundaryReason) stopReason = `date boundary: ${processor.boundaryReason}`;
 
     const summary = {
-        dateRangeApplied: `${startDate
-            .toISOString()
-            .slice(0, 10)} → ${endDate.toISOString().slice(0, 10)}`,
+        dateRangeApplied: formatInterval({ from: startDate, to: endDate }),
         totalPostsSeen: processor.uniqueSeen,
         totalPostsStored: stats.processed,
         totalPostsSkipped: processor.stats.skipped,
+        pinnedOlderSkipped: processor.stats.pinnedOld,
+        status,
+        jobsCancelled: stats.cancelled,
+        throttles: (rateLimiter?.throttles ?? 0) - throttlesBefore,
+        stopReason,
         imagesDownloaded: stats.images,
         imagesFailed: stats.imageFails,
+        mediaCaptured: stats.captured,
+        deadLettered: stats.deadLetters,
         oldestStoredPost: dateRange.oldest?.toISOString() || 'N/A',
         newestStoredPost: dateRange.newest?.toISOString() || 'N/A',
         totalErrors: stats.errors,
         runtimeSeconds: duration,
     };
+    if (account) summary.account = account;
+    if (driftReport) summary.schemaDrift = driftReport.issues.length;
 
-    logger.info('════════════════════════════════════════════════════');
-    logger.info('                  SCRAPE COMPLETE                   ');
-    logger.info('════════════════════════════════════════════════════');
+    logBanner(status === 'completed' ? 'SCRAPE COMPLETE' : `SCRAPE ${status.replace('_', ' ').toUpperCase()}`);
     Object.entries(summary).forEach(([k, v]) =>
         logger.info(`  ${k}: ${v}`)
     );
     logger.info('════════════════════════════════════════════════════');
 
     return summary;
-}
\ No newline at end of file
+}
+
+/**
+ * Download a post's media and store the post. Shared by live scraping,
+ * replay and pending-job recovery.
+ *
+ * @param {function(object, string, AbortSignal): Promise<string|null>} opts.fetchMedia
+ *        (post, mediaUrl, signal) → saved file path, or null to skip media
+ * @param {boolean} [opts.deadLetter=true] - record failures in the dead-letter store
+ * @returns {Promise<boolean>} true once the post is in storage (new or
+ *          duplicate) or dead-lettered; false if it failed or was cancelled
+ */
+async function storePost(db, sessionId, post, { stats, signal, fetchMedia, deadLetter = true }) {
+    if (signal.aborted) {
+        stats.cancelled++;
+        return false;
+    }
+
+    let imagePath = null;
+    let mediaError = null;
+    const downloadUrl = post.videoUrl || post.imageUrl;
+
+    if (downloadUrl) {
+        try {
+            imagePath = await fetchMedia(post, downloadUrl, signal);
+            if (imagePath) stats.images++;
+        } catch (err) {
+            if (signal.aborted) {
+                stats.cancelled++;
+                return false;
+            }
+            stats.imageFails++;
+            stats.errors++;
+            mediaError = err;
+            logger.error(
+                `Media download failed [${post.postIdentifier}]: ${err.message}`
+            );
+        }
+    }
+
+    try {
+        const inserted = await insertPost(db, sessionId, { ...post, imagePath });
+
+        if (inserted) {
+            stats.processed++;
+            const captionPreview = (post.captionText || '')
+                .slice(0, 60)
+                .replace(/\n/g, ' ');
+
+            logger.info(
+                `Stored [${post.postIdentifier}] | ${post.mediaType || 'image'} | ${post.publishedAt.toISOString()} | "${captionPreview}" | file: ${imagePath || 'N/A'}`
+            );
+        }
+        if (mediaError && deadLetter) {
+            await parkFailure(db, toFailure('media', sessionId, post, mediaError, downloadUrl), stats);
+        }
+        return true;
+    } catch (err) {
+        stats.errors++;
+        stats.insertFails++;
+        logger.error(
+            `DB insert failed [${post.postIdentifier}]: ${err.message}`
+        );
+        // A parked post is no longer pending: retry-failed stores it
+        if (deadLetter && await parkFailure(db, toFailure('insert', sessionId, post, err), stats)) {
+            stats.insertsParked++;
+            return true;
+        }
+        return false;
+    }
+}
+
+/**
+ * Record a failure in the dead-letter store.
+ * @returns {Promise<boolean>} false if the store could not be written
+ */
+async function parkFailure(db, failure, stats) {
+    try {
+        await recordFailure(db, failure);
+        stats.deadLetters++;
+        logger.warn(`Dead-lettered ${failure.kind} [${failure.postIdentifier}] (${failure.errorClass}) — run retry-failed later`);
+        return true;
+    } catch (err) {
+        logger.warn(`Could not record ${failure.kind} failure [${failure.postIdentifier}]: ${err.message}`);
+        return false;
+    }
+}
+
+/**
+ * Download one media file, through the proxy `proxyPool` assigns to
+ * `proxyKey`. Connection failures count against that proxy.
+ */
+async function downloadMedia(post, mediaUrl, signal, { rateLimiter = null, proxyPool = null, proxyKey = DEFAULT_PROXY_KEY, fingerprint = DEFAULT_FINGERPRINT, platform = DEFAULT_PLATFORM } = {}) {
+    const proxy = proxyPool?.assign(proxyKey) ?? null;
+    try {
+        const imagePath = await downloadImage({
+            imageUrl: mediaUrl,
+            postIdentifier: post.postIdentifier,
+            publishedAt: post.publishedAt,
+            signal,
+            rateLimiter,
+            proxy,
+            fingerprint,
+            platform,
+        });
+        if (proxy) proxyPool.reportSuccess(proxy);
+        return imagePath;
+    } catch (err) {
+        if (proxy && !signal?.aborted && isProxyError(err.cause)) proxyPool.reportFailure(proxy, err.cause.message);
+        throw err;
+    }
+}
+
+/**
+ * Media source for --replay-media: the network, the capture itself, or none.
+ */
+function replayMediaFetcher(replay, replayMedia, mediaOpts = {}) {
+    if (replayMedia === 'none') return async () => null;
+    if (replayMedia === 'network') return (post, mediaUrl, signal) => downloadMedia(post, mediaUrl, signal, mediaOpts);
+
+    return async (post, mediaUrl) => {
+        const data = replay.getMedia(mediaUrl);
+        if (!data) throw new Error('media not present in the recording');
+        return saveMedia({
+            data,
+            imageUrl: mediaUrl,
+            postIdentifier: post.postIdentifier,
+            publishedAt: post.publishedAt,
+        });
+    };
+}
+
+async function forgetPendingJob(db, postIdentifier) {
+    try {
+        await removePendingJob(db, postIdentifier);
+    } catch (err) {
+        // Harmless: the job is replayed on next start and deduplicated by insertPost
+        logger.warn(`Could not clear pending job [${postIdentifier}]: ${err.message}`);
+    }
+}
+
+/**
+ * Store posts left in the pending-jobs store by earlier runs (crash or
+ * cancelled shutdown drain) before scraping anything new. Jobs that fail
+ * again are dead-lettered, or stay pending if that fails too.
+ *
+ * @returns {Promise<{ total: number, done: number, stored: number, pending: number }>}
+ */
+async function processPendingJobs(db, { workers = 3, signal = null, drainTimeoutMs = SHUTDOWN_DRAIN_MS, proxyPool = null, fingerprint = DEFAULT_FINGERPRINT, platform = DEFAULT_PLATFORM } = {}) {
+    const pending = await getPendingJobs(db);
+    if (pending.length === 0) return { total: 0, done: 0, stored: 0, pending: 0 };
+
+    logger.info(`Recovering ${pending.length} pending job(s) from earlier sessions...`);
+
+    const queue = new PQueue({ concurrency: workers });
+    const jobs = new AbortController();
+    const stats = { processed: 0, errors: 0, images: 0, imageFails: 0, insertFails: 0, cancelled: 0, deadLetters: 0, insertsParked: 0 };
+    const fetchMedia = (post, mediaUrl, jobSignal) => downloadMedia(post, mediaUrl, jobSignal, { proxyPool, fingerprint, platform });
+
+    for (const job of pending) {
+        queue.add(async () => {
+            const done = await storePost(db, job.sessionId, fromPendingJob(job), { stats, signal: jobs.signal, fetchMedia });
+            if (done) await forgetPendingJob(db, job.postIdentifier);
+        });
+    }
+
+    await drainQueue(queue, { signal, drainTimeoutMs, jobs, stats });
+
+    const left = stats.insertFails - stats.insertsParked + stats.cancelled;
+    logger.info(
+        `Pending jobs recovered: ${pending.length - left} done (${stats.processed} newly stored), ${left} still pending`
+    );
+    return { total: pending.length, done: pending.length - left, stored: stats.processed, pending: left };
+}
+
+/**
+ * Retry one dead-lettered job. A retried insert whose media still fails is
+ * stored anyway and re-parked as a media failure.
+ *
+ * @returns {Promise<'resolved'|'failed'|'cancelled'>}
+ */
+async function retryFailure(db, failure, refresher, signal, mediaOpts = {}) {
+    const { postIdentifier, kind, sessionId } = failure;
+    const post = fromPendingJob(failure);
+    let mediaUrl = failure.mediaUrl;
+    let imagePath = null;
+    let mediaError = null;
+
+    try {
+        if (mediaUrl || kind === 'media') {
+            try {
+                ({ imagePath, mediaUrl } = await downloadWithRefresh(post, mediaUrl, refresher, signal, mediaOpts));
+            } catch (err) {
+                if (signal?.aborted) return 'cancelled';
+                mediaError = err;
+            }
+        }
+
+        if (kind === 'media') {
+            if (mediaError) throw mediaError;
+            if (!(await updateImagePath(db, postIdentifier, imagePath))) {
+                await insertPost(db, sessionId, { ...post, imagePath });
+            }
+        } else {
+            const inserted = await insertPost(db, sessionId, { ...post, imagePath });
+            if (!inserted && imagePath) await updateImagePath(db, postIdentifier, imagePath);
+            if (mediaError) await recordFailure(db, toFailure('media', sessionId, post, mediaError, mediaUrl));
+        }
+
+        await resolveFailure(db, postIdentifier, kind);
+        logger.info(`Resolved ${kind} [${postIdentifier}]${imagePath ? ` | file: ${imagePath}` : ''}`);
+        return 'resolved';
+    } catch (err) {
+        logger.error(`Retry failed ${kind} [${postIdentifier}] (attempt ${failure.attempts + 1}): ${err.message}`);
+        try {
+            await recordFailure(db, toFailure(kind, sessionId, post, err, mediaUrl));
+        } catch (recordErr) {
+            logger.warn(`Could not update ${kind} failure [${postIdentifier}]: ${recordErr.message}`);
+        }
+        return 'failed';
+    }
+}
+
+/**
+ * Download `mediaUrl`, or a fresh URL from the post page when it has expired
+ * or the CDN refuses it.
+ * @returns {Promise<{ imagePath: string, mediaUrl: string }>}
+ */
+async function downloadWithRefresh(post, mediaUrl, refresher, signal, mediaOpts = {}) {
+    let staleErr = null;
+    if (!needsFreshUrl(mediaUrl)) {
+        try {
+            return { imagePath: await downloadMedia(post, mediaUrl, signal ?? undefined, mediaOpts), mediaUrl };
+        } catch (err) {
+            if (signal?.aborted || !needsFreshUrl(mediaUrl, err)) throw err;
+            staleErr = err;
+        }
+    }
+
+    if (!post.postUrl) {
+        throw staleErr || Object.assign(new Error('media URL expired and the post has no page URL'), { code: 'MEDIA_URL_EXPIRED' });
+    }
+    const fresh = await refresher.refresh(post);
+    if (!fresh) {
+        throw Object.assign(new Error(`no media URL found on ${post.postUrl}`), { code: 'MEDIA_NOT_FOUND' });
+    }
+    return { imagePath: await downloadMedia(post, fresh, signal ?? undefined, mediaOpts), mediaUrl: fresh };
+}
+
+/**
+ * Looks up current media URLs by opening post pages. The browser is launched
+ * on first use.
+ */
+function createMediaRefresher({ headless = true, authStatePath = null, userDataDir = null, proxy = null, fingerprint = DEFAULT_FINGERPRINT, platform = DEFAULT_PLATFORM, mapping = [], resourcePolicy }) {
+    let launched = null;
+    let found = new Map();
+    const collect = (post) => found.set(post.postIdentifier, post);
+    // Post pages usually ship their data inline rather than via an API call
+    const processEmbedded = createResponseProcessor(collect, { platform, mapping });
+
+    return {
+        refreshed: 0,
+
+        /** @returns {Promise<string|null>} current media URL of `post`, if the page has it */
+        async refresh(post) {
+            if (!launched) {
+                logger.info('Launching browser to refresh expired media URLs...');
+                launched = await launchBrowser({ headless, authStatePath, userDataDir, proxy, fingerprint, resourcePolicy });
+            }
+
+            found = new Map();
+            const interceptor = attachInterceptor(launched.page, collect, { platform, mapping });
+            try {
+                await navigateTo(launched.page, post.postUrl, { platform });
+                const scripts = await launched.page
+                    .$$eval('script[type="application/json"]', els => els.map(el => el.textContent))
+                    .catch(() => []);
+                for (const text of scripts) {
+                    try {
+                        processEmbedded(post.postUrl, JSON.parse(text));
+                    } catch { /* not JSON */ }
+                }
+            } finally {
+                interceptor.stop();
+            }
+
+            const fresh = found.get(post.postIdentifier);
+            const url = fresh ? fresh.videoUrl || fresh.imageUrl : null;
+            if (url) {
+                this.refreshed++;
+                logger.info(`Refreshed media URL for [${post.postIdentifier}] from ${post.postUrl}`);
+            }
+            return url;
+        },
+
+        async close() {
+            if (launched) await closeBrowser(launched.browser);
+        },
+    };
+}
+
+/**
+ * Wait for queued jobs. If `signal` aborts (before or during the wait), give
+ * them `drainTimeoutMs` more, then drop what is queued and abort `jobs` so
+ * in-flight downloads stop.
+ *
+ * @returns {Promise<boolean>} true if the drain was interrupted
+ */
+async function drainQueue(queue, { signal, drainTimeoutMs, jobs, stats, onInterrupt = null }) {
+    const interrupted = !!signal?.aborted || !(await waitForIdle(queue, { signal }));
+    if (!interrupted) return false;
+
+    onInterrupt?.();
+    logger.warn(
+        `Interrupted. Draining worker queue (${queue.size} queued, ${queue.pending} running) for up to ${drainTimeoutMs / 1000}s...`
+    );
+    if (!(await waitForIdle(queue, { timeoutMs: drainTimeoutMs }))) {
+        stats.cancelled += queue.size;
+        queue.clear();
+        jobs.abort();
+        await queue.onIdle();
+        logger.warn(`Drain timed out — cancelled ${stats.cancelled} job(s)`);
+    }
+    return true;
+}
+
+/**
+ * Wait for the queue to go idle, giving up when `signal` aborts or after
+ * `timeoutMs`.
+ * @returns {Promise<boolean>} true if the queue drained
+ */
+async function waitForIdle(queue, { signal = null, timeoutMs = null } = {}) {
+    let timer;
+    let onAbort;
+    const gaveUp = new Promise((resolve) => {
+        if (timeoutMs !== null) timer = setTimeout(() => resolve(false), timeoutMs);
+        onAbort = () => resolve(false);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+    try {
+        return await Promise.race([queue.onIdle().then(() => true), gaveUp]);
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * The interval a finished run actually walked through: from where the feed
+ * was read down to (the start boundary, or the oldest post reached when the
+ * feed ran out first) up to the end date, capped at when the run started.
+ * Null when nothing in the range was reached.
+ */
+function coveredInterval(processor, start, end, startedAt) {
+    if (!processor.oldestSeen) return null;
+
+    const from = processor.oldestSeen > start ? processor.oldestSeen : start;
+    const to = end.getTime() < startedAt ? end : new Date(startedAt);
+    return from <= to ? { from, to } : null;
+}
+
+function logBanner(title) {
+    const width = 52;
+    const pad = Math.floor((width - title.length) / 2);
+    logger.info('════════════════════════════════════════════════════');
+    logger.info(title.padStart(pad + title.length).padEnd(width));
+    logger.info('════════════════════════════════════════════════════');
+}
@@ -0,0 +1,142 @@
+/**
+ * Target Platform
+ *
+ * Where the Instagram-compatible site lives and how its URLs look. The
+ * defaults are instagram.com; a self-hosted clone or its staging copy is set
+ * in the `platform` section of the config file (or with --base-url):
+ *
+ *   platform:
+ *     baseUrl: https://staging.example.com     # may include a path prefix
+ *     loginPath: /accounts/login/              # opened by save-auth.js
+ *     postUrl: /p/{shortcode}/                 # permalink of a post
+ *     graphqlPatterns: [/graphql, /api/v1/feed]  # response URLs parsed for posts
+ *     challengeMarkers: [/accounts/login, /challenge/, /checkpoint/]  # login wall URLs
+ *
+ * Paths are relative to baseUrl. The interceptor, login wall detection,
+ * media downloads (Referer), auth check, proxy health check and save-auth.js
+ * all take their URLs from here.
+ */
+
+export const DEFAULT_PLATFORM = Object.freeze({
+    baseUrl: 'https://www.instagram.com',
+    loginPath: '/accounts/login/',
+    postUrl: '/p/{shortcode}/',
+    // GraphQL URL patterns for popular Instagram backends / clones
+    graphqlPatterns: Object.freeze([
+        '/graphql',
+        '/api/graphql',
+        '/graphql/query',
+        '/graph/query',
+        '/graphql/v1',
+        '/api/v1/feed',
+        '/api/v2/feed',
+        '/query',
+    ]),
+    challengeMarkers: Object.freeze(['/accounts/login', '/challenge/', '/checkpoint/']),
+});
+
+const SETTINGS = ['baseUrl', 'loginPath', 'postUrl', 'graphqlPatterns', 'challengeMarkers'];
+
+function parseBaseUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value));
+    } catch {
+        throw new Error(`platform.baseUrl: invalid URL "${value}"`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.search || url.hash) {
+        throw new Error(`platform.baseUrl: expected an http(s) URL without query or fragment, got "${value}"`);
+    }
+    return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+}
+
+function parsePath(value, key) {
+    if (typeof value !== 'string' || !value.startsWith('/')) {
+        throw new Error(`platform.${key}: expected a path starting with "/", got ${JSON.stringify(value)}`);
+    }
+    return value;
+}
+
+function parseList(value, key) {
+    if (!Array.isArray(value) || value.length === 0 || value.some(v => typeof v !== 'string' || !v.trim())) {
+        throw new Error(`platform.${key}: expected a non-empty list of strings`);
+    }
+    return value.map(v => v.trim());
+}
+
+/**
+ * Build the platform profile from the config file's `platform` section.
+ * @param {object} [section]
+ * @returns {typeof DEFAULT_PLATFORM}
+ */
+export function resolvePlatform(section = {}) {
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        throw new Error('platform: expected an object of settings');
+    }
+    const unknown = Object.keys(section).filter(k => !SETTINGS.includes(k));
+    if (unknown.length > 0) {
+        throw new Error(`platform: unknown setting(s) ${unknown.join(', ')} (known: ${SETTINGS.join(', ')})`);
+    }
+
+    const platform = { ...DEFAULT_PLATFORM };
+    if (section.baseUrl != null) platform.baseUrl = parseBaseUrl(section.baseUrl);
+    if (section.loginPath != null) platform.loginPath = parsePath(section.loginPath, 'loginPath');
+    if (section.postUrl != null) {
+        platform.postUrl = parsePath(section.postUrl, 'postUrl');
+        if (!platform.postUrl.includes('{shortcode}')) {
+            throw new Error(`platform.postUrl: must contain {shortcode}, got "${section.postUrl}"`);
+        }
+    }
+    if (section.graphqlPatterns != null) {
+        platform.graphqlPatterns = parseList(section.graphqlPatterns, 'graphqlPatterns').map(p => p.toLowerCase());
+    }
+    if (section.challengeMarkers != null) platform.challengeMarkers = parseList(section.challengeMarkers, 'challengeMarkers');
+
+    // Being sent to the login page is always a login wall
+    const login = platform.loginPath.replace(/\/+$/, '');
+    if (login && !platform.challengeMarkers.some(m => login.includes(m))) {
+        platform.challengeMarkers = [...platform.challengeMarkers, login];
+    }
+
+    return platform;
+}
+
+/**
+ * Absolute URL of a path on the platform (absolute URLs are returned as is).
+ * @param {string} path
+ * @param {typeof DEFAULT_PLATFORM} [platform]
+ */
+export function platformUrl(path, platform = DEFAULT_PLATFORM) {
+    if (/^https?:\/\//i.test(path)) return path;
+    return `${platform.baseUrl}${path.startsWith('/') ? '' : '/'}${path}`;
+}
+
+/** Permalink of the post with `shortcode`. */
+export function postUrlFor(shortcode, platform = DEFAULT_PLATFORM) {
+    return platformUrl(platform.postUrl.replaceAll('{shortcode}', encodeURIComponent(shortcode)), platform);
+}
+
+/** Login page save-auth.js opens. */
+export function loginUrl(platform = DEFAULT_PLATFORM) {
+    return platformUrl(platform.loginPath, platform);
+}
+
+/**
+ * Whether a cookie domain belongs to the platform: its host, or a parent
+ * domain such as `.instagram.com` for www.instagram.com.
+ * @param {string} domain
+ * @param {typeof DEFAULT_PLATFORM} [platform]
+ */
+export function isPlatformCookieDomain(domain, platform = DEFAULT_PLATFORM) {
+    if (typeof domain !== 'string') return false;
+    const host = new URL(platform.baseUrl).hostname;
+    const d = domain.replace(/^\./, '').toLowerCase();
+    return host === d || host.endsWith(`.${d}`);
+}
+
+/**
+ * One-line summary for logs.
+ */
+export function describePlatform(platform = DEFAULT_PLATFORM) {
+    return platform.baseUrl === DEFAULT_PLATFORM.baseUrl ? `${platform.baseUrl} (default)` : platform.baseUrl;
+}
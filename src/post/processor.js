@@ -4,25 +4,36 @@
  * Receives raw normalized post objects from the GraphQL interceptor,
  * applies date range filtering, deduplication (in-memory Set),
  * and pushes qualifying posts into the worker queue.
+ *
+ * Boundary detection: a profile feed is newest-first, but pinned posts sit at
+ * the top regardless of age and feeds are occasionally slightly out of order.
+ * The start boundary is therefore only reported after `boundaryStreak`
+ * consecutive non-pinned posts older than the start date; any newer post in
+ * between resets the streak. Pinned posts never count either way.
  */
 import { createLogger } from '../logger/index.js';
+import { isCovered } from '../resume/index.js';
 
 const logger = createLogger('post-processor');
 
+export const DEFAULT_BOUNDARY_STREAK = 3;
+
 export class PostProcessor {
     /**
      * @param {object} opts
      * @param {Date} opts.startDate
      * @param {Date} opts.endDate
-     * @param {Date|null} opts.latestStoredDate - for resumable scraping
+     * @param {Array<{from: Date, to: Date}>} [opts.covered=[]] - already archived intervals (skipped)
+     * @param {number} [opts.boundaryStreak=3] - consecutive older posts that mark the start boundary
      * @param {function(object): void} opts.onValidPost - called for each in-range post
      */
-    constructor({ startDate, endDate, latestStoredDate, keywords = [], onValidPost }) {
+    constructor({ startDate, endDate, covered = [], keywords = [], boundaryStreak = DEFAULT_BOUNDARY_STREAK, onValidPost }) {
         this.startDate = startDate;
         this.endDate = endDate;
-        this.latestStoredDate = latestStoredDate;
+        this.covered = covered;
         // Lowercase for case-insensitive matching
         this.keywords = keywords.map(k => k.toLowerCase());
+        this.boundaryStreak = boundaryStreak;
         this.onValidPost = onValidPost;
 
         this.seenIds = new Set();
@@ -31,15 +42,20 @@ export class PostProcessor {
             inRange: 0,
             skipped: 0,
             tooOld: 0,
+            pinnedOld: 0,
             tooNew: 0,
             noDate: 0,
             noDup: 0,
             noKeyword: 0,
         };
 
-        // Track whether any post in the latest batch was below the start date
-        // (used for boundary termination signaling)
-        this._belowBoundary = false;
+        // Current run of consecutive non-pinned posts below the start date
+        // (carousel slides count once, by parent post)
+        this._olderRun = new Set();
+        this._lastOlder = null;
+
+        // Oldest non-pinned post date seen — how far down the feed this run got
+        this.oldestSeen = null;
     }
 
     /**
@@ -49,7 +65,6 @@ export class PostProcessor {
      */
     process(post) {
         this.stats.total++;
-        this._belowBoundary = false;
 
         // ── Deduplication ─────────────────────────────────────────────────────
         if (this.seenIds.has(post.postIdentifier)) {
@@ -67,6 +82,13 @@ export class PostProcessor {
         }
 
         const ts = post.publishedAt;
+        if (!post.isPinned && (!this.oldestSeen || ts < this.oldestSeen)) this.oldestSeen = ts;
+
+        // ── Out-of-order: a newer post interrupts the older streak ───────────
+        if (ts >= this.startDate && !post.isPinned && this._olderRun.size > 0) {
+            logger.info(`Post ${post.postIdentifier} (${ts.toISOString()}) follows ${this._olderRun.size} older post(s) — feed out of order, boundary streak reset`);
+            this._olderRun.clear();
+        }
 
         // ── Too new ───────────────────────────────────────────────────────────
         if (ts > this.endDate) {
@@ -80,13 +102,19 @@ export class PostProcessor {
         if (ts < this.startDate) {
             this.stats.tooOld++;
             this.stats.skipped++;
-            this._belowBoundary = true;
-            logger.debug(`Too old (${ts.toISOString()}) — below start boundary`);
+            if (post.isPinned) {
+                this.stats.pinnedOld++;
+                logger.info(`Pinned post ${post.postIdentifier} (${ts.toISOString()}) is older than start — ignored for boundary`);
+                return false;
+            }
+            this._olderRun.add(post.parentIdentifier || post.postIdentifier);
+            this._lastOlder = post;
+            logger.debug(`Too old (${ts.toISOString()}) — below start boundary (${this._olderRun.size}/${this.boundaryStreak})`);
             return false;
         }
 
         // ── Resumable: already archived ───────────────────────────────────────
-        if (this.latestStoredDate && ts <= this.latestStoredDate) {
+        if (isCovered(ts, this.covered)) {
             this.stats.skipped++;
             logger.debug(`Already archived — skipping`);
             return false;
@@ -113,11 +141,20 @@ export class PostProcessor {
     }
 
     /**
-     * Was the most recent processed post below the start date boundary?
+     * Have enough consecutive posts below the start date been seen?
      * Used by the orchestrator to decide whether to stop scrolling.
      */
     get belowBoundary() {
-        return this._belowBoundary;
+        return this._olderRun.size >= this.boundaryStreak;
+    }
+
+    /**
+     * Human-readable explanation of why belowBoundary is true (null otherwise).
+     */
+    get boundaryReason() {
+        if (!this.belowBoundary) return null;
+        const last = this._lastOlder;
+        return `${this._olderRun.size} consecutive post(s) older than ${this.startDate.toISOString().slice(0, 10)} (last: ${last.postIdentifier} @ ${last.publishedAt.toISOString()})`;
     }
 
     /**
@@ -128,6 +165,6 @@ export class PostProcessor {
     }
 
     logSummary() {
-        logger.info(`Post processor summary: total=${this.stats.total} inRange=${this.stats.inRange} tooOld=${this.stats.tooOld} tooNew=${this.stats.tooNew} noDate=${this.stats.noDate} dup=${this.stats.noDup} keywordFiltered=${this.stats.noKeyword}`);
+        logger.info(`Post processor summary: total=${this.stats.total} inRange=${this.stats.inRange} tooOld=${this.stats.tooOld} pinnedOld=${this.stats.pinnedOld} tooNew=${this.stats.tooNew} noDate=${this.stats.noDate} dup=${this.stats.noDup} keywordFiltered=${this.stats.noKeyword}`);
     }
 }
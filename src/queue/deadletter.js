@@ -0,0 +1,84 @@
+/**
+ * Dead Letters
+ *
+ * Media downloads and inserts that fail are recorded in the storage backend's
+ * failed-jobs store (post id, URLs, error class, attempt count, timestamps)
+ * instead of only being logged. `retry-failed` re-attempts them later.
+ *
+ * These helpers build the adapter records and decide when a media URL has to
+ * be refreshed from the post page before retrying.
+ */
+import { toPendingJob } from './pending.js';
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+// HTTP statuses Instagram's CDN returns for expired or revoked signed URLs
+const STALE_URL_STATUSES = new Set([403, 404, 410]);
+
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT']);
+
+/**
+ * Short, groupable name for what went wrong: http_403, timeout, econnreset,
+ * er_lock_deadlock, … Looks through `err.cause` (downloadImage wraps the last
+ * axios error).
+ * @returns {string}
+ */
+export function classifyError(err) {
+    const cause = err?.cause || err;
+    const status = cause?.response?.status;
+    if (status) return `http_${status}`;
+    if (TIMEOUT_CODES.has(cause?.code)) return 'timeout';
+    if (typeof cause?.code === 'string') return cause.code.toLowerCase();
+    return cause?.name && cause.name !== 'Error' ? cause.name : 'error';
+}
+
+/**
+ * Build the adapter record for a failed job.
+ * @param {'media'|'insert'} kind
+ * @param {number} sessionId
+ * @param {object} post - normalized post (with sourceUrl)
+ * @param {Error} err
+ * @param {string|null} [mediaUrl] - URL whose download failed
+ */
+export function toFailure(kind, sessionId, post, err, mediaUrl = null) {
+    const { payload } = toPendingJob(sessionId, post);
+    return {
+        postIdentifier: post.postIdentifier,
+        kind,
+        sessionId,
+        sourceUrl: post.sourceUrl || null,
+        postUrl: post.postUrl || null,
+        mediaUrl: mediaUrl || post.videoUrl || post.imageUrl || null,
+        errorClass: classifyError(err),
+        errorMessage: String(err?.message || err).slice(0, MAX_MESSAGE_LENGTH),
+        payload,
+    };
+}
+
+/**
+ * Expiry of a signed Instagram CDN URL (`oe=` is a hex Unix timestamp).
+ * @returns {Date|null}
+ */
+export function mediaUrlExpiry(url) {
+    try {
+        const oe = new URL(url).searchParams.get('oe');
+        if (!oe || !/^[0-9a-f]+$/i.test(oe)) return null;
+        return new Date(parseInt(oe, 16) * 1000);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether a media URL is worth re-fetching from the post page: it has expired,
+ * or the CDN refused it in a way a fresh signature can fix.
+ * @param {string|null} url
+ * @param {Error|null} [err] - the latest download error, if any
+ */
+export function needsFreshUrl(url, err = null, now = new Date()) {
+    if (!url) return true;
+    const expiry = mediaUrlExpiry(url);
+    if (expiry && expiry <= now) return true;
+    const status = (err?.cause || err)?.response?.status;
+    return STALE_URL_STATUSES.has(status);
+}
@@ -0,0 +1,43 @@
+/**
+ * Pending Jobs
+ *
+ * Accepted posts are persisted to the storage backend's pending-jobs store
+ * before they are queued, and removed once stored. Jobs still pending after a
+ * crash (or a cancelled shutdown drain) are picked up again on the next start.
+ *
+ * These helpers convert between in-memory post objects and the JSON payload
+ * the adapters persist (Dates as ISO strings, no raw GraphQL node).
+ */
+
+/**
+ * Build the adapter record for a post accepted in `sessionId`.
+ * @param {number} sessionId
+ * @param {object} post - normalized post (with sourceUrl)
+ * @returns {{ postIdentifier: string, sessionId: number, sourceUrl: string|null, payload: object }}
+ */
+export function toPendingJob(sessionId, post) {
+    const fields = { ...post };
+    delete fields.rawNode;
+    return {
+        postIdentifier: post.postIdentifier,
+        sessionId,
+        sourceUrl: post.sourceUrl || null,
+        payload: {
+            ...fields,
+            publishedAt: post.publishedAt ? post.publishedAt.toISOString() : null,
+        },
+    };
+}
+
+/**
+ * Rebuild the post object from a persisted job.
+ * @param {{ sourceUrl: string|null, payload: object }} job
+ * @returns {object} post ready for download + insertPost
+ */
+export function fromPendingJob(job) {
+    return {
+        ...job.payload,
+        sourceUrl: job.payload.sourceUrl || job.sourceUrl,
+        publishedAt: job.payload.publishedAt ? new Date(job.payload.publishedAt) : null,
+    };
+}
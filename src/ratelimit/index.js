@@ -0,0 +1,168 @@
+/**
+ * Adaptive Rate Limiting
+ *
+ * One shared throttle state per pipeline. The interceptor reports every
+ * matched GraphQL/API response, and the downloader reports CDN 429s. When a
+ * throttle signal shows up (HTTP 429, "Please wait a few minutes",
+ * feedback_required / spam), the whole pipeline pauses: driveScroll(), the
+ * paginator and every download wait on the same pause before their next
+ * request. Pauses back off exponentially with jitter. A clean response after a
+ * pause resets the backoff, and too many throttles in a row abort the run
+ * through `limiter.signal`.
+ *
+ * Reports that arrive while already paused belong to the same throttle
+ * episode, e.g. a burst of parallel downloads hitting 429 together, so they
+ * don't count as extra strikes.
+ *
+ * With an auth pool, `shouldAbort` lets the first throttle abort right away
+ * when another account can take over, instead of pausing.
+ */
+import { createLogger } from '../logger/index.js';
+
+const logger = createLogger('ratelimit');
+
+export const DEFAULT_BACKOFF_MS = 60_000;       // First pause
+export const DEFAULT_MAX_THROTTLES = 5;         // Consecutive throttles before aborting
+const MAX_BACKOFF_MS = 15 * 60_000;             // Cap for a single pause
+const JITTER_RATIO = 0.3;                       // Up to +30% random extra per pause
+
+const THROTTLE_MESSAGES = [
+    /please wait a few minutes/i,
+    /rate limit/i,
+    /too many requests/i,
+    /try again later/i,
+];
+
+/**
+ * Recognize a throttle signal in a response.
+ * @param {number} status
+ * @param {any} body - parsed JSON body, raw text, or null
+ * @returns {string|null} human-readable reason, or null if not throttled
+ */
+export function detectThrottle(status, body) {
+    if (status === 429) return 'HTTP 429';
+    if (body === null || body === undefined) return null;
+
+    if (typeof body === 'string') {
+        const match = THROTTLE_MESSAGES.find(re => re.test(body));
+        return match ? `HTTP ${status}: ${body.match(match)[0]}` : null;
+    }
+    if (typeof body !== 'object') return null;
+
+    if (body.message === 'feedback_required' || body.feedback_required || body.spam === true) {
+        return 'feedback_required';
+    }
+    if (typeof body.message === 'string' && THROTTLE_MESSAGES.some(re => re.test(body.message))) {
+        return `"${body.message}"`;
+    }
+    return null;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.baseDelayMs=60000] - first pause; doubles per consecutive throttle
+ * @param {number} [opts.maxThrottles=5]    - abort after this many consecutive throttles
+ * @param {function(): number} [opts.random=Math.random] - jitter source (tests)
+ * @param {function(string): boolean} [opts.shouldAbort] - called per throttle;
+ *        true aborts at once instead of pausing
+ */
+export function createRateLimiter({ baseDelayMs = DEFAULT_BACKOFF_MS, maxThrottles = DEFAULT_MAX_THROTTLES, random = Math.random, shouldAbort = null } = {}) {
+    let strikes = 0;
+    let pausedUntil = 0;
+    let throttles = 0;
+    let reason = null;
+    let controller = new AbortController();
+
+    const limiter = {
+        /** Feed one response through detectThrottle(). */
+        observe(status, body) {
+            const found = detectThrottle(status, body);
+            if (found) limiter.report(found);
+            else if (status >= 200 && status < 300) limiter.ok();
+        },
+
+        /** Record a throttle signal and pause (or abort past the threshold). */
+        report(why) {
+            if (controller.signal.aborted || Date.now() < pausedUntil) return;
+
+            strikes++;
+            throttles++;
+            reason = why;
+
+            if (strikes > maxThrottles) {
+                logger.error(`Throttled ${strikes} times in a row (${why}) — aborting run`);
+                controller.abort();
+                return;
+            }
+            if (shouldAbort?.(why)) {
+                logger.warn(`Throttled (${why}) — aborting run to hand over`);
+                controller.abort();
+                return;
+            }
+
+            const backoff = Math.min(MAX_BACKOFF_MS, baseDelayMs * 2 ** (strikes - 1));
+            const delay = Math.round(backoff * (1 + random() * JITTER_RATIO));
+            pausedUntil = Date.now() + delay;
+            logger.warn(`Throttled (${why}) — pausing ${Math.round(delay / 1000)}s [strike ${strikes}/${maxThrottles}]`);
+        },
+
+        /** A clean response after a pause: the throttle has lifted. */
+        ok() {
+            if (strikes === 0 || Date.now() < pausedUntil) return;
+            logger.info(`Throttle cleared after ${strikes} strike(s)`);
+            strikes = 0;
+        },
+
+        /**
+         * Resolve once any current pause is over. Returns early when `signal`
+         * or the limiter aborts.
+         */
+        async wait(signal = null) {
+            // Loop: the pause may be extended while waiting, and timers can fire early
+            let remaining;
+            while ((remaining = pausedUntil - Date.now()) > 0) {
+                if (signal?.aborted || controller.signal.aborted) return;
+
+                const stop = AbortSignal.any([controller.signal, signal].filter(Boolean));
+                await new Promise((resolve) => {
+                    const timer = setTimeout(done, remaining);
+                    function done() {
+                        clearTimeout(timer);
+                        stop.removeEventListener('abort', done);
+                        resolve();
+                    }
+                    stop.addEventListener('abort', done, { once: true });
+                });
+            }
+        },
+
+        /** Clear the state after an abort so a later run (next watch cycle) can start fresh. */
+        reset() {
+            strikes = 0;
+            pausedUntil = 0;
+            reason = null;
+            controller = new AbortController();
+        },
+
+        /** Aborts when the throttle threshold is exceeded. */
+        get signal() {
+            return controller.signal;
+        },
+        get exceeded() {
+            return controller.signal.aborted;
+        },
+        get paused() {
+            return Date.now() < pausedUntil;
+        },
+        /** Last throttle reason seen. */
+        get reason() {
+            return reason;
+        },
+        /** Throttle episodes since creation (including before reset()). */
+        get throttles() {
+            return throttles;
+        },
+    };
+
+    return limiter;
+}
@@ -0,0 +1,97 @@
+/**
+ * Resume: Archive Coverage
+ *
+ * A finished scrape session records the time interval it actually walked
+ * through for its source (covered_from … covered_to). Resuming uses the union
+ * of those intervals instead of "newest stored post", so asking for an older
+ * range later only fetches the parts that were never scraped.
+ *
+ * Intervals are { from: Date, to: Date } with both ends inclusive.
+ *
+ * A session that kept only posts matching --keywords archived only those, so
+ * its interval is stored with the keyword set and covers a later run only if
+ * that run keeps the same posts or fewer (see coversKeywords).
+ */
+
+/**
+ * Sort and merge overlapping or touching intervals.
+ * @param {Array<{from: Date, to: Date}>} intervals
+ * @returns {Array<{from: Date, to: Date}>}
+ */
+export function mergeIntervals(intervals) {
+    const sorted = intervals
+        .filter(iv => iv.from && iv.to && iv.from <= iv.to)
+        .sort((a, b) => a.from - b.from);
+
+    const merged = [];
+    for (const iv of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && iv.from.getTime() <= last.to.getTime() + 1) {
+            if (iv.to > last.to) last.to = iv.to;
+        } else {
+            merged.push({ from: iv.from, to: iv.to });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Parts of [start, end] not covered by any interval, oldest first.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Array<{from: Date, to: Date}>} intervals
+ * @returns {Array<{from: Date, to: Date}>}
+ */
+export function findGaps(start, end, intervals) {
+    const gaps = [];
+    let cursor = start.getTime();
+
+    for (const iv of mergeIntervals(intervals)) {
+        if (iv.to.getTime() < cursor) continue;
+        if (iv.from.getTime() > end.getTime()) break;
+        if (iv.from.getTime() > cursor) {
+            gaps.push({ from: new Date(cursor), to: new Date(iv.from.getTime() - 1) });
+        }
+        cursor = Math.max(cursor, iv.to.getTime() + 1);
+    }
+
+    if (cursor <= end.getTime()) gaps.push({ from: new Date(cursor), to: new Date(end) });
+    return gaps;
+}
+
+/**
+ * Keywords as stored with a session: trimmed, lowercased (the processor
+ * matches case-insensitively), deduplicated and sorted. [] = all posts.
+ * @param {string[]} keywords
+ * @returns {string[]}
+ */
+export function keywordSet(keywords = []) {
+    return [...new Set(keywords.map(k => String(k).trim().toLowerCase()).filter(Boolean))].sort();
+}
+
+/**
+ * Does a session run with `archived` keywords cover a run keeping `wanted`?
+ * Only if it kept all posts, or every wanted keyword was among its own.
+ * Sessions from before keywords were stored (null) cover nothing.
+ * @param {string[]|null} archived - keywordSet() of the session
+ * @param {string[]} wanted - keywordSet() of this run
+ */
+export function coversKeywords(archived, wanted) {
+    if (!Array.isArray(archived)) return false;
+    if (archived.length === 0) return true;
+    return wanted.length > 0 && wanted.every(k => archived.includes(k));
+}
+
+/**
+ * Does any interval contain `date`?
+ */
+export function isCovered(date, intervals) {
+    return intervals.some(iv => date >= iv.from && date <= iv.to);
+}
+
+/**
+ * Short "YYYY-MM-DD → YYYY-MM-DD" label for logs.
+ */
+export function formatInterval({ from, to }) {
+    return `${from.toISOString().slice(0, 10)} → ${to.toISOString().slice(0, 10)}`;
+}
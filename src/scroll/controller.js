@@ -10,7 +10,11 @@
  * Stops when:
  *   (a) No new posts received after MAX_STABLE_ITERATIONS consecutive scrolls, OR
  *   (b) The orchestrator signals a date boundary stop, OR
- *   (c) An "end of feed" text indicator is visible on the page.
+ *   (c) An "end of feed" text indicator is visible on the page, OR
+ *   (d) The shared rate limiter gives up.
+ *
+ * While the rate limiter is paused no scrolling happens, and throttled
+ * iterations don't count towards "no new posts".
  */
 import { createLogger } from '../logger/index.js';
 
@@ -30,8 +34,11 @@ const MAX_STABLE_ITERS = 10;    // Stop after this many scrolls with no new post
  *   await gen.next(true/false); // pass whether new posts arrived last round
  *
  * @param {import('playwright').Page} page
+ * @param {object} [options]
+ * @param {ReturnType<import('../ratelimit/index.js').createRateLimiter>|null} [options.rateLimiter]
+ * @param {AbortSignal|null} [options.signal] - cuts a rate-limit pause short
  */
-export async function* driveScroll(page) {
+export async function* driveScroll(page, { rateLimiter = null, signal = null } = {}) {
     let stableCount = 0;
     let iteration = 0;
 
@@ -40,6 +47,17 @@ export async function* driveScroll(page) {
     while (true) {
         iteration++;
 
+        // ── Honour rate-limit pauses ──────────────────────────────────────────
+        if (rateLimiter?.paused) {
+            logger.info('Scrolling paused by rate limiter');
+            await rateLimiter.wait(signal);
+        }
+        if (rateLimiter?.exceeded) {
+            logger.warn(`Scroll stopped: rate limited (${rateLimiter.reason})`);
+            return;
+        }
+        const throttlesBefore = rateLimiter?.throttles ?? 0;
+
         // ── Check for Instagram's end-of-feed indicators ──────────────────────
         const feedDone = await checkFeedExhausted(page).catch(() => false);
         if (feedDone) {
@@ -83,6 +101,8 @@ export async function* driveScroll(page) {
         if (hasNewPosts) {
             stableCount = 0;
             logger.debug(`Scroll #${iteration}: new posts received — reset stable counter`);
+        } else if ((rateLimiter?.throttles ?? 0) > throttlesBefore) {
+            logger.debug(`Scroll #${iteration}: throttled — not counted as stable`);
         } else {
             stableCount++;
             logger.debug(`Scroll #${iteration}: no new posts (stable ${stableCount}/${MAX_STABLE_ITERS})`);
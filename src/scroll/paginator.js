@@ -0,0 +1,320 @@
+/**
+ * Cursor Pagination Driver
+ *
+ * Alternative to driveScroll() for deep backfills. Instead of scrolling and
+ * waiting for the feed to lazy-load, it captures the first intercepted GraphQL
+ * request that returned posts with a cursor next to them (page_info.end_cursor,
+ * or next_max_id on the v1 feed API), then re-issues that same request from
+ * inside the page with successive cursors. Responses still flow through the
+ * interceptor, so post discovery is unchanged.
+ *
+ * Same generator protocol as driveScroll(): yields { iteration } after each
+ * page and receives whether new posts arrived. Its return value tells the
+ * orchestrator why it stopped:
+ *   { exhausted: true }          — no further pages
+ *   { failed: true, reason }     — could not paginate; fall back to scrolling
+ *   { rateLimited: true }        — the shared rate limiter gave up
+ *
+ * Requests wait out rate-limit pauses, and throttled pages are retried
+ * rather than counted as failures.
+ */
+import { detectThrottle } from '../ratelimit/index.js';
+import { createLogger } from '../logger/index.js';
+
+const logger = createLogger('paginator');
+
+const PAGE_DELAY_MS = 1500;        // Pause between page requests
+const PAGE_JITTER_MS = 1000;       // Random extra pause
+const CAPTURE_SCROLLS = 3;         // Scrolls to try if no paginated request was seen yet
+const MAX_CONSECUTIVE_FAILS = 3;   // Give up (→ scroll fallback) after this many bad pages
+
+// Request headers the browser sets itself or refuses to let fetch() override
+const SKIP_HEADERS = new Set([
+    'cookie', 'host', 'content-length', 'connection', 'origin', 'referer',
+    'user-agent', 'accept-encoding', 'sec-fetch-site', 'sec-fetch-mode', 'sec-fetch-dest',
+]);
+
+// Request parameters that identify which GraphQL query was run
+const QUERY_ID_PARAMS = ['doc_id', 'query_hash', 'query_id', 'fb_api_req_friendly_name'];
+
+/**
+ * Find the pagination cursor in a response body.
+ *
+ * A profile payload can hold several connections (timeline, reels,
+ * highlights, followers), each with its own cursor. The one whose edges
+ * hold the post `nodes` the interceptor extracted wins; else the one at
+ * `path`, where the previous page had it; else the first one found. With
+ * `requireNodes`, only a cursor next to the post nodes is returned.
+ *
+ * @param {any} obj
+ * @param {{ nodes?: object[], path?: string|null, requireNodes?: boolean }} [hints]
+ * @returns {{ hasNext: boolean, cursor: string|null, style: 'page_info'|'max_id', path: string }|null}
+ */
+export function findPageInfo(obj, { nodes = [], path = null, requireNodes = false } = {}) {
+    const candidates = [];
+    collectPageInfo(obj, [], candidates);
+    if (candidates.length === 0) return null;
+
+    let best = null;
+    if (nodes.length > 0) {
+        const wanted = new Set(nodes);
+        let bestCount = 0;
+        for (const candidate of candidates) {
+            const count = countNodes(candidate.container, wanted);
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        }
+    }
+    if (requireNodes) return best?.info ?? null;
+    if (!best && path !== null) best = candidates.find(c => c.info.path === path) ?? null;
+    return (best ?? candidates[0]).info;
+}
+
+function collectPageInfo(obj, keys, out) {
+    if (keys.length > 12 || obj === null || typeof obj !== 'object') return;
+
+    if (!Array.isArray(obj)) {
+        const path = keys.join('.');
+        const pi = obj.page_info;
+        if (pi && typeof pi === 'object' && typeof pi.has_next_page === 'boolean') {
+            out.push({ container: obj, info: { hasNext: pi.has_next_page, cursor: pi.end_cursor || null, style: 'page_info', path } });
+        } else if (typeof obj.more_available === 'boolean' && 'next_max_id' in obj) {
+            out.push({ container: obj, info: { hasNext: obj.more_available, cursor: obj.next_max_id || null, style: 'max_id', path } });
+        }
+    }
+
+    for (const [key, value] of Object.entries(obj)) {
+        if (key !== 'page_info') collectPageInfo(value, [...keys, Array.isArray(obj) ? '[]' : key], out);
+    }
+}
+
+/**
+ * How many of `wanted` sit in the container's arrays, as items or as an
+ * item's node (edges[].node).
+ */
+function countNodes(container, wanted) {
+    let count = 0;
+    for (const value of Object.values(container)) {
+        if (!Array.isArray(value)) continue;
+        for (const item of value) {
+            if (wanted.has(item) || (item && typeof item === 'object' && Object.values(item).some(v => wanted.has(v)))) count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Split a request into url + params so it can be re-issued with a new cursor.
+ * Handles GET ?query_hash=…&variables={…}, form-encoded POST doc_id=…&variables={…},
+ * JSON POST { doc_id, variables }, and the v1 REST feed (?max_id=…).
+ */
+function parseRequestTemplate(request) {
+    const url = new URL(request.url());
+    const method = request.method();
+    const postData = request.postData() || '';
+    const contentType = request.headers()['content-type'] || '';
+
+    let bodyKind = 'none';
+    let params = url.searchParams;
+    if (method === 'POST') {
+        if (contentType.includes('json')) {
+            bodyKind = 'json';
+            params = null;
+        } else {
+            bodyKind = 'form';
+            params = new URLSearchParams(postData);
+        }
+    }
+
+    let jsonBody = null;
+    let variables = null;
+    if (bodyKind === 'json') {
+        try {
+            jsonBody = JSON.parse(postData);
+            variables = typeof jsonBody.variables === 'string' ? JSON.parse(jsonBody.variables) : jsonBody.variables;
+        } catch {
+            return null;
+        }
+    } else if (params.has('variables')) {
+        try {
+            variables = JSON.parse(params.get('variables'));
+        } catch {
+            return null;
+        }
+    }
+
+    const source = jsonBody || Object.fromEntries(params);
+    const queryKey = QUERY_ID_PARAMS.map(k => source[k]).find(Boolean) || url.pathname;
+
+    const headers = Object.fromEntries(
+        Object.entries(request.headers()).filter(([k]) => !SKIP_HEADERS.has(k.toLowerCase()) && !k.startsWith(':'))
+    );
+
+    return { url, method, bodyKind, params, jsonBody, variables, queryKey, headers };
+}
+
+/**
+ * Build the fetch() arguments for the next page.
+ */
+function buildNextRequest(template, pageInfo) {
+    const { method, bodyKind, headers } = template;
+    const url = new URL(template.url);
+
+    if (pageInfo.style === 'max_id' || !template.variables) {
+        const params = bodyKind === 'form' ? new URLSearchParams(template.params) : url.searchParams;
+        params.set('max_id', pageInfo.cursor);
+        return { url: url.toString(), method, headers, body: bodyKind === 'form' ? params.toString() : undefined };
+    }
+
+    const variables = { ...template.variables };
+    const cursorKey = ['after', 'cursor', 'end_cursor'].find(k => k in variables) || 'after';
+    variables[cursorKey] = pageInfo.cursor;
+
+    if (bodyKind === 'json') {
+        const body = { ...template.jsonBody };
+        body.variables = typeof template.jsonBody.variables === 'string' ? JSON.stringify(variables) : variables;
+        return { url: url.toString(), method, headers, body: JSON.stringify(body) };
+    }
+
+    if (bodyKind === 'form') {
+        const params = new URLSearchParams(template.params);
+        params.set('variables', JSON.stringify(variables));
+        return { url: url.toString(), method, headers, body: params.toString() };
+    }
+
+    url.searchParams.set('variables', JSON.stringify(variables));
+    return { url: url.toString(), method, headers, body: undefined };
+}
+
+/**
+ * Tracks the paginated query seen by the interceptor. Wire observe() to the
+ * interceptor's onBody hook before navigating.
+ */
+export function createPaginationTracker() {
+    let template = null;
+    let pageInfo = null;
+
+    return {
+        /**
+         * Interceptor hook: remember the first request that returned a cursor
+         * next to posts. `nodes` are the post nodes the interceptor extracted
+         * from `body`; highlights, reels or comments queries carry cursors
+         * too, but no posts.
+         */
+        observe(request, body, nodes = []) {
+            if (!template) {
+                const found = findPageInfo(body, { nodes, requireNodes: true });
+                if (!found) return;
+                const parsed = parseRequestTemplate(request);
+                if (!parsed) return;
+                template = parsed;
+                pageInfo = found;
+                logger.info(`Captured paginated query ${template.queryKey} (${template.method} ${template.url.pathname}, ${found.style})`);
+                return;
+            }
+
+            // Later pages of the same query (e.g. triggered by the page itself)
+            const found = findPageInfo(body, { nodes, path: pageInfo?.path ?? null });
+            if (found && parseRequestTemplate(request)?.queryKey === template.queryKey) pageInfo = found;
+        },
+        get template() {
+            return template;
+        },
+        get pageInfo() {
+            return pageInfo;
+        },
+        set pageInfo(value) {
+            pageInfo = value;
+        },
+    };
+}
+
+/**
+ * Cursor pagination driver as an async generator (see module doc).
+ *
+ * @param {import('playwright').Page} page
+ * @param {ReturnType<typeof createPaginationTracker>} tracker
+ * @param {object} [options]
+ * @param {ReturnType<import('../ratelimit/index.js').createRateLimiter>|null} [options.rateLimiter]
+ * @param {AbortSignal|null} [options.signal] - cuts a rate-limit pause short
+ */
+export async function* drivePagination(page, tracker, { rateLimiter = null, signal = null } = {}) {
+    // ── Make sure we have a paginated request to replay ───────────────────
+    for (let i = 0; i < CAPTURE_SCROLLS && !tracker.template; i++) {
+        logger.debug(`No paginated query captured yet — scrolling to trigger one (${i + 1}/${CAPTURE_SCROLLS})`);
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight)).catch(() => { });
+        await page.waitForTimeout(PAGE_DELAY_MS * 2).catch(() => { });
+    }
+    if (!tracker.template) {
+        return { failed: true, reason: 'no paginated GraphQL request observed' };
+    }
+
+    logger.info('Cursor pagination started');
+    let iteration = 0;
+    let fails = 0;
+
+    while (true) {
+        const current = tracker.pageInfo;
+        if (!current?.hasNext || !current.cursor) {
+            logger.info('Pagination complete: no further pages');
+            return { exhausted: true };
+        }
+
+        if (rateLimiter?.paused) {
+            logger.info('Pagination paused by rate limiter');
+            await rateLimiter.wait(signal);
+        }
+        if (rateLimiter?.exceeded) {
+            logger.warn(`Pagination stopped: rate limited (${rateLimiter.reason})`);
+            return { rateLimited: true };
+        }
+
+        iteration++;
+        const req = buildNextRequest(tracker.template, current);
+
+        let result;
+        try {
+            result = await page.evaluate(async ({ url, method, headers, body }) => {
+                const res = await fetch(url, { method, headers, body, credentials: 'include' });
+                return { status: res.status, text: await res.text() };
+            }, req);
+        } catch (err) {
+            result = { status: 0, text: '', error: err.message };
+        }
+
+        let next = null;
+        let parsed = result.text;
+        try {
+            parsed = JSON.parse(result.text);
+        } catch { /* not JSON */ }
+        if (result.status >= 200 && result.status < 300) next = findPageInfo(parsed, { path: current.path });
+
+        const throttle = rateLimiter ? detectThrottle(result.status, parsed) : null;
+        if (throttle) {
+            // Usually already reported by the interceptor; repeats within a pause are ignored
+            rateLimiter.report(throttle);
+            logger.warn(`Page #${iteration} throttled (${throttle}) — retrying after the pause`);
+        } else if (!next || next.cursor === current.cursor) {
+            fails++;
+            logger.warn(`Page #${iteration} failed [${result.status}${result.error ? ` ${result.error}` : ''}] (${fails}/${MAX_CONSECUTIVE_FAILS})`);
+            if (fails >= MAX_CONSECUTIVE_FAILS) {
+                return { failed: true, reason: `${fails} consecutive failed page requests` };
+            }
+        } else {
+            fails = 0;
+            tracker.pageInfo = next;
+        }
+
+        try {
+            await page.waitForTimeout(PAGE_DELAY_MS + Math.random() * PAGE_JITTER_MS);
+        } catch {
+            logger.warn('Page closed during pagination — stopping');
+            return { exhausted: true };
+        }
+
+        // Same protocol as driveScroll; new-post signal is informational here
+        yield { iteration, cursor: tracker.pageInfo.cursor };
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * Targets File Loader
+ *
+ * Reads the list of profiles for batch mode (--targets) from JSON, YAML or CSV.
+ * Each target must have a `url`; `start`, `end`, `keywords`, `workers` and
+ * `schedule` (watch mode) optionally override the CLI-wide defaults for that profile.
+ *
+ * JSON / YAML — either a top-level array or { targets: [...] }:
+ *   - url: https://www.instagram.com/goanews/
+ *     start: 2024-01-01
+ *     keywords: [fire, flood]
+ *     workers: 2
+ *
+ * CSV — header row required; keywords separated by ';' or '|':
+ *   url,start,end,keywords,workers
+ *   https://www.instagram.com/goanews/,2024-01-01,,fire;flood,2
+ */
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { parseISO, isValid } from 'date-fns';
+import YAML from 'yaml';
+import { parseSchedule } from '../watch/index.js';
+
+const TARGET_FIELDS = ['url', 'start', 'end', 'keywords', 'workers', 'schedule'];
+
+/**
+ * Load and validate a targets file.
+ *
+ * @param {string} file
+ * @returns {Promise<Array<{
+ *   url: string,
+ *   startDate?: Date,
+ *   endDate?: Date,
+ *   keywords?: string[],
+ *   workers?: number,
+ *   schedule?: string
+ * }>>} only fields present in the file are set
+ */
+export async function loadTargets(file) {
+    const text = await readFile(file, 'utf-8');
+    const ext = extname(file).toLowerCase();
+
+    let raw;
+    if (ext === '.csv') {
+        raw = parseCsv(text);
+    } else if (ext === '.yaml' || ext === '.yml') {
+        raw = YAML.parse(text);
+    } else {
+        raw = JSON.parse(text);
+    }
+
+    const list = Array.isArray(raw) ? raw : raw?.targets;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`Targets file ${file} contains no targets`);
+    }
+
+    return list.map((entry, idx) => normalizeTarget(entry, `${file} target #${idx + 1}`));
+}
+
+/**
+ * Validate one raw target entry (a bare string is shorthand for { url }).
+ */
+function normalizeTarget(entry, where) {
+    if (typeof entry === 'string') entry = { url: entry };
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${where}: expected an object or URL string`);
+    }
+
+    const url = String(entry.url || '').trim();
+    if (!/^https?:\/\//i.test(url)) {
+        throw new Error(`${where}: missing or invalid url "${entry.url ?? ''}"`);
+    }
+
+    const target = { url };
+
+    if (isSet(entry.start)) target.startDate = parseTargetDate(entry.start, 'start', where);
+    if (isSet(entry.end)) target.endDate = parseTargetDate(entry.end, 'end', where);
+    if (target.startDate && target.endDate && target.startDate > target.endDate) {
+        throw new Error(`${where}: start must be before or equal to end`);
+    }
+
+    if (isSet(entry.keywords)) {
+        const list = Array.isArray(entry.keywords)
+            ? entry.keywords
+            : String(entry.keywords).split(/[,;|]/);
+        target.keywords = list.map(k => String(k).trim()).filter(Boolean);
+    }
+
+    if (isSet(entry.workers)) {
+        const workers = parseInt(entry.workers, 10);
+        if (isNaN(workers) || workers < 1) {
+            throw new Error(`${where}: workers must be a positive integer`);
+        }
+        target.workers = workers;
+    }
+
+    if (isSet(entry.schedule)) {
+        try {
+            target.schedule = parseSchedule(entry.schedule).spec;
+        } catch (err) {
+            throw new Error(`${where}: ${err.message}`);
+        }
+    }
+
+    return target;
+}
+
+function isSet(value) {
+    return value != null && value !== '';
+}
+
+function parseTargetDate(value, field, where) {
+    const d = value instanceof Date ? fromYamlTimestamp(value) : parseISO(String(value).trim());
+    if (!isValid(d)) {
+        throw new Error(`${where}: invalid ${field} date "${value}". Expected YYYY-MM-DD`);
+    }
+    return d;
+}
+
+/**
+ * YAML 1.1 files (`%YAML 1.1`, `!!timestamp`) turn a bare 2024-01-01 into a
+ * Date at UTC midnight; CSV/JSON strings and the CLI dates mean local
+ * midnight, so date-only timestamps are moved to that. Timestamps with a
+ * time of day are kept as written.
+ */
+function fromYamlTimestamp(d) {
+    const dateOnly = d.getUTCHours() === 0 && d.getUTCMinutes() === 0 && d.getUTCSeconds() === 0 && d.getUTCMilliseconds() === 0;
+    return dateOnly ? new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) : d;
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF).
+ * Returns one object per data row keyed by the lower-cased header names.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(cell => cell.trim()));
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].map(h => h.trim().toLowerCase());
+    if (!header.includes('url')) {
+        throw new Error(`CSV targets file needs a header row with a "url" column (got: ${header.join(', ')})`);
+    }
+    const unknown = header.filter(h => h && !TARGET_FIELDS.includes(h));
+    if (unknown.length) {
+        throw new Error(`CSV targets file has unknown column(s): ${unknown.join(', ')}`);
+    }
+
+    return nonEmpty.slice(1).map(cells =>
+        Object.fromEntries(header.map((h, i) => [h, (cells[i] || '').trim()]))
+    );
+}
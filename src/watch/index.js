@@ -0,0 +1,194 @@
+/**
+ * Watch Mode Helpers
+ *
+ * Schedule parsing for --watch plus the health/status file that long-running
+ * watch processes keep up to date for monitoring.
+ *
+ * Schedules are either an interval ("90s", "15m", "2h", "1d") or a standard
+ * 5-field cron expression ("*\/15 6-23 * * *") evaluated in local time.
+ */
+import { writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+const UNIT_MS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+// [min, max] for minute, hour, day-of-month, month, day-of-week
+const CRON_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 6]];
+const CRON_FIELD_NAMES = ['minute', 'hour', 'day-of-month', 'month', 'day-of-week'];
+const CRON_MAX_LOOKAHEAD_MS = 366 * UNIT_MS.d;
+// setTimeout fires after 1 ms when given more than this (about 24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Parse a duration like "30s", "15m", "2h", "1d" (bare numbers are seconds).
+ * @param {string|number} spec
+ * @returns {number} milliseconds
+ */
+export function parseDuration(spec) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([smhd]?)\s*$/i.exec(String(spec));
+    if (!match) {
+        throw new Error(`Invalid duration "${spec}". Expected e.g. 30s, 15m, 2h, 1d`);
+    }
+    return Math.round(Number(match[1]) * UNIT_MS[(match[2] || 's').toLowerCase()]);
+}
+
+/**
+ * Resolve after `ms`, or early when `signal` aborts. Longer waits than one
+ * timer can hold (a monthly cron, "30d") are slept in chunks, re-checking
+ * the time after each.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+export function sleep(ms, signal) {
+    const deadline = Date.now() + ms;
+    return new Promise((resolve) => {
+        if (signal?.aborted) return resolve();
+        let timer = null;
+        const arm = () => {
+            const left = deadline - Date.now();
+            if (left <= 0) return done();
+            timer = setTimeout(arm, Math.min(left, MAX_TIMER_MS));
+        };
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        }
+        signal?.addEventListener('abort', done, { once: true });
+        arm();
+    });
+}
+
+/**
+ * Parse a schedule spec (interval or cron).
+ *
+ * @param {string} spec
+ * @returns {{ spec: string, next: function(Date): Date }} next() returns the
+ *          first run time strictly after the given date
+ */
+export function parseSchedule(spec) {
+    const text = String(spec || '').trim();
+    const fields = text.split(/\s+/);
+
+    if (fields.length === 5) {
+        const sets = fields.map((f, i) => parseCronField(f, i));
+        return { spec: text, next: (from) => nextCronTime(sets, fields, from) };
+    }
+
+    const ms = parseDuration(text);
+    if (ms <= 0) throw new Error(`Schedule interval must be positive: "${spec}"`);
+    return { spec: text, next: (from) => new Date(from.getTime() + ms) };
+}
+
+function parseCronField(field, idx) {
+    const [min, max] = CRON_RANGES[idx];
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid cron ${CRON_FIELD_NAMES[idx]} field "${field}"`);
+        }
+
+        let lo = min;
+        let hi = max;
+        if (match[1] !== '*') {
+            const [a, b] = match[1].split('-').map(Number);
+            lo = a;
+            hi = b ?? (match[2] ? max : a);
+        }
+        const step = match[2] ? Number(match[2]) : 1;
+
+        // Cron allows 7 as an alias for Sunday
+        if (idx === 4 && hi === 7) {
+            values.add(0);
+            hi = 6;
+            if (lo === 7) continue;
+        }
+
+        if (lo < min || hi > max || lo > hi || step < 1) {
+            throw new Error(`Cron ${CRON_FIELD_NAMES[idx]} field "${field}" is out of range ${min}-${max}`);
+        }
+        for (let v = lo; v <= hi; v += step) values.add(v);
+    }
+
+    return values;
+}
+
+function nextCronTime([minutes, hours, doms, months, dows], fields, from) {
+    // Standard cron: when both day fields are restricted, either may match
+    const domRestricted = fields[2] !== '*';
+    const dowRestricted = fields[4] !== '*';
+    const dayMatches = (d) => {
+        const dom = doms.has(d.getDate());
+        const dow = dows.has(d.getDay());
+        if (domRestricted && dowRestricted) return dom || dow;
+        return dom && dow;
+    };
+
+    const t = new Date(from.getTime());
+    t.setSeconds(0, 0);
+    t.setMinutes(t.getMinutes() + 1);
+
+    const limit = from.getTime() + CRON_MAX_LOOKAHEAD_MS;
+    while (t.getTime() <= limit) {
+        if (!months.has(t.getMonth() + 1)) {
+            t.setMonth(t.getMonth() + 1, 1);
+            t.setHours(0, 0);
+        } else if (!dayMatches(t)) {
+            t.setDate(t.getDate() + 1);
+            t.setHours(0, 0);
+        } else if (!hours.has(t.getHours())) {
+            t.setHours(t.getHours() + 1, 0);
+        } else if (!minutes.has(t.getMinutes())) {
+            t.setMinutes(t.getMinutes() + 1);
+        } else {
+            return t;
+        }
+    }
+    throw new Error(`Cron schedule "${fields.join(' ')}" never fires within a year`);
+}
+
+/**
+ * Health/status file for watch mode. Rewritten atomically (temp + rename)
+ * on every change so monitors never read a half-written file.
+ */
+export class WatchStatus {
+    /**
+     * @param {string} file
+     * @param {Array<{url: string, schedule: string}>} targets
+     */
+    constructor(file, targets) {
+        this.file = file;
+        this.state = {
+            pid: process.pid,
+            state: 'starting',
+            startedAt: new Date().toISOString(),
+            updatedAt: null,
+            cycles: 0,
+            targets: targets.map(t => ({
+                url: t.url,
+                schedule: t.schedule,
+                runs: 0,
+                lastRunAt: null,
+                lastStatus: null,
+                lastError: null,
+                lastPostsStored: null,
+                lastSchemaDrift: null,
+                nextRunAt: null,
+            })),
+        };
+    }
+
+    target(url) {
+        return this.state.targets.find(t => t.url === url);
+    }
+
+    async update(patch = {}) {
+        Object.assign(this.state, patch, { updatedAt: new Date().toISOString() });
+        await mkdir(dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        await writeFile(tmp, JSON.stringify(this.state, null, 2));
+        await rename(tmp, this.file);
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Mid-run login wall detection test
+ * Run: node tests/auth.test.js
+ *
+ * Uses a minimal stand-in for the Playwright page (events + $()).
+ */
+import { EventEmitter } from 'events';
+import { isLoginWallUrl, detectAuthWall, createAuthWatch } from '../src/browser/auth.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function fakePage() {
+    const page = new EventEmitter();
+    const mainFrame = { url: () => page.currentUrl };
+    page.currentUrl = 'https://www.instagram.com/test/';
+    page.loginForm = false;
+    page.off = page.removeListener;
+    page.mainFrame = () => mainFrame;
+    page.url = () => page.currentUrl;
+    page.$ = async (selector) => (selector === 'input[name="username"]' && page.loginForm ? {} : null);
+    page.navigate = (url) => {
+        page.currentUrl = url;
+        page.emit('framenavigated', mainFrame);
+    };
+    return page;
+}
+
+function fakeResponse({ url = 'https://www.instagram.com/graphql/query', status = 200, body = null, headers = {} }) {
+    return {
+        url: () => url,
+        status: () => status,
+        headers: () => ({ 'content-type': 'application/json', ...headers }),
+        request: () => ({ method: () => 'POST' }),
+        json: async () => body,
+    };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function testDetection() {
+    assert(isLoginWallUrl('https://www.instagram.com/accounts/login/?next=%2Ftest%2F'), 'login URL');
+    assert(isLoginWallUrl('https://www.instagram.com/challenge/action/'), 'challenge URL');
+    assert(!isLoginWallUrl('https://www.instagram.com/test/'), 'profile URL');
+
+    assert(detectAuthWall(401, null) === 'HTTP 401', '401');
+    assert(detectAuthWall(400, { message: 'checkpoint_required', checkpoint_url: '/challenge/x/' }) === 'checkpoint_required', 'checkpoint');
+    assert(detectAuthWall(200, { require_login: true, status: 'fail' }) === 'require_login', 'require_login');
+    assert(detectAuthWall(400, { message: 'Please wait a few minutes before you try again.', require_login: true }) === null,
+        'throttle responses with require_login are left to the rate limiter');
+    assert(detectAuthWall(200, { data: { user: {} } }) === null, 'normal response');
+    console.log('✓ testDetection');
+}
+
+async function testFrameNavigation() {
+    const page = fakePage();
+    const watch = createAuthWatch(page);
+    page.navigate('https://www.instagram.com/test/?page=2');
+    assert(!watch.expired, 'normal navigation ignored');
+
+    page.navigate('https://www.instagram.com/accounts/login/?next=%2Ftest%2F');
+    assert(watch.expired && watch.signal.aborted, 'redirect to login trips the watch');
+    assert(watch.reason.includes('/accounts/login'), `reason: ${watch.reason}`);
+
+    watch.stop();
+    assert(page.listenerCount('framenavigated') === 0 && page.listenerCount('response') === 0, 'listeners detached');
+    console.log('✓ testFrameNavigation');
+}
+
+async function testResponses() {
+    const page = fakePage();
+    const watch = createAuthWatch(page);
+
+    page.emit('response', fakeResponse({ body: { data: { user: { edge_owner_to_timeline_media: {} } } } }));
+    page.emit('response', fakeResponse({ status: 429, body: { message: 'Please wait a few minutes before you try again.', require_login: true } }));
+    page.emit('response', fakeResponse({ url: 'https://cdn.example.com/x.jpg', status: 401, headers: { 'content-type': 'image/jpeg' } }));
+    await tick();
+    assert(!watch.expired, 'data, throttles and non-API responses ignored');
+
+    page.emit('response', fakeResponse({ status: 200, body: { message: 'login_required', status: 'fail' } }));
+    await tick();
+    assert(watch.expired && watch.reason.startsWith('login_required'), `API login_required trips: ${watch.reason}`);
+    watch.stop();
+
+    const other = createAuthWatch(fakePage());
+    const page2 = fakePage();
+    const watch2 = createAuthWatch(page2);
+    page2.emit('response', fakeResponse({ url: 'https://www.instagram.com/test/', status: 302, headers: { location: 'https://www.instagram.com/accounts/login/' } }));
+    await tick();
+    assert(watch2.expired && !other.expired, '302 to login trips only its own page');
+    console.log('✓ testResponses');
+}
+
+async function testLoginFormCheck() {
+    const page = fakePage();
+    const watch = createAuthWatch(page);
+    assert(!(await watch.check()), 'no login form');
+    page.loginForm = true;
+    assert(await watch.check(), 'login modal detected');
+    assert(watch.reason.startsWith('login form shown'), `reason: ${watch.reason}`);
+
+    const manual = createAuthWatch(fakePage());
+    manual.trip('Instagram redirected to login/challenge');
+    assert(manual.expired && manual.reason === 'Instagram redirected to login/challenge', 'trip() from navigateTo errors');
+    console.log('✓ testLoginFormCheck');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    testDetection();
+    await testFrameNavigation();
+    await testResponses();
+    await testLoginFormCheck();
+    console.log('\n✅ All auth watch tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+}
@@ -0,0 +1,137 @@
+/**
+ * Cookie import + session file test
+ * Run: node tests/cookies.test.js
+ *
+ * No browser needed: covers the cookies.txt / JSON converters, the cookie
+ * expiry report used by `auth import` and `auth check`, and the atomic
+ * session file writes used by `auth import` and --refresh-auth.
+ */
+import { mkdtempSync, rmSync, readFileSync, readdirSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { importCookies, parseNetscapeCookies, cookieExpiries } from '../src/auth/cookies.js';
+import { checkAuthStates } from '../src/auth/check.js';
+import { writeAuthState } from '../src/auth/state.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+const FUTURE = 1999999999; // 2033
+const PAST = 1700000000;   // 2023
+
+function testNetscape() {
+    const text = [
+        '# Netscape HTTP Cookie File',
+        '# https://curl.se/docs/http-cookies.html',
+        '',
+        `.instagram.com\tTRUE\t/\tTRUE\t${FUTURE}\tcsrftoken\tabc`,
+        `#HttpOnly_.instagram.com\tTRUE\t/\tTRUE\t${FUTURE}\tsessionid\t123%3Axyz%3A1`,
+        `instagram.com\tTRUE\t/\tFALSE\t0\tig_nrcb\t1`,
+        `www.instagram.com\tFALSE\t/p/\tFALSE\t${PAST}\tshbid\tx\ty`,
+        `.instagram.com\tTRUE\t/\tTRUE\t${FUTURE}\tig_did\t`,
+    ].join('\r\n');
+
+    const state = importCookies(text);
+    assert(state.cookies.length === 5 && state.origins.length === 0, 'five cookies, no origins');
+
+    const [csrf, session, nrcb, shbid, empty] = state.cookies;
+    assert(empty.name === 'ig_did' && empty.value === '', 'empty value on the last line');
+    assert(csrf.domain === '.instagram.com' && csrf.secure && !csrf.httpOnly && csrf.expires === FUTURE, 'plain line');
+    assert(session.name === 'sessionid' && session.httpOnly && session.value === '123%3Axyz%3A1', '#HttpOnly_ prefix');
+    assert(nrcb.domain === '.instagram.com' && nrcb.expires === -1, 'subdomain flag adds the dot, 0 = session cookie');
+    assert(shbid.domain === 'www.instagram.com' && shbid.path === '/p/' && shbid.value === 'x\ty', 'host-only cookie, tab in value');
+
+    let err = null;
+    try {
+        parseNetscapeCookies('.instagram.com\tTRUE\t/\n');
+    } catch (e) {
+        err = e;
+    }
+    assert(err?.message.includes('line 1'), 'malformed line reported');
+    console.log('✓ testNetscape');
+}
+
+function testJsonExports() {
+    // Cookie-Editor / EditThisCookie format
+    const extension = JSON.stringify([
+        { domain: '.instagram.com', name: 'sessionid', value: 's', path: '/', expirationDate: FUTURE + 0.5, hostOnly: false, httpOnly: true, secure: true, sameSite: 'no_restriction', session: false },
+        { domain: 'www.instagram.com', name: 'dpr', value: '2', path: '/', hostOnly: true, httpOnly: false, secure: true, sameSite: 'unspecified', session: true },
+        { domain: 'instagram.com', name: 'ds_user_id', value: '42', expirationDate: FUTURE, hostOnly: false, sameSite: 'lax' },
+    ]);
+    const { cookies } = importCookies(extension);
+    assert(cookies[0].expires === FUTURE && cookies[0].sameSite === 'None' && cookies[0].httpOnly, 'expirationDate / sameSite mapped');
+    assert(cookies[1].expires === -1 && cookies[1].sameSite === 'Lax' && cookies[1].domain === 'www.instagram.com', 'session cookie');
+    assert(cookies[2].domain === '.instagram.com' && cookies[2].path === '/', 'hostOnly=false adds the dot');
+
+    // A Playwright storage state passes through with its origins
+    const playwright = { cookies: [{ name: 'sessionid', value: 's', domain: '.instagram.com', path: '/', expires: FUTURE, httpOnly: true, secure: true, sameSite: 'Lax' }], origins: [{ origin: 'https://www.instagram.com', localStorage: [] }] };
+    const state = importCookies(JSON.stringify(playwright));
+    assert(JSON.stringify(state) === JSON.stringify(playwright), 'storage state unchanged');
+
+    for (const bad of ['', '{"cookies": 3}', '[{"value": "x"}]', '[]', '{oops']) {
+        let threw = false;
+        try {
+            importCookies(bad);
+        } catch {
+            threw = true;
+        }
+        assert(threw, `rejected: ${bad}`);
+    }
+    console.log('✓ testJsonExports');
+}
+
+function testExpiries() {
+    const state = importCookies([
+        `#HttpOnly_.instagram.com\tTRUE\t/\tTRUE\t${FUTURE}\tsessionid\ts`,
+        `.instagram.com\tTRUE\t/\tTRUE\t${PAST}\tds_user_id\t42`,
+        `.example.com\tTRUE\t/\tTRUE\t${FUTURE}\tcsrftoken\tnot-instagram`,
+    ].join('\n'));
+
+    const [session, userId, csrf] = cookieExpiries(state, new Date('2026-01-01T00:00:00Z'));
+    assert(session.present && !session.expired && session.expires.getTime() === FUTURE * 1000, 'sessionid valid');
+    assert(userId.present && userId.expired, 'ds_user_id expired');
+    assert(!csrf.present && csrf.expires === null, 'other domains ignored');
+    console.log('✓ testExpiries');
+}
+
+async function testUnreadableSession() {
+    // Reported without launching a browser
+    const [report] = await checkAuthStates([{ name: 'ghost', statePath: '/nonexistent/ghost.json' }]);
+    assert(!report.loggedIn && report.reason.startsWith('cannot read session'), `report: ${JSON.stringify(report)}`);
+    console.log('✓ testUnreadableSession');
+}
+
+async function testWriteAuthState() {
+    const dir = mkdtempSync(join(tmpdir(), 'authstate-test-'));
+    const file = join(dir, 'accounts', 'news1.json');
+    const first = { cookies: [{ name: 'sessionid', value: 'old' }], origins: [] };
+    const second = { cookies: [{ name: 'sessionid', value: 'rotated' }], origins: [] };
+
+    try {
+        await writeAuthState(file, first);
+        assert(readdirSync(join(dir, 'accounts')).join() === 'news1.json', 'no backup for a new file, no temp left');
+        assert((statSync(file).mode & 0o077) === 0, 'private file mode');
+
+        await writeAuthState(file, second);
+        assert(JSON.parse(readFileSync(file, 'utf-8')).cookies[0].value === 'rotated', 'file replaced');
+        assert(JSON.parse(readFileSync(`${file}.bak`, 'utf-8')).cookies[0].value === 'old', 'previous state kept as .bak');
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+    console.log('✓ testWriteAuthState: atomic replace with .bak');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    testNetscape();
+    testJsonExports();
+    testExpiries();
+    await testUnreadableSession();
+    await testWriteAuthState();
+    console.log('\n✅ All cookie import tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+}
@@ -1,5 +1,5 @@
 /**
- * Database module unit test (MySQL).
+ * Database module unit test (MySQL adapter).
  *
  * Run: node tests/db.test.js
  *
@@ -14,10 +14,18 @@ import {
     createSession,
     finalizeSession,
     insertPost,
+    updateImagePath,
+    addPendingJob,
+    removePendingJob,
+    getPendingJobs,
+    recordFailure,
+    resolveFailure,
+    getFailures,
+    getCoverage,
     getLatestPublishedAt,
     getPostDateRange,
     closeDb,
-} from '../src/database/index.js';
+} from '../src/database/mysql.js';
 
 const TEST_DB = 'instagram_scraper_test_' + Date.now();
 
@@ -90,12 +98,19 @@ async function testFinalizeSession(sessionId) {
         skipped: 2,
         errors: 0,
         durationSeconds: 42,
+        coveredFrom: new Date('2022-01-01T00:00:00Z'),
+        coveredTo: new Date('2024-06-30T12:00:00Z'),
     });
     const [rows] = await pool.query(`SELECT * FROM scrape_sessions WHERE id = ?`, [sessionId]);
     assert(rows[0].total_posts_processed === 1, 'total_posts_processed should be 1');
     assert(rows[0].total_posts_skipped === 2, 'total_posts_skipped should be 2');
     assert(rows[0].duration_seconds === 42, 'duration should be 42');
     assert(rows[0].end_time !== null, 'end_time should be set');
+
+    const coverage = await getCoverage(pool, rows[0].source_url);
+    assert(coverage.length === 1, `Expected 1 covered interval, got ${coverage.length}`);
+    assert(coverage[0].from.toISOString() === '2022-01-01T00:00:00.000Z', 'covered_from round-trips');
+    assert(coverage[0].to.toISOString() === '2024-06-30T12:00:00.000Z', 'covered_to round-trips');
     console.log('✓ testFinalizeSession: all fields correct');
 }
 
@@ -128,6 +143,64 @@ async function testCommentsJson(sessionId) {
     console.log('✓ testCommentsJson: stored and parsed correctly');
 }
 
+async function testPendingJobs(sessionId) {
+    const job = (caption) => ({
+        postIdentifier: 'PENDING1',
+        sessionId,
+        sourceUrl: 'https://www.instagram.com/test/',
+        payload: { postIdentifier: 'PENDING1', captionText: caption, publishedAt: '2023-01-01T00:00:00.000Z' },
+    });
+    await addPendingJob(pool, job('first'));
+    await addPendingJob(pool, job('second')); // upsert, not a second row
+    let jobs = await getPendingJobs(pool);
+    assert(jobs.length === 1, `Expected 1 pending job, got ${jobs.length}`);
+    assert(jobs[0].payload.captionText === 'second', 'payload replaced on upsert');
+    assert(jobs[0].sessionId === sessionId, 'session id kept');
+
+    await removePendingJob(pool, 'PENDING1');
+    jobs = await getPendingJobs(pool);
+    assert(jobs.length === 0, 'job removed');
+    console.log('✓ testPendingJobs: upsert, list, remove');
+}
+
+async function testFailedJobs(sessionId) {
+    const failure = (errorClass) => ({
+        postIdentifier: 'FAILED1',
+        kind: 'media',
+        sessionId,
+        sourceUrl: 'https://www.instagram.com/test/',
+        postUrl: 'https://www.instagram.com/p/FAILED1/',
+        mediaUrl: 'https://cdn.example.com/failed1.jpg',
+        errorClass,
+        errorMessage: `download failed (${errorClass})`,
+        payload: { postIdentifier: 'FAILED1', publishedAt: '2023-01-01T00:00:00.000Z' },
+    });
+    await insertPost(pool, sessionId, {
+        postIdentifier: 'FAILED1',
+        sourceUrl: 'https://www.instagram.com/test/',
+        captionText: 'media failed',
+        publishedAt: new Date('2023-01-01T00:00:00Z'),
+    });
+    await recordFailure(pool, failure('timeout'));
+    await recordFailure(pool, failure('http_403')); // upsert bumps attempts
+    await recordFailure(pool, { ...failure('duplicate'), kind: 'insert' });
+    let failures = await getFailures(pool);
+    assert(failures.length === 2, `Expected 2 failures (media + insert), got ${failures.length}`);
+    const media = failures.find(f => f.kind === 'media');
+    assert(media.attempts === 2 && media.errorClass === 'http_403', 'attempts bumped, latest error kept');
+    assert(media.firstFailedAt <= media.lastFailedAt, 'timestamps recorded');
+    assert(media.payload.publishedAt === '2023-01-01T00:00:00.000Z', 'payload stored');
+
+    assert(await updateImagePath(pool, 'FAILED1', 'downloads/2023/01/FAILED1.jpg'), 'image_path updated');
+    assert(!(await updateImagePath(pool, 'NOPE', 'x.jpg')), 'unknown post reports false');
+
+    await resolveFailure(pool, 'FAILED1', 'media');
+    await resolveFailure(pool, 'FAILED1', 'insert');
+    failures = await getFailures(pool);
+    assert(failures.length === 0, 'failures resolved');
+    console.log('✓ testFailedJobs: upsert with attempts, list, resolve, image_path update');
+}
+
 async function cleanup() {
     await pool.query(`DROP DATABASE IF EXISTS \`${TEST_DB}\``);
     await closeDb(pool);
@@ -143,6 +216,8 @@ try {
     await testFinalizeSession(sessionId);
     await testGetPostDateRange(sessionId);
     await testCommentsJson(sessionId);
+    await testPendingJobs(sessionId);
+    await testFailedJobs(sessionId);
     await cleanup();
     console.log('\n✅ All MySQL database tests passed!');
 } catch (err) {
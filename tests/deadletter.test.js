@@ -0,0 +1,142 @@
+/**
+ * Dead-letter store + retry-failed test (JSON storage).
+ *
+ * Run: node tests/deadletter.test.js
+ *
+ * A local media server first fails a download, which must land in the
+ * failed-jobs store; retryFailed() then re-attempts it once the server
+ * recovers and points the stored post at the downloaded file.
+ */
+import { mkdtempSync, rmSync, readFileSync, existsSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import * as jsonDb from '../src/database/json.js';
+import { toPendingJob } from '../src/queue/pending.js';
+import { classifyError, toFailure, mediaUrlExpiry, needsFreshUrl } from '../src/queue/deadletter.js';
+import { recoverPendingJobs, retryFailed } from '../src/orchestrator/index.js';
+
+const SOURCE_URL = 'https://www.instagram.com/test/';
+const dir = mkdtempSync(join(tmpdir(), 'deadletter-test-'));
+const dbFile = join(dir, 'scraped_posts.json');
+const storage = { storage: 'json', json: { path: dbFile } };
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function post(id, imageUrl, postUrl = null) {
+    return {
+        postIdentifier: id,
+        postUrl,
+        imageUrl,
+        videoUrl: null,
+        mediaType: 'image',
+        captionText: `caption ${id}`,
+        comments: [],
+        publishedAt: new Date('2023-04-01T12:00:00Z'),
+        sourceUrl: SOURCE_URL,
+    };
+}
+
+function snapshot() {
+    return JSON.parse(readFileSync(dbFile, 'utf-8'));
+}
+
+function testHelpers() {
+    const httpErr = new Error('Image download failed after 3 retries', { cause: { response: { status: 403 } } });
+    assert(classifyError(httpErr) === 'http_403', 'HTTP status from the wrapped axios error');
+    assert(classifyError(Object.assign(new Error('t'), { code: 'ECONNABORTED' })) === 'timeout', 'axios timeout');
+    assert(classifyError(Object.assign(new Error('d'), { code: 'ER_LOCK_DEADLOCK' })) === 'er_lock_deadlock', 'driver error code');
+    assert(classifyError(new TypeError('x')) === 'TypeError', 'error name fallback');
+
+    const failure = toFailure('media', 4, { ...post('H1', 'https://cdn.example.com/h1.jpg'), rawNode: {} }, httpErr);
+    assert(failure.mediaUrl === 'https://cdn.example.com/h1.jpg' && failure.errorClass === 'http_403', 'failure record');
+    assert(!('rawNode' in failure.payload) && failure.payload.publishedAt === '2023-04-01T12:00:00.000Z', 'payload like a pending job');
+
+    const now = new Date('2024-01-01T00:00:00Z');
+    const past = Math.floor(now.getTime() / 1000 - 3600).toString(16);
+    const future = Math.floor(now.getTime() / 1000 + 3600).toString(16);
+    assert(mediaUrlExpiry(`https://cdn.example.com/a.jpg?oe=${past}`)?.getTime() === now.getTime() - 3600000, 'oe= decoded');
+    assert(needsFreshUrl(`https://cdn.example.com/a.jpg?oe=${past}`, null, now), 'expired signature');
+    assert(!needsFreshUrl(`https://cdn.example.com/a.jpg?oe=${future}`, null, now), 'valid signature');
+    assert(needsFreshUrl('https://cdn.example.com/a.jpg', httpErr, now), 'CDN 403 → refresh');
+    assert(!needsFreshUrl('https://cdn.example.com/a.jpg', new Error('socket hang up'), now), 'network error → plain retry');
+    console.log('✓ testHelpers: error classes, failure records, URL expiry');
+}
+
+async function testFailAndRetry() {
+    let healthy = false;
+    const server = createServer((req, res) => {
+        if (req.url === '/flaky.jpg' && healthy) {
+            res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+            res.end('jpegbytes');
+        } else {
+            res.writeHead(500);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const expired = `${base}/old.jpg?oe=${(Math.floor(Date.now() / 1000) - 60).toString(16)}`;
+
+    try {
+        // ── Failing download: post stored without media, failure dead-lettered ──
+        await jsonDb.initDb({ path: dbFile });
+        const sessionId = await jsonDb.createSession(null, { sourceUrl: SOURCE_URL, startDateFilter: '2023-01-01', endDateFilter: '2023-12-31' });
+        await jsonDb.addPendingJob(null, toPendingJob(sessionId, post('DL1', `${base}/flaky.jpg`, 'https://www.instagram.com/p/DL1/')));
+        // Parked insert whose signed media URL has expired and cannot be refreshed (no post page)
+        await jsonDb.recordFailure(null, toFailure('insert', sessionId, post('DL2', expired), new Error('database is locked')));
+        await jsonDb.closeDb();
+
+        const recovered = await recoverPendingJobs({ ...storage, workers: 1 });
+        assert(recovered.done === 1 && recovered.pending === 0, `Unexpected recovery ${JSON.stringify(recovered)}`);
+
+        let db = snapshot();
+        let dl1 = db.failed_jobs.find(f => f.post_identifier === 'DL1');
+        assert(dl1 && dl1.kind === 'media' && dl1.error_class === 'http_500' && dl1.attempts === 1, 'media failure recorded');
+        assert(dl1.media_url === `${base}/flaky.jpg` && dl1.post_url === 'https://www.instagram.com/p/DL1/', 'URLs recorded');
+        assert(db.posts.find(p => p.post_identifier === 'DL1').image_path === null, 'post stored without media');
+
+        // ── Still failing: attempts bumped ──
+        let result = await retryFailed(storage);
+        assert(result.total === 2 && result.resolved === 1 && result.failed === 1, `Unexpected first retry ${JSON.stringify(result)}`);
+        db = snapshot();
+        dl1 = db.failed_jobs.find(f => f.post_identifier === 'DL1');
+        assert(dl1.attempts === 2 && dl1.last_failed_at >= dl1.first_failed_at, 'attempts bumped');
+
+        // The expired insert is stored; its media moves to a media failure
+        const dl2 = db.failed_jobs.filter(f => f.post_identifier === 'DL2');
+        assert(dl2.length === 1 && dl2[0].kind === 'media' && dl2[0].error_class === 'media_url_expired', 'insert resolved, media re-parked');
+        assert(db.posts.some(p => p.post_identifier === 'DL2'), 'parked insert stored');
+
+        // ── Server recovers: image_path updated, failure resolved ──
+        healthy = true;
+        result = await retryFailed(storage);
+        assert(result.resolved === 1 && result.failed === 1, `Unexpected second retry ${JSON.stringify(result)}`);
+        db = snapshot();
+        const stored = db.posts.find(p => p.post_identifier === 'DL1');
+        assert(stored.image_path && existsSync(stored.image_path), 'image_path points at the downloaded file');
+        assert(!db.failed_jobs.some(f => f.post_identifier === 'DL1'), 'DL1 resolved');
+        assert(db.failed_jobs.some(f => f.post_identifier === 'DL2'), 'DL2 still failing');
+    } finally {
+        server.close();
+    }
+    console.log('✓ testFailAndRetry: failures dead-lettered, retried, image_path updated');
+}
+
+// ── Run ───────────────────────────────────────────────────────────────────────
+const cwd = process.cwd();
+try {
+    process.chdir(dir); // keep downloads/ inside the temp dir
+    testHelpers();
+    await testFailAndRetry();
+    console.log('\n✅ All dead-letter tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,185 @@
+/**
+ * Schema drift detection test
+ * Run: node tests/drift.test.js
+ *
+ * Feeds GraphQL-shaped responses through the interceptor's response processor
+ * into a drift tracker and checks the reports of successive runs against a
+ * schema file in a temp dir: new and removed keys, operations that stopped
+ * yielding nodes, null caption/date rates, and that each source is compared
+ * with its own fingerprints only.
+ */
+import { mkdtempSync, readFileSync, rmSync, writeFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { responseShape, createDriftTracker, checkDrift, describeDrift } from '../src/network/drift.js';
+import { createResponseProcessor } from '../src/network/interceptor.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'drift-test-'));
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+const OPERATION = 'PolarisProfilePostsQuery';
+const SOURCE_URL = 'https://www.instagram.com/news/';
+
+function node(i, { caption = `Post ${i}`, extra = {} } = {}) {
+    return {
+        id: String(i),
+        code: `C${i}`,
+        taken_at: 1700000000 + i,
+        display_url: `https://cdn.example.com/${i}.jpg`,
+        caption: caption == null ? null : { text: caption },
+        ...extra,
+    };
+}
+
+function feed(nodes) {
+    return { data: { xdt_api__v1__feed__user_timeline_graphql_connection: { edges: nodes.map(n => ({ node: n })) } } };
+}
+
+/**
+ * One run: every body goes through the processor as a response of `operation`.
+ */
+async function runWith(file, bodies, { operation = OPERATION, threshold, sourceUrl = SOURCE_URL } = {}) {
+    const tracker = createDriftTracker();
+    const processResponse = createResponseProcessor(() => { }, { observe: tracker.observe });
+    for (const body of bodies) processResponse('https://www.instagram.com/graphql/query', body, { operation });
+    return checkDrift(tracker, { file, threshold, sourceUrl });
+}
+
+const kinds = (report) => report.issues.map(i => i.kind).sort().join();
+
+function testShape() {
+    const shape = responseShape({
+        data: { items: [{ id: 1, caption: { text: 'a' } }, { id: 2, video_url: 'v' }], by_id: { 123: { x: 1 } } },
+    });
+    assert(shape.includes('data.items[].caption.text'), 'array items share one path');
+    assert(shape.includes('data.items[].video_url'), 'keys of every item');
+    assert(shape.includes('data.by_id.*.x') && !shape.some(p => p.includes('123')), 'numeric keys folded');
+    assert(responseShape(null).length === 0 && responseShape('text').length === 0, 'no keys in scalars');
+    console.log('✓ testShape');
+}
+
+async function testObserveHook() {
+    const seen = [];
+    const processResponse = createResponseProcessor(() => { }, { observe: r => seen.push(r) });
+    processResponse('https://www.instagram.com/graphql/query', feed([node(1), node(2)]), { operation: OPERATION });
+    processResponse('https://www.instagram.com/api/v1/feed/timeline/', { status: 'ok' });
+    assert(seen.length === 2, 'called for responses with and without posts');
+    assert(seen[0].operation === OPERATION && seen[0].nodes === 2 && seen[0].posts[1].postIdentifier === '2', 'nodes + normalized posts');
+    assert(seen[1].nodes === 0 && seen[1].posts.length === 0, 'empty response');
+
+    // Without an operation name the URL path names the fingerprint
+    const tracker = createDriftTracker();
+    tracker.observe(seen[1]);
+    assert(tracker.operations.has('/api/v1/feed/timeline/'), 'URL path as operation');
+    console.log('✓ testObserveHook');
+}
+
+async function testRuns() {
+    const file = join(dir, 'schema.json');
+    const page = Array.from({ length: 6 }, (_, i) => node(i));
+
+    const first = await runWith(file, [feed(page)]);
+    assert(first.firstSeen.join() === OPERATION && first.issues.length === 0, 'first run only records');
+    assert(!existsSync(`${file}.tmp`), 'written via temp file');
+
+    const stored = JSON.parse(readFileSync(file, 'utf-8'));
+    const op = stored.sources[SOURCE_URL][OPERATION];
+    assert(op.runs === 1 && op.nodes === 6 && op.keys['data.xdt_api__v1__feed__user_timeline_graphql_connection.edges[].node.caption.text'] === 1, 'fingerprint stored');
+    assert(stored.lastReport.sourceUrl === SOURCE_URL, 'last report kept');
+
+    // A field appears: reported once, as its outermost path
+    const withLocation = page.map((n, i) => node(i, { extra: { location: { name: 'Panaji', lat: 15.5 } } }));
+    const second = await runWith(file, [feed(withLocation)]);
+    assert(kinds(second) === 'new_keys', `new keys: ${kinds(second)}`);
+    assert(second.issues[0].keys.join() === 'data.xdt_api__v1__feed__user_timeline_graphql_connection.edges[].node.location', 'outermost path only');
+    assert((await runWith(file, [feed(withLocation)])).issues.length === 0, 'reported once');
+
+    // Gone after only two runs in a row: could be optional, not reported
+    const third = await runWith(file, [feed(page)]);
+    assert(third.issues.length === 0, `short-lived key not reported: ${kinds(third)}`);
+
+    // caption.text has been there every run: its disappearance is drift, and
+    // the posts now come without captions
+    const renamed = page.map((n, i) => node(i, { caption: null, extra: { caption_v2: { body: `Post ${i}` } } }));
+    const fourth = await runWith(file, [feed(renamed)]);
+    assert(kinds(fourth) === 'new_keys,null_captions,removed_keys', `caption moved: ${kinds(fourth)}`);
+    const removed = fourth.issues.find(i => i.kind === 'removed_keys');
+    assert(removed.keys.join() === 'data.xdt_api__v1__feed__user_timeline_graphql_connection.edges[].node.caption.text', `removed: ${removed.keys}`);
+    assert(fourth.issues.find(i => i.kind === 'null_captions').message === '6/6 post(s) without a caption', 'null caption rate');
+    assert(describeDrift(fourth).some(l => l.startsWith(`[${OPERATION}] 1 key path(s) gone: data.`)), 'log lines');
+
+    // The operation stops yielding posts altogether
+    const fifth = await runWith(file, [{ data: { xdt_api__v1__feed__user_timeline_graphql_connection: { edges: [] } } }]);
+    assert(fifth.issues.some(i => i.kind === 'no_nodes' && i.message.includes('6 last run')), `no nodes: ${kinds(fifth)}`);
+    console.log('✓ testRuns: first fingerprint, new/removed keys, null captions, no nodes');
+}
+
+async function testThresholds() {
+    const file = join(dir, 'thresholds.json');
+    const posts = Array.from({ length: 10 }, (_, i) => node(i, { caption: i < 3 ? null : `Post ${i}` }));
+    assert((await runWith(file, [feed(posts)], { threshold: 0.3 })).issues.length === 0, '3/10 is not above 0.3');
+    assert(kinds(await runWith(file, [feed(posts)], { threshold: 0.2 })) === 'null_captions', 'above 0.2');
+
+    const undated = Array.from({ length: 6 }, (_, i) => ({ ...node(i), taken_at: undefined }));
+    assert((await runWith(file, [feed(undated.slice(0, 4))], { operation: 'Few' })).issues.length === 0, 'too few posts to judge');
+    assert(kinds(await runWith(file, [feed(undated)], { operation: 'Undated' })) === 'null_dates', 'null dates');
+    console.log('✓ testThresholds');
+}
+
+async function testPerSource() {
+    const file = join(dir, 'sources.json');
+    const OTHER_URL = 'https://www.instagram.com/quiet/';
+    const videos = Array.from({ length: 6 }, (_, i) => node(i, { extra: { video_url: `https://cdn.example.com/${i}.mp4`, location: { name: 'Panaji' } } }));
+    const photos = Array.from({ length: 6 }, (_, i) => node(i));
+
+    // Long enough for the video keys to count as stable for the first profile
+    for (let run = 0; run < 4; run++) await runWith(file, [feed(videos)]);
+
+    // A profile without videos or locations is not compared with it
+    const other = await runWith(file, [feed(photos)], { sourceUrl: OTHER_URL });
+    assert(other.firstSeen.join() === OPERATION && other.issues.length === 0, `other profile starts its own fingerprint: ${kinds(other)}`);
+    assert((await runWith(file, [feed(photos)], { sourceUrl: OTHER_URL })).issues.length === 0, 'and stays quiet');
+
+    // Nor has the other profile changed what the first one expects
+    assert((await runWith(file, [feed(videos)])).issues.length === 0, 'first profile unaffected');
+    const lost = await runWith(file, [feed(photos)]);
+    assert(kinds(lost) === 'removed_keys', `its own stable keys still tracked: ${kinds(lost)}`);
+
+    const stored = JSON.parse(readFileSync(file, 'utf-8'));
+    assert(Object.keys(stored.sources).sort().join() === [SOURCE_URL, OTHER_URL].sort().join(), 'fingerprints stored per source');
+    console.log('✓ testPerSource: profiles with different shapes do not drift against each other');
+}
+
+async function testUnreadableFile() {
+    const file = join(dir, 'broken.json');
+    writeFileSync(file, '{not json');
+    let err = null;
+    try {
+        await runWith(file, [feed([node(1)])]);
+    } catch (e) {
+        err = e;
+    }
+    assert(err?.code === 'ESCHEMA', `unreadable file refused: ${err?.message}`);
+    assert(readFileSync(file, 'utf-8') === '{not json', 'left untouched');
+    console.log('✓ testUnreadableFile');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    testShape();
+    await testObserveHook();
+    await testRuns();
+    await testThresholds();
+    await testPerSource();
+    await testUnreadableFile();
+    console.log('\n✅ All schema drift tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,135 @@
+/**
+ * Browser identity + config file test
+ * Run: node tests/fingerprint.test.js
+ *
+ * No browser needed: covers the --config loader, fingerprint resolution
+ * (device descriptors and overrides) and the headers the downloader sends,
+ * checked against a local HTTP server.
+ */
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadConfig } from '../src/config/index.js';
+import {
+    DEFAULT_FINGERPRINT,
+    resolveFingerprint,
+    contextOptionsFor,
+    requestHeaders,
+} from '../src/browser/fingerprint.js';
+import { downloadImage } from '../src/image/downloader.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'fingerprint-test-'));
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function throws(fn) {
+    try {
+        fn();
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+async function testConfigFile() {
+    const yaml = join(dir, 'scraper.yaml');
+    writeFileSync(yaml, 'browser:\n  device: Pixel 7\n  timezone: Asia/Kolkata\n');
+    const config = await loadConfig(yaml);
+    assert(config.browser.device === 'Pixel 7', 'YAML section read');
+
+    const json = join(dir, 'scraper.json');
+    writeFileSync(json, JSON.stringify({ browser: { locale: 'de-DE' } }));
+    assert((await loadConfig(json)).browser.locale === 'de-DE', 'JSON section read');
+
+    writeFileSync(yaml, '');
+    assert(Object.keys(await loadConfig(yaml)).length === 0, 'empty file → no sections');
+
+    for (const [name, text, expected] of [['typo.yaml', 'browsr:\n  locale: de-DE\n', 'unknown section'], ['list.json', '[]', 'expected an object'], ['bad.json', '{oops', 'bad.json']]) {
+        const file = join(dir, name);
+        writeFileSync(file, text);
+        let err = null;
+        await loadConfig(file).catch(e => (err = e));
+        assert(err?.message.includes(expected), `${name} rejected: ${err?.message}`);
+    }
+    console.log('✓ testConfigFile');
+}
+
+function testResolve() {
+    const fallback = resolveFingerprint();
+    assert(JSON.stringify(fallback) === JSON.stringify(DEFAULT_FINGERPRINT), 'defaults without a config');
+
+    const pixel = resolveFingerprint({ device: 'Pixel 7', locale: 'de-de', timezone: 'Europe/Berlin' });
+    assert(pixel.isMobile && pixel.hasTouch && pixel.userAgent.includes('Pixel 7'), 'device descriptor applied');
+    assert(pixel.locale === 'de-DE' && pixel.timezoneId === 'Europe/Berlin', 'locale canonicalized, timezone set');
+
+    const custom = resolveFingerprint({ device: 'Pixel 7', userAgent: 'CustomUA/1.0', viewport: '390x844', isMobile: false });
+    assert(custom.userAgent === 'CustomUA/1.0' && custom.viewport.width === 390 && custom.viewport.height === 844, 'overrides win over the device');
+    assert(!custom.isMobile && custom.hasTouch, 'single values overridden');
+    assert(resolveFingerprint({ viewport: { width: 1440, height: 900 } }).viewport.width === 1440, 'object viewport');
+
+    const options = contextOptionsFor(pixel);
+    assert(options.timezoneId === 'Europe/Berlin' && options.isMobile && !('device' in options), 'Playwright context options');
+    options.viewport.width = 1;
+    assert(pixel.viewport.width !== 1, 'context options are a copy');
+
+    for (const [bad, expected] of [
+        [{ device: 'Nokia 3310' }, 'unknown device'],
+        [{ viewport: '1280 by 900' }, 'browser.viewport'],
+        [{ timezone: 'Mars/Olympus' }, 'browser.timezone'],
+        [{ locale: 'not a locale' }, 'browser.locale'],
+        [{ isMobile: 'yes' }, 'browser.isMobile'],
+        [{ userAgnet: 'typo' }, 'unknown setting'],
+    ]) {
+        const err = throws(() => resolveFingerprint(bad));
+        assert(err?.message.includes(expected), `rejected ${JSON.stringify(bad)}: ${err?.message}`);
+    }
+    console.log('✓ testResolve: defaults, device descriptors, overrides, validation');
+}
+
+async function testDownloaderIdentity() {
+    let seen = null;
+    const server = createServer((req, res) => {
+        seen = req.headers;
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        res.end(Buffer.from('jpeg'));
+    });
+    const port = await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+    try {
+        const fingerprint = resolveFingerprint({ device: 'Pixel 7', locale: 'hi-IN' });
+        await downloadImage({
+            imageUrl: `http://127.0.0.1:${port}/a.jpg`,
+            postIdentifier: 'identity',
+            publishedAt: null,
+            baseDir: dir,
+            fingerprint,
+        });
+        assert(seen['user-agent'] === fingerprint.userAgent, 'downloader sends the browser user agent');
+        assert(seen['accept-language'] === 'hi-IN,hi;q=0.9', `Accept-Language: ${seen['accept-language']}`);
+
+        await downloadImage({ imageUrl: `http://127.0.0.1:${port}/b.jpg`, postIdentifier: 'default', publishedAt: null, baseDir: dir });
+        assert(seen['user-agent'] === DEFAULT_FINGERPRINT.userAgent, 'default identity matches the default browser');
+    } finally {
+        server.close();
+    }
+
+    assert(requestHeaders(resolveFingerprint({ locale: 'en' }))['Accept-Language'] === 'en', 'bare language');
+    console.log('✓ testDownloaderIdentity');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    await testConfigFile();
+    testResolve();
+    await testDownloaderIdentity();
+    console.log('\n✅ All browser identity tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
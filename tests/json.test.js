@@ -0,0 +1,131 @@
+/**
+ * Database module unit test (JSON adapter journal + recovery).
+ *
+ * Run: node tests/json.test.js
+ *
+ * Works in a throwaway directory under the OS temp dir.
+ */
+import { mkdtempSync, rmSync, readFileSync, appendFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+    initDb,
+    createSession,
+    finalizeSession,
+    insertPost,
+    getCoverage,
+    getLatestPublishedAt,
+    closeDb,
+} from '../src/database/json.js';
+
+const SOURCE_URL = 'https://www.instagram.com/test/';
+const dir = mkdtempSync(join(tmpdir(), 'json-db-test-'));
+const dbFile = join(dir, 'scraped_posts.json');
+const journalFile = `${dbFile}.journal`;
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function post(id, iso) {
+    return {
+        postIdentifier: id,
+        sourceUrl: SOURCE_URL,
+        captionText: `caption ${id}`,
+        publishedAt: new Date(iso),
+    };
+}
+
+async function testAppendsToJournal() {
+    await initDb({ path: dbFile });
+    const sessionId = await createSession(null, {
+        sourceUrl: SOURCE_URL,
+        startDateFilter: '2021-01-01',
+        endDateFilter: '2025-12-31',
+        keywords: [],
+    });
+    assert(await insertPost(null, sessionId, post('A1', '2023-01-01T00:00:00Z')), 'insert A1');
+    assert(!(await insertPost(null, sessionId, post('A1', '2023-01-01T00:00:00Z'))), 'duplicate A1');
+    assert(await insertPost(null, sessionId, post('A2', '2023-02-01T00:00:00Z')), 'insert A2');
+
+    const lines = readFileSync(journalFile, 'utf-8').trim().split('\n');
+    assert(lines.length === 3, `Expected 3 journal lines, got ${lines.length}`);
+    const snapshot = JSON.parse(readFileSync(dbFile, 'utf-8'));
+    assert(snapshot.posts.length === 0, 'Snapshot should not be rewritten per insert');
+    console.log('✓ testAppendsToJournal: mutations appended, snapshot untouched');
+    return sessionId;
+}
+
+async function testRecoveryAfterCrash(sessionId) {
+    // Simulate a kill mid-append: no closeDb(), half-written last line
+    appendFileSync(journalFile, '{"op":"post","data":{"post_identifier":"TORN');
+
+    await initDb({ path: dbFile });
+    const latest = await getLatestPublishedAt(null, SOURCE_URL);
+    assert(latest?.toISOString() === '2023-02-01T00:00:00.000Z', `Expected A2 recovered, got ${latest?.toISOString()}`);
+
+    const snapshot = JSON.parse(readFileSync(dbFile, 'utf-8'));
+    assert(snapshot.posts.length === 2, `Compacted snapshot should hold 2 posts, got ${snapshot.posts.length}`);
+    assert(readFileSync(journalFile, 'utf-8') === '', 'Journal should be empty after compaction');
+    assert(!existsSync(`${dbFile}.tmp`), 'Temp snapshot should be renamed away');
+
+    // Replaying the same entries twice must be harmless
+    appendFileSync(journalFile, JSON.stringify({ op: 'post', data: snapshot.posts[0] }) + '\n');
+    await initDb({ path: dbFile });
+    assert(!(await insertPost(null, sessionId, post('A1', '2023-01-01T00:00:00Z'))), 'A1 still deduplicated');
+    console.log('✓ testRecoveryAfterCrash: torn line ignored, posts kept, replay idempotent');
+}
+
+async function testCloseCompacts(sessionId) {
+    await insertPost(null, sessionId, post('A3', '2023-03-01T00:00:00Z'));
+    await finalizeSession(null, sessionId, {
+        processed: 3,
+        skipped: 0,
+        errors: 0,
+        durationSeconds: 7,
+        coveredFrom: new Date('2023-01-01T00:00:00Z'),
+        coveredTo: new Date('2023-03-31T00:00:00Z'),
+    });
+    await closeDb();
+
+    const snapshot = JSON.parse(readFileSync(dbFile, 'utf-8'));
+    assert(snapshot.posts.length === 3, `Expected 3 posts, got ${snapshot.posts.length}`);
+    assert(snapshot.sessions[0].end_time !== null, 'end_time should be set');
+    assert(snapshot.sessions[0].duration_seconds === 7, 'duration should be 7');
+
+    await initDb({ path: dbFile });
+    const coverage = await getCoverage(null, SOURCE_URL);
+    assert(coverage.length === 1 && coverage[0].to.toISOString() === '2023-03-31T00:00:00.000Z', 'coverage persisted');
+    assert(Array.isArray(coverage[0].keywords) && coverage[0].keywords.length === 0, 'keyword set persisted');
+    assert((await getCoverage(null, 'https://www.instagram.com/nobody/')).length === 0, 'no coverage for unknown source');
+    await closeDb();
+    console.log('✓ testCloseCompacts: snapshot complete after close');
+}
+
+async function testCorruptSnapshotNotOverwritten() {
+    appendFileSync(dbFile, 'garbage');
+    let threw = false;
+    try {
+        await initDb({ path: dbFile });
+    } catch {
+        threw = true;
+    }
+    assert(threw, 'initDb should refuse an unreadable snapshot');
+    assert(readFileSync(dbFile, 'utf-8').endsWith('garbage'), 'Snapshot must be left untouched');
+    console.log('✓ testCorruptSnapshotNotOverwritten');
+}
+
+// ── Run ───────────────────────────────────────────────────────────────────────
+try {
+    const sessionId = await testAppendsToJournal();
+    await testRecoveryAfterCrash(sessionId);
+    await testCloseCompacts(sessionId);
+    await testCorruptSnapshotNotOverwritten();
+    console.log('\n✅ All JSON database tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
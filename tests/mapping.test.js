@@ -0,0 +1,177 @@
+/**
+ * Field mapping rules test
+ * Run: node tests/mapping.test.js
+ *
+ * Covers the selector syntax, rule validation and matching, GraphQL
+ * operation names (live requests and HAR files), and mapped extraction with
+ * the heuristics as fallback.
+ */
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { compileSelector, resolveMapping, findRule } from '../src/network/mapping.js';
+import { createResponseProcessor, graphqlOperation } from '../src/network/interceptor.js';
+import { loadReplaySources } from '../src/network/replay.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'mapping-test-'));
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function throws(fn) {
+    try {
+        fn();
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+// A clone whose feed uses none of the field names the heuristics know
+const CLONE_BODY = {
+    result: {
+        feed: [
+            { entry: { uid: 'c1', slug: 'Abc', body: { plain: 'Flood in the city' }, when: '2024-03-01T10:00:00Z', media: { hd: 'https://cdn.example.com/c1.jpg' }, sticky: true } },
+            { entry: { uid: 'c2', slug: 'Def', body: { plain: 'Fire' }, when: '2024-03-02T10:00:00Z', media: { hd: 'https://cdn.example.com/c2.jpg' }, remarks: [{ user: { username: 'ann' }, text: 'Stay safe' }] } },
+        ],
+    },
+};
+
+const CLONE_RULE = {
+    operation: 'CloneFeedQuery',
+    posts: '$.result.feed[*].entry',
+    fields: {
+        id: '$.uid',
+        shortcode: '$.slug',
+        caption: '$.body.plain',
+        publishedAt: '$.when',
+        imageUrl: '$.media.hd',
+        pinned: '$.sticky',
+        comments: '$.remarks',
+    },
+};
+
+function testSelectors() {
+    const doc = { data: { user: { edges: [{ node: { id: 1, 'odd key': 'x' } }, { node: { id: 2 } }] } }, list: [10, 20, 30] };
+    const ids = compileSelector('$.data.user.edges[*].node.id')(doc);
+    assert(ids.join() === '1,2', `wildcard path: ${ids}`);
+    assert(compileSelector('$..id')(doc).join() === '1,2', 'recursive descent');
+    assert(compileSelector('$.list[-1]')(doc)[0] === 30 && compileSelector('$.list[0]')(doc)[0] === 10, 'indexes');
+    assert(compileSelector("$.data.user.edges[0].node['odd key']")(doc)[0] === 'x', 'quoted keys');
+    assert(compileSelector('$.data.*')(doc).length === 1, 'object wildcard');
+    assert(compileSelector('$.missing.deeper')(doc).length === 0, 'missing paths match nothing');
+    assert(compileSelector('$')(doc)[0] === doc, 'root');
+
+    for (const bad of ['data.user', '$.data[', '$.a b', 42]) {
+        assert(throws(() => compileSelector(bad)), `rejected ${JSON.stringify(bad)}`);
+    }
+    console.log('✓ testSelectors');
+}
+
+function testRules() {
+    const rules = resolveMapping([
+        CLONE_RULE,
+        { url: ['/api/v1/feed', '/clone/feed'], posts: '$.items[*]' },
+        { fields: { caption: '$.caption_text' } },
+    ]);
+    assert(findRule(rules, { url: 'https://x/graphql', operation: 'CloneFeedQuery' }) === rules[0], 'operation match');
+    assert(findRule(rules, { url: 'https://x/clone/feed?page=2', operation: null }) === rules[1], 'URL match');
+    assert(findRule(rules, { url: 'https://x/graphql', operation: 'Other' }) === rules[2], 'catch-all rule');
+    assert(findRule(resolveMapping([CLONE_RULE]), { url: 'https://x/graphql' }) === null, 'operation rules need an operation');
+
+    for (const [bad, expected] of [
+        [{ mapping: 1 }, 'expected a list'],
+        [[{ posts: '$.a', select: '$.b' }], 'unknown key'],
+        [[{ fields: { title: '$.t' } }], 'unknown field'],
+        [[{ operation: 'Q' }], 'needs "posts"'],
+        [[{ posts: 'items' }], 'mapping[0].posts'],
+        [[{ url: [], posts: '$.a' }], 'mapping[0].url'],
+    ]) {
+        const err = throws(() => resolveMapping(bad));
+        assert(err?.message.includes(expected), `rejected ${JSON.stringify(bad)}: ${err?.message}`);
+    }
+    console.log('✓ testRules: matching by operation / URL / catch-all, validation');
+}
+
+async function testOperationNames() {
+    assert(graphqlOperation({ url: 'https://x/graphql/query', headers: { 'x-fb-friendly-name': 'PolarisProfilePostsQuery' } }) === 'PolarisProfilePostsQuery', 'header');
+    assert(graphqlOperation({ url: 'https://x/graphql/query', postData: 'doc_id=1&fb_api_req_friendly_name=PolarisProfilePostsTabContentQuery' }) === 'PolarisProfilePostsTabContentQuery', 'form body');
+    assert(graphqlOperation({ url: 'https://x/graphql', postData: JSON.stringify({ operationName: 'CloneFeedQuery', variables: {} }) }) === 'CloneFeedQuery', 'JSON body');
+    assert(graphqlOperation({ url: 'https://x/graphql?operationName=Feed&variables=%7B%7D' }) === 'Feed', 'query string');
+    assert(graphqlOperation({ url: 'https://x/api/v1/feed/user/1/' }) === null, 'REST endpoints have none');
+
+    const har = join(dir, 'clone.har');
+    writeFileSync(har, JSON.stringify({
+        log: {
+            entries: [{
+                request: { url: 'https://clone.example.com/graphql', method: 'POST', headers: [], postData: { text: JSON.stringify({ operationName: 'CloneFeedQuery' }) } },
+                response: { status: 200, headers: [], content: { mimeType: 'application/json', text: JSON.stringify(CLONE_BODY) } },
+            }],
+        },
+    }));
+    const [source] = await loadReplaySources(har);
+    for await (const response of source.responses()) {
+        assert(response.operation === 'CloneFeedQuery', `HAR operation: ${response.operation}`);
+    }
+    console.log('✓ testOperationNames: header, form, JSON, query string, HAR');
+}
+
+function testMappedExtraction() {
+    const posts = [];
+    const processResponse = createResponseProcessor(p => posts.push(p), { mapping: resolveMapping([CLONE_RULE]) });
+
+    // Without the operation name the rule does not apply and the heuristics find nothing
+    assert(processResponse('https://clone.example.com/graphql', CLONE_BODY) === 0, 'heuristics alone miss the clone feed');
+
+    assert(processResponse('https://clone.example.com/graphql', CLONE_BODY, { operation: 'CloneFeedQuery' }) === 2, 'mapped posts');
+    const [first, second] = posts;
+    assert(first.postIdentifier === 'c1' && first.postUrl === 'https://www.instagram.com/p/Abc/', 'id + shortcode');
+    assert(first.captionText === 'Flood in the city' && first.imageUrl === 'https://cdn.example.com/c1.jpg', 'caption + image');
+    assert(first.publishedAt?.toISOString() === '2024-03-01T10:00:00.000Z' && first.isPinned, 'date + pinned');
+    assert(!second.isPinned && second.comments.length === 1 && second.comments[0].username === 'ann', 'comments');
+
+    // Unmapped fields (and a mapped field whose value is missing) use the heuristics
+    posts.length = 0;
+    const partial = createResponseProcessor(p => posts.push(p), {
+        mapping: resolveMapping([{ fields: { caption: '$.headline', imageUrl: '$.nope' } }]),
+    });
+    partial('https://www.instagram.com/graphql/query', {
+        data: { edges: [{ node: { id: '9', code: 'Xyz', taken_at: 1700000000, display_url: 'https://cdn/9.jpg', headline: 'Mapped caption', caption: { text: 'Heuristic caption' } } }] },
+    });
+    assert(posts[0]?.captionText === 'Mapped caption', 'mapped field wins');
+    assert(posts[0].imageUrl === 'https://cdn/9.jpg' && posts[0].publishedAt.getTime() === 1700000000000, 'heuristic fallback per field');
+
+    // A posts selector that stopped matching falls back to discovery
+    posts.length = 0;
+    const stale = createResponseProcessor(p => posts.push(p), { mapping: resolveMapping([{ posts: '$.old.path[*]' }]) });
+    stale('https://www.instagram.com/graphql/query', { data: { items: [{ pk: '5', taken_at: 1700000000 }] } });
+    assert(posts[0]?.postIdentifier === '5', 'heuristic discovery when the posts selector finds nothing');
+
+    // Mapped carousel slides
+    posts.length = 0;
+    const carousel = createResponseProcessor(p => posts.push(p), {
+        mapping: resolveMapping([{ posts: '$.posts[*]', fields: { carousel: '$.album[*]', imageUrl: '$.hd', videoUrl: '$.clip' } }]),
+    });
+    carousel('https://clone.example.com/graphql', {
+        posts: [{ id: 'a1', created_at: '2024-01-01T00:00:00Z', hd: 'https://cdn/cover.jpg', album: [{ hd: 'https://cdn/1.jpg' }, { hd: 'https://cdn/2.jpg', clip: 'https://cdn/2.mp4' }] }],
+    });
+    assert(posts.length === 2 && posts[0].postIdentifier === 'a1_c1' && posts[0].imageUrl === 'https://cdn/1.jpg', 'slides from the mapped album');
+    assert(posts[1].mediaType === 'video' && posts[1].videoUrl === 'https://cdn/2.mp4', 'mapped slide video');
+    console.log('✓ testMappedExtraction: mapped posts/fields, per-field and discovery fallback, carousels');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    testSelectors();
+    testRules();
+    await testOperationNames();
+    testMappedExtraction();
+    console.log('\n✅ All field mapping tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,137 @@
+/**
+ * Resource blocking + media capture test
+ * Run: node tests/media.test.js
+ *
+ * Uses minimal stand-ins for the Playwright context (route), page (events)
+ * and responses.
+ */
+import { EventEmitter } from 'events';
+import { blockedTypes, applyResourcePolicy, RESOURCE_POLICIES } from '../src/browser/resources.js';
+import { createMediaCapture } from '../src/network/media.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+const CDN = 'https://scontent.cdninstagram.com/v/t51.2885-15';
+
+function fakeContext() {
+    return {
+        handler: null,
+        async route(pattern, handler) {
+            this.pattern = pattern;
+            this.handler = handler;
+        },
+        /** Run one request through the route; resolves to 'abort' or 'continue'. */
+        request(url, resourceType) {
+            return new Promise((resolve) => {
+                this.handler({
+                    request: () => ({ url: () => url, resourceType: () => resourceType }),
+                    abort: () => resolve('abort'),
+                    continue: () => resolve('continue'),
+                });
+            });
+        },
+    };
+}
+
+function fakePage() {
+    const page = new EventEmitter();
+    page.off = page.removeListener;
+    return page;
+}
+
+function fakeResponse(url, { status = 200, resourceType = 'image', body = Buffer.from(`bytes of ${url}`) } = {}) {
+    return {
+        url: () => url,
+        status: () => status,
+        request: () => ({ resourceType: () => resourceType }),
+        body: async () => body,
+    };
+}
+
+async function testPolicies() {
+    assert(blockedTypes('none').size === 0 && blockedTypes('fonts').has('font'), 'none / fonts');
+    for (const policy of RESOURCE_POLICIES) {
+        for (const needed of ['document', 'script', 'xhr', 'fetch', 'websocket', 'eventsource']) {
+            assert(!blockedTypes(policy).has(needed), `${policy} keeps ${needed}`);
+        }
+    }
+    let threw = false;
+    try {
+        blockedTypes('everything');
+    } catch {
+        threw = true;
+    }
+    assert(threw, 'unknown policy rejected');
+
+    const none = fakeContext();
+    await applyResourcePolicy(none, 'none');
+    assert(none.handler === null, 'no route installed for "none"');
+
+    const context = fakeContext();
+    const wanted = `${CDN}/post_n.jpg`;
+    await applyResourcePolicy(context, 'media', { allow: url => url === wanted });
+    assert(await context.request('https://www.instagram.com/graphql/query', 'fetch') === 'continue', 'GraphQL loads');
+    assert(await context.request(`${CDN}/thumb_n.jpg`, 'image') === 'abort', 'images blocked');
+    assert(await context.request(`${CDN}/clip.mp4`, 'media') === 'abort', 'video blocked');
+    assert(await context.request(wanted, 'image') === 'continue', 'wanted post media let through');
+    assert(await context.request('https://www.instagram.com/static/app.css', 'stylesheet') === 'continue', 'stylesheets kept by "media"');
+
+    const strict = fakeContext();
+    await applyResourcePolicy(strict, 'strict');
+    assert(await strict.request('https://www.instagram.com/static/app.css', 'stylesheet') === 'abort', 'stylesheets blocked by "strict"');
+    assert(await strict.request('https://www.instagram.com/static/app.js', 'script') === 'continue', 'scripts kept by "strict"');
+    console.log('✓ testPolicies');
+}
+
+async function testCapture() {
+    const page = fakePage();
+    const capture = createMediaCapture();
+    const session = capture.attach(page);
+
+    const photo = `${CDN}/photo_n.jpg?stp=dst-jpg_e35`;
+    const video = `${CDN}/clip.mp4`;
+    capture.want(photo);
+    capture.want(video);
+    assert(capture.wants(photo) && !capture.wants(`${CDN}/other_n.jpg`), 'wanted URLs');
+
+    page.emit('response', fakeResponse(`${CDN}/other_n.jpg`));
+    page.emit('response', fakeResponse(photo));
+    page.emit('response', fakeResponse(video, { status: 206, resourceType: 'media' }));
+
+    const data = await capture.take(photo);
+    assert(data?.toString() === `bytes of ${photo}` && capture.captured === 1, 'page-loaded body handed out');
+    assert(await capture.take(photo) === null && !capture.wants(photo), 'handed out once');
+    assert(await capture.take(video) === null, 'partial video responses are not captured');
+    assert(await capture.take(`${CDN}/other_n.jpg`) === null, 'unwanted media not kept');
+
+    // Taken before the page loaded it: downloaded instead, and no longer kept
+    const late = `${CDN}/late_n.jpg`;
+    capture.want(late);
+    assert(await capture.take(late) === null, 'not loaded yet');
+    page.emit('response', fakeResponse(late));
+    capture.want(late);
+    assert(await capture.take(late) === null, 'response after take() was ignored');
+
+    const failing = `${CDN}/broken_n.jpg`;
+    capture.want(failing);
+    page.emit('response', { ...fakeResponse(failing), body: async () => { throw new Error('Response body is unavailable'); } });
+    assert(await capture.take(failing) === null, 'unreadable body → download');
+
+    capture.want(`${CDN}/left_n.jpg`);
+    session.stop();
+    assert(page.listenerCount('response') === 0 && !capture.wants(`${CDN}/left_n.jpg`), 'stop() detaches and forgets');
+    console.log('✓ testCapture: wanted media kept once, partial/late/unreadable bodies fall back to downloads');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    await testPolicies();
+    await testCapture();
+    console.log('\n✅ All resource policy / media capture tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+}
@@ -0,0 +1,204 @@
+/**
+ * Cursor pagination driver unit test
+ * Run: node tests/paginator.test.js
+ *
+ * Uses a minimal stand-in for the Playwright page/request objects.
+ */
+import { findPageInfo, createPaginationTracker, drivePagination } from '../src/scroll/paginator.js';
+import { attachInterceptor } from '../src/network/interceptor.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function fakeRequest({ url, method = 'POST', postData = '', headers = {} }) {
+    return {
+        url: () => url,
+        method: () => method,
+        postData: () => postData,
+        headers: () => ({ 'content-type': 'application/x-www-form-urlencoded', 'x-csrftoken': 'tok', cookie: 'secret', ...headers }),
+    };
+}
+
+function pageBody(cursor, hasNext) {
+    const edges = [{ node: { id: `after-${cursor}`, taken_at: 1700000000, display_url: 'https://cdn.example.com/p.jpg' } }];
+    return { data: { user: { edge_owner_to_timeline_media: { page_info: { has_next_page: hasNext, end_cursor: cursor }, edges } } } };
+}
+
+// The post nodes the interceptor would hand to observe() for a pageBody()
+const pageNodes = (body) => body.data.user.edge_owner_to_timeline_media.edges.map(e => e.node);
+
+/**
+ * Feed a form-POST GraphQL response through attachInterceptor() into the tracker.
+ */
+async function intercept(tracker, body, docId) {
+    const handlers = [];
+    const page = { on: (event, fn) => handlers.push(fn), off: () => { } };
+    attachInterceptor(page, () => { }, { onBody: tracker.observe });
+    await handlers[0]({
+        url: () => 'https://www.instagram.com/graphql/query',
+        status: () => 200,
+        headers: () => ({ 'content-type': 'application/json' }),
+        json: async () => body,
+        request: () => fakeRequest({
+            url: 'https://www.instagram.com/graphql/query',
+            postData: new URLSearchParams({ doc_id: docId, variables: JSON.stringify({ id: '9', after: null }) }).toString(),
+        }),
+    });
+}
+
+function fakePage(responder) {
+    const calls = [];
+    return {
+        calls,
+        evaluate: async (fn, arg) => {
+            if (!arg) return undefined; // scroll nudges
+            calls.push(arg);
+            return responder(arg, calls.length);
+        },
+        waitForTimeout: async () => { },
+    };
+}
+
+async function drain(gen) {
+    let step = await gen.next();
+    while (!step.done) step = await gen.next(true);
+    return step.value;
+}
+
+function testFindPageInfo() {
+    const pi = findPageInfo(pageBody('C1', true));
+    assert(pi.hasNext && pi.cursor === 'C1' && pi.style === 'page_info', 'GraphQL page_info found');
+    const v1 = findPageInfo({ items: [], more_available: true, next_max_id: 'M1' });
+    assert(v1.cursor === 'M1' && v1.style === 'max_id', 'v1 next_max_id found');
+    assert(findPageInfo({ data: { foo: 1 } }) === null, 'no cursor → null');
+    console.log('✓ testFindPageInfo');
+}
+
+// A profile payload with the reels connection (and its cursor) before the timeline
+function twoConnections(reelsCursor, timelineCursor) {
+    const post = { id: 'p1', taken_at: 1700000000, display_url: 'https://cdn.example.com/p1.jpg' };
+    return {
+        post,
+        body: {
+            data: {
+                user: {
+                    edge_felix_video_timeline: { page_info: { has_next_page: true, end_cursor: reelsCursor }, edges: [{ node: { id: 'r1' } }] },
+                    edge_owner_to_timeline_media: { page_info: { has_next_page: true, end_cursor: timelineCursor }, edges: [{ node: post }] },
+                },
+            },
+        },
+    };
+}
+
+async function testTwoConnections() {
+    const { post, body } = twoConnections('REELS1', 'T1');
+    assert(findPageInfo(body).cursor === 'REELS1', 'without hints the first cursor is taken');
+    const pi = findPageInfo(body, { nodes: [post] });
+    assert(pi.cursor === 'T1' && pi.path === 'data.user.edge_owner_to_timeline_media', `cursor next to the posts: ${pi.cursor}`);
+    assert(findPageInfo(twoConnections('REELS2', 'T2').body, { path: pi.path }).cursor === 'T2', 'later pages: same path');
+
+    // Through the interceptor: onBody gets the nodes the posts came from
+    const tracker = createPaginationTracker();
+    await intercept(tracker, body, '123');
+    assert(tracker.pageInfo?.cursor === 'T1', `tracker follows the timeline cursor: ${tracker.pageInfo?.cursor}`);
+
+    // The driver's own page requests keep to that connection
+    const driver = fakePage((req, n) => ({ status: 200, text: JSON.stringify(twoConnections(`REELS${n + 1}`, n < 2 ? `T${n + 1}` : null).body) }));
+    driver.calls.length = 0;
+    const step = drivePagination(driver, tracker);
+    await step.next();
+    await step.next(true);
+    const after = driver.calls.map(c => JSON.parse(new URLSearchParams(c.body).get('variables')).after);
+    assert(after.join() === 'T1,T2', `timeline cursors replayed: ${after}`);
+    await step.return();
+    console.log('✓ testTwoConnections: the cursor next to the extracted posts is followed');
+}
+
+async function testQueriesWithoutPosts() {
+    const tracker = createPaginationTracker();
+
+    // Highlights load first: a cursor, but no posts
+    const highlights = { data: { highlights: { page_info: { has_next_page: true, end_cursor: 'H1' }, edges: [{ node: { id: 'h1', title: 'Trip' } }] } } };
+    await intercept(tracker, highlights, '999');
+    assert(tracker.template === null, 'a query without posts is not captured');
+
+    await intercept(tracker, pageBody('T1', true), '123');
+    assert(tracker.template?.queryKey === '123' && tracker.pageInfo.cursor === 'T1', `the timeline query is captured: ${tracker.template?.queryKey}`);
+
+    // A later highlights page does not move the cursor
+    await intercept(tracker, highlights, '999');
+    assert(tracker.pageInfo.cursor === 'T1', 'other queries leave the cursor alone');
+    console.log('✓ testQueriesWithoutPosts: only a cursor next to posts becomes the template');
+}
+
+async function testFormPostPagination() {
+    const tracker = createPaginationTracker();
+    const first = pageBody('C1', true);
+    tracker.observe(
+        fakeRequest({
+            url: 'https://www.instagram.com/graphql/query',
+            postData: new URLSearchParams({ doc_id: '123', variables: JSON.stringify({ id: '9', first: 12, after: null }) }).toString(),
+        }),
+        first,
+        pageNodes(first)
+    );
+    assert(tracker.template?.queryKey === '123', 'doc_id captured as query key');
+
+    const page = fakePage((req, n) => ({
+        status: 200,
+        text: JSON.stringify(pageBody(`C${n + 1}`, n < 3)),
+    }));
+
+    const result = await drain(drivePagination(page, tracker));
+    assert(result.exhausted, 'stops when has_next_page is false');
+    assert(page.calls.length === 3, `Expected 3 page requests, got ${page.calls.length}`);
+
+    const vars = page.calls.map(c => JSON.parse(new URLSearchParams(c.body).get('variables')));
+    assert(vars.map(v => v.after).join(',') === 'C1,C2,C3', `cursors advanced: ${vars.map(v => v.after)}`);
+    assert(vars[0].id === '9' && vars[0].first === 12, 'other variables preserved');
+    assert(new URLSearchParams(page.calls[0].body).get('doc_id') === '123', 'doc_id preserved');
+    assert(page.calls[0].headers['x-csrftoken'] === 'tok' && !page.calls[0].headers.cookie, 'csrf kept, cookie left to the browser');
+    console.log('✓ testFormPostPagination: cursors replayed until exhausted');
+}
+
+async function testFallbackOnFailures() {
+    const tracker = createPaginationTracker();
+    const first = pageBody('C1', true);
+    tracker.observe(
+        fakeRequest({
+            url: 'https://www.instagram.com/graphql/query/?query_hash=abc&variables=' + encodeURIComponent('{"id":"9","after":null}'),
+            method: 'GET',
+        }),
+        first,
+        pageNodes(first)
+    );
+
+    const page = fakePage(() => ({ status: 429, text: '{"message":"Please wait a few minutes"}' }));
+    const result = await drain(drivePagination(page, tracker));
+    assert(result.failed, 'repeated failures → failed');
+    assert(page.calls.length === 3, `Expected 3 attempts, got ${page.calls.length}`);
+    assert(new URL(page.calls[0].url).searchParams.get('query_hash') === 'abc', 'GET query_hash preserved');
+    console.log('✓ testFallbackOnFailures: gives up so the orchestrator can scroll');
+}
+
+async function testNoTemplate() {
+    const result = await drain(drivePagination(fakePage(() => null), createPaginationTracker()));
+    assert(result.failed, 'no captured request → failed');
+    console.log('✓ testNoTemplate');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    testFindPageInfo();
+    await testTwoConnections();
+    await testQueriesWithoutPosts();
+    await testFormPostPagination();
+    await testFallbackOnFailures();
+    await testNoTemplate();
+    console.log('\n✅ All paginator tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+}
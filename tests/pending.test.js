@@ -0,0 +1,114 @@
+/**
+ * Pending-jobs store + startup recovery test (JSON storage).
+ *
+ * Run: node tests/pending.test.js
+ *
+ * Simulates a crash after posts were accepted but before they were stored,
+ * then runs the startup recovery against a local media server.
+ */
+import { mkdtempSync, rmSync, readFileSync, existsSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import * as jsonDb from '../src/database/json.js';
+import { toPendingJob, fromPendingJob } from '../src/queue/pending.js';
+import { recoverPendingJobs } from '../src/orchestrator/index.js';
+
+const SOURCE_URL = 'https://www.instagram.com/test/';
+const dir = mkdtempSync(join(tmpdir(), 'pending-test-'));
+const dbFile = join(dir, 'scraped_posts.json');
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function post(id, iso, imageUrl) {
+    return {
+        postIdentifier: id,
+        postUrl: `https://www.instagram.com/p/${id}/`,
+        imageUrl,
+        videoUrl: null,
+        mediaType: 'image',
+        captionText: `caption ${id}`,
+        comments: [{ username: 'u', text: 'hi' }],
+        publishedAt: new Date(iso),
+        sourceUrl: SOURCE_URL,
+        rawNode: { huge: true },
+    };
+}
+
+function testRoundTrip() {
+    const job = toPendingJob(7, post('RT', '2023-05-01T10:00:00Z', 'https://cdn.example.com/rt.jpg'));
+    assert(job.sessionId === 7 && job.postIdentifier === 'RT', 'job keys');
+    assert(!('rawNode' in job.payload), 'raw GraphQL node not persisted');
+
+    const back = fromPendingJob(JSON.parse(JSON.stringify(job)));
+    assert(back.publishedAt instanceof Date && back.publishedAt.toISOString() === '2023-05-01T10:00:00.000Z', 'date restored');
+    assert(back.sourceUrl === SOURCE_URL && back.comments[0].text === 'hi', 'fields restored');
+    console.log('✓ testRoundTrip: payload serializes without the raw node');
+}
+
+async function testRecoveryAfterCrash() {
+    const server = createServer((req, res) => {
+        if (req.url === '/ok.jpg') {
+            res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+            res.end('jpegbytes');
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        // ── Run 1: accept two posts, store one, then "crash" (no closeDb) ──
+        await jsonDb.initDb({ path: dbFile });
+        const sessionId = await jsonDb.createSession(null, {
+            sourceUrl: SOURCE_URL,
+            startDateFilter: '2023-01-01',
+            endDateFilter: '2023-12-31',
+        });
+        const a = post('PA', '2023-03-01T00:00:00Z', `${base}/ok.jpg`);
+        const b = post('PB', '2023-02-01T00:00:00Z', `${base}/missing.jpg`);
+        const c = post('PC', '2023-01-15T00:00:00Z', `${base}/ok.jpg`);
+        for (const p of [a, b, c]) await jsonDb.addPendingJob(null, toPendingJob(sessionId, p));
+        await jsonDb.insertPost(null, sessionId, { ...c, imagePath: null });
+        await jsonDb.removePendingJob(null, 'PC');
+
+        // ── Run 2: startup recovery replays the journal, then the jobs ──
+        const result = await recoverPendingJobs({ storage: 'json', json: { path: dbFile }, workers: 2 });
+        assert(result.total === 2, `Expected 2 leftover jobs, got ${result.total}`);
+        assert(result.done === 2 && result.stored === 2 && result.pending === 0, `Unexpected result ${JSON.stringify(result)}`);
+
+        const snapshot = JSON.parse(readFileSync(dbFile, 'utf-8'));
+        assert(snapshot.pending_jobs.length === 0, 'pending store emptied');
+        const stored = Object.fromEntries(snapshot.posts.map(p => [p.post_identifier, p]));
+        assert(stored.PA && stored.PB && stored.PC, 'all posts stored');
+        assert(stored.PA.scrape_session_id === sessionId, 'recovered post keeps its original session');
+        assert(stored.PA.image_path && existsSync(stored.PA.image_path), 'media downloaded during recovery');
+        assert(stored.PB.image_path === null, 'failed media still stores the post');
+
+        const again = await recoverPendingJobs({ storage: 'json', json: { path: dbFile } });
+        assert(again.total === 0, 'nothing left on the next start');
+    } finally {
+        server.close();
+    }
+    console.log('✓ testRecoveryAfterCrash: leftover jobs stored on startup, store emptied');
+}
+
+// ── Run ───────────────────────────────────────────────────────────────────────
+const cwd = process.cwd();
+try {
+    process.chdir(dir); // keep downloads/ inside the temp dir
+    testRoundTrip();
+    await testRecoveryAfterCrash();
+    console.log('\n✅ All pending-jobs tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,141 @@
+/**
+ * Target platform profile test
+ * Run: node tests/platform.test.js
+ *
+ * No browser needed: covers the `platform` config section and the modules
+ * that take their URLs from it (interceptor, login wall detection, cookie
+ * check, downloader Referer), the latter against a local HTTP server.
+ */
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadConfig } from '../src/config/index.js';
+import {
+    DEFAULT_PLATFORM,
+    resolvePlatform,
+    platformUrl,
+    postUrlFor,
+    loginUrl,
+    isPlatformCookieDomain,
+} from '../src/platform/index.js';
+import { isGraphQLResponse, createResponseProcessor } from '../src/network/interceptor.js';
+import { isLoginWallUrl } from '../src/browser/auth.js';
+import { cookieExpiries } from '../src/auth/cookies.js';
+import { downloadImage } from '../src/image/downloader.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'platform-test-'));
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+const STAGING = {
+    baseUrl: 'https://staging.example.com/clone/',
+    loginPath: '/signin',
+    postUrl: '/posts/{shortcode}',
+    graphqlPatterns: ['/api/feed'],
+    challengeMarkers: ['/verify/'],
+};
+
+async function testResolve() {
+    const file = join(dir, 'scraper.yaml');
+    writeFileSync(file, 'platform:\n  baseUrl: https://staging.example.com\n');
+    const config = await loadConfig(file);
+    assert(resolvePlatform(config.platform).baseUrl === 'https://staging.example.com', 'platform section read');
+
+    assert(JSON.stringify(resolvePlatform()) === JSON.stringify(DEFAULT_PLATFORM), 'defaults without a config');
+    assert(postUrlFor('ABC') === 'https://www.instagram.com/p/ABC/', 'default post URL');
+    assert(loginUrl() === 'https://www.instagram.com/accounts/login/', 'default login URL');
+
+    const staging = resolvePlatform(STAGING);
+    assert(staging.baseUrl === 'https://staging.example.com/clone', 'trailing slash dropped, path prefix kept');
+    assert(postUrlFor('a b', staging) === 'https://staging.example.com/clone/posts/a%20b', 'post URL template');
+    assert(loginUrl(staging) === 'https://staging.example.com/clone/signin', 'login URL');
+    assert(platformUrl('https://cdn.example.com/x.jpg', staging) === 'https://cdn.example.com/x.jpg', 'absolute URLs kept');
+    assert(staging.challengeMarkers.includes('/signin'), 'login path always counts as a login wall');
+
+    for (const [bad, expected] of [
+        [{ baseUrl: 'ftp://example.com' }, 'platform.baseUrl'],
+        [{ baseUrl: 'not a url' }, 'platform.baseUrl'],
+        [{ postUrl: '/p/' }, '{shortcode}'],
+        [{ loginPath: 'login' }, 'platform.loginPath'],
+        [{ graphqlPatterns: [] }, 'platform.graphqlPatterns'],
+        [{ baseURL: 'https://example.com' }, 'unknown setting'],
+    ]) {
+        let err = null;
+        try {
+            resolvePlatform(bad);
+        } catch (e) {
+            err = e;
+        }
+        assert(err?.message.includes(expected), `rejected ${JSON.stringify(bad)}: ${err?.message}`);
+    }
+    console.log('✓ testResolve: config section, URL building, validation');
+}
+
+function testDetection() {
+    const staging = resolvePlatform(STAGING);
+
+    assert(isGraphQLResponse('https://www.instagram.com/graphql/query', 'GET'), 'default patterns');
+    assert(isGraphQLResponse('https://staging.example.com/clone/api/feed?page=2', 'GET', staging), 'custom pattern');
+    assert(!isGraphQLResponse('https://staging.example.com/clone/graphql', 'GET', staging), 'default patterns replaced');
+
+    assert(isLoginWallUrl('https://www.instagram.com/challenge/action/'), 'default markers');
+    assert(isLoginWallUrl('https://staging.example.com/clone/verify/123', staging), 'custom marker');
+    assert(isLoginWallUrl('https://staging.example.com/clone/signin?next=/news', staging), 'login path');
+    assert(!isLoginWallUrl('https://staging.example.com/clone/checkpoint/', staging), 'default markers replaced');
+
+    const posts = [];
+    const processResponse = createResponseProcessor(post => posts.push(post), { platform: staging });
+    processResponse('https://staging.example.com/clone/api/feed', {
+        data: { posts: { edges: [{ node: { id: '1', code: 'XyZ', taken_at: 1700000000, display_url: 'https://cdn.example.com/1.jpg' } }] } },
+    });
+    assert(posts[0]?.postUrl === 'https://staging.example.com/clone/posts/XyZ', `post URL from the template: ${posts[0]?.postUrl}`);
+
+    const state = {
+        cookies: [
+            { name: 'sessionid', value: 's', domain: '.example.com', expires: -1 },
+            { name: 'ds_user_id', value: '1', domain: '.instagram.com', expires: -1 },
+        ],
+    };
+    const [session, userId] = cookieExpiries(state, new Date(), staging);
+    assert(session.present && !userId.present, 'only cookies sent to the platform host count');
+    assert(isPlatformCookieDomain('instagram.com') && !isPlatformCookieDomain('evilinstagram.com'), 'parent domains only');
+    console.log('✓ testDetection: GraphQL patterns, login wall markers, post URLs, cookie domains');
+}
+
+async function testDownloaderReferer() {
+    let referer = null;
+    const server = createServer((req, res) => {
+        referer = req.headers.referer;
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        res.end(Buffer.from('jpeg'));
+    });
+    const port = await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+    try {
+        const base = { imageUrl: `http://127.0.0.1:${port}/a.jpg`, publishedAt: null, baseDir: dir };
+        await downloadImage({ ...base, postIdentifier: 'staging', platform: resolvePlatform(STAGING) });
+        assert(referer === 'https://staging.example.com/clone/', `Referer: ${referer}`);
+        await downloadImage({ ...base, postIdentifier: 'default' });
+        assert(referer === 'https://www.instagram.com/', 'default Referer');
+    } finally {
+        server.close();
+    }
+    console.log('✓ testDownloaderReferer');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    await testResolve();
+    testDetection();
+    await testDownloaderReferer();
+    console.log('\n✅ All platform profile tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,164 @@
+/**
+ * Auth pool test
+ * Run: node tests/pool.test.js
+ *
+ * Uses a temp directory of fake session files and a controllable clock.
+ */
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { listAccounts, accountPath, validateAccountName, openAuthPool } from '../src/auth/pool.js';
+import { createRateLimiter } from '../src/ratelimit/index.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'pool-test-'));
+const MINUTE = 60_000;
+let clock = Date.now();
+const now = () => clock;
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function saveAccount(name) {
+    writeFileSync(accountPath(dir, name), JSON.stringify({ cookies: [], origins: [] }));
+}
+
+const completed = { status: 'completed', totalPostsStored: 10, stopReason: 'end of feed' };
+const throttled = { status: 'rate_limited', totalPostsStored: 2, stopReason: 'rate limited: HTTP 429' };
+const expired = { status: 'auth_expired', totalPostsStored: 0, stopReason: 'auth expired: require_login' };
+
+async function testListing() {
+    ['alpha', 'bravo', 'charlie'].forEach(saveAccount);
+    writeFileSync(join(dir, 'notes.txt'), 'not a session');
+
+    assert((await listAccounts(dir)).join() === 'alpha,bravo,charlie', 'sessions listed, other files ignored');
+    assert((await listAccounts(join(dir, 'missing'))).length === 0, 'missing dir → no accounts');
+
+    for (const bad of ['../x', '.pool', 'a/b', '']) {
+        let threw = false;
+        try {
+            validateAccountName(bad);
+        } catch {
+            threw = true;
+        }
+        assert(threw, `"${bad}" rejected`);
+    }
+
+    let err = null;
+    await openAuthPool({ dir, names: ['alpha', 'zulu'] }).catch(e => (err = e));
+    assert(err?.message.includes('zulu'), 'unknown --accounts name reported');
+    console.log('✓ testListing');
+}
+
+async function testRotation() {
+    const pool = await openAuthPool({ dir, cooldownMs: 30 * MINUTE, now });
+
+    // Least-used first, so consecutive targets spread over all accounts
+    const used = [];
+    for (let i = 0; i < 3; i++) {
+        const { name } = pool.pick();
+        used.push(name);
+        clock += MINUTE;
+        await pool.record(name, completed);
+    }
+    assert(used.sort().join() === 'alpha,bravo,charlie', `every account used once: ${used}`);
+
+    // A throttle rests the account; the others take over
+    await pool.record('alpha', throttled);
+    assert(!pool.isAvailable('alpha'), 'throttled account cooling down');
+    assert(pool.next('alpha').name !== 'alpha', 'next() hands over to another account');
+    assert(pool.pick().name !== 'alpha', 'pick() skips the resting account');
+
+    // A login wall expires the account until its session is saved again
+    await pool.record('bravo', expired);
+    assert(pool.next('charlie') === null, 'no spare while alpha rests and bravo is expired');
+    assert(pool.pick().name === 'charlie', 'only charlie left');
+    assert(pool.hasUsable(), 'cooling accounts still count as usable');
+
+    await pool.record('charlie', expired);
+    assert(pool.pick().name === 'alpha', 'all resting/expired → the one whose cooldown ends first');
+
+    clock += 31 * MINUTE;
+    assert(pool.isAvailable('alpha') && !pool.isAvailable('bravo'), 'cooldown over, expiry is not');
+
+    const stats = pool.stats();
+    assert(stats.alpha.runs === 2 && stats.alpha.throttles === 1 && stats.alpha.postsStored === 12, 'usage stats');
+    assert(stats.bravo.authFailures === 1 && stats.bravo.expired && stats.bravo.lastError.includes('require_login'), 'expiry stats');
+    console.log('✓ testRotation: least-used first, cooldown after throttle, expiry after login wall');
+}
+
+async function testPersistence() {
+    const raw = JSON.parse(readFileSync(join(dir, '.pool.json'), 'utf-8'));
+    assert(raw.accounts.alpha.runs === 2, 'stats written to .pool.json');
+
+    // Re-saving bravo's session brings it back, charlie stays expired
+    const later = new Date(clock + MINUTE);
+    utimesSync(accountPath(dir, 'bravo'), later, later);
+    const pool = await openAuthPool({ dir, names: ['bravo', 'charlie'], now });
+    assert(pool.accounts.join() === 'bravo,charlie', '--accounts subset');
+    assert(pool.isAvailable('bravo') && !pool.isAvailable('charlie'), 're-saved session back in rotation');
+    assert(pool.stats().bravo.runs === 2, 'stats carried over between runs');
+
+    await pool.setProxy('bravo', '10.0.0.1:8080');
+    await pool.setProxy('stranger', '10.0.0.2:8080');
+    const reopened = await openAuthPool({ dir, names: ['bravo', 'charlie'], now });
+    assert(JSON.stringify(reopened.proxyAssignments()) === '{"bravo":"10.0.0.1:8080"}', 'proxy assignment saved');
+
+    clock += 2 * MINUTE;
+    await pool.record('charlie', expired);
+    await pool.record('bravo', expired);
+    assert(pool.pick() === null && !pool.hasUsable(), 'every account expired');
+    console.log('✓ testPersistence: stats and proxies survive restarts, re-saved sessions return');
+}
+
+async function testOverlappingSaves() {
+    const pool = await openAuthPool({ dir, names: ['alpha', 'bravo'], now });
+    const runs = pool.stats().alpha.runs;
+    // As in a batch: a proxy assignment and several results land at once
+    await Promise.all([
+        pool.setProxy('alpha', '10.0.0.3:8080'),
+        pool.record('alpha', completed),
+        pool.record('bravo', throttled),
+        pool.record('alpha', completed),
+    ]);
+    const raw = JSON.parse(readFileSync(join(dir, '.pool.json'), 'utf-8'));
+    assert(raw.accounts.alpha.runs === runs + 2 && raw.accounts.alpha.proxy === '10.0.0.3:8080', 'last save has every change');
+
+    // The orchestrator's onAssign does not await setProxy(); record() right after must not fail
+    pool.setProxy('bravo', '10.0.0.4:8080').catch(() => { });
+    await pool.record('bravo', throttled);
+    pool.setProxy('alpha', '10.0.0.4:8080').catch(() => { });
+    await pool.record('alpha', expired);
+    const after = JSON.parse(readFileSync(join(dir, '.pool.json'), 'utf-8')).accounts;
+    assert(after.bravo.proxy === '10.0.0.4:8080' && after.alpha.expiredAt, 'un-awaited proxy saves land before the next result');
+    console.log('✓ testOverlappingSaves');
+}
+
+async function testLimiterHandsOver() {
+    let spare = true;
+    const limiter = createRateLimiter({ baseDelayMs: 60_000, maxThrottles: 5, shouldAbort: () => spare });
+    limiter.report('HTTP 429');
+    assert(limiter.exceeded && limiter.reason === 'HTTP 429', 'first throttle aborts when another account is free');
+
+    limiter.reset();
+    spare = false;
+    limiter.report('HTTP 429');
+    assert(!limiter.exceeded && limiter.paused, 'no spare account → usual backoff');
+    console.log('✓ testLimiterHandsOver');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    await testListing();
+    await testRotation();
+    await testPersistence();
+    await testOverlappingSaves();
+    await testLimiterHandsOver();
+    console.log('\n✅ All auth pool tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,98 @@
+/**
+ * Post processor boundary detection unit test
+ * Run: node tests/processor.test.js
+ */
+import { PostProcessor } from '../src/post/processor.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function post(id, iso, extra = {}) {
+    return { postIdentifier: id, publishedAt: new Date(iso), captionText: '', ...extra };
+}
+
+function processor(opts = {}) {
+    const valid = [];
+    const p = new PostProcessor({
+        startDate: new Date('2023-01-01T00:00:00Z'),
+        endDate: new Date('2023-12-31T23:59:59Z'),
+        onValidPost: (x) => valid.push(x.postIdentifier),
+        ...opts,
+    });
+    return { p, valid };
+}
+
+function testPinnedIgnored() {
+    const { p, valid } = processor({ boundaryStreak: 1 });
+    p.process(post('pin1', '2018-05-01T00:00:00Z', { isPinned: true }));
+    p.process(post('pin2', '2019-05-01T00:00:00Z', { isPinned: true }));
+    assert(!p.belowBoundary, 'pinned posts never trigger the boundary');
+    assert(p.stats.pinnedOld === 2, 'pinned older posts counted');
+    p.process(post('a', '2023-06-01T00:00:00Z'));
+    assert(valid.join() === 'a', 'in-range post after pinned ones is kept');
+    console.log('✓ testPinnedIgnored');
+}
+
+function testStreakAndReset() {
+    const { p } = processor({ boundaryStreak: 3 });
+    p.process(post('o1', '2022-12-01T00:00:00Z'));
+    p.process(post('o2', '2022-11-01T00:00:00Z'));
+    assert(!p.belowBoundary && p.boundaryReason === null, 'below threshold');
+    p.process(post('late', '2023-02-01T00:00:00Z'));
+    p.process(post('o3', '2022-10-01T00:00:00Z'));
+    p.process(post('o4', '2022-09-01T00:00:00Z'));
+    assert(!p.belowBoundary, 'newer post resets the streak');
+    p.process(post('o5', '2022-08-01T00:00:00Z'));
+    assert(p.belowBoundary, 'three consecutive older posts hit the boundary');
+    assert(p.boundaryReason.includes('3 consecutive') && p.boundaryReason.includes('o5'), `reason: ${p.boundaryReason}`);
+    console.log('✓ testStreakAndReset');
+}
+
+function testCarouselCountsOnce() {
+    const { p } = processor({ boundaryStreak: 2 });
+    for (let i = 1; i <= 4; i++) {
+        p.process(post(`car_c${i}`, '2022-12-01T00:00:00Z', { parentIdentifier: 'car' }));
+    }
+    assert(!p.belowBoundary, 'carousel slides count as one post');
+    p.process(post('o1', '2022-11-01T00:00:00Z'));
+    assert(p.belowBoundary, 'second distinct post reaches the streak');
+    console.log('✓ testCarouselCountsOnce');
+}
+
+function testDefaultStreak() {
+    const { p } = processor();
+    p.process(post('o1', '2022-12-01T00:00:00Z'));
+    p.process(post('o1', '2022-12-01T00:00:00Z')); // duplicate: ignored
+    p.process(post('o2', '2022-11-01T00:00:00Z'));
+    assert(!p.belowBoundary, 'duplicates do not extend the streak');
+    p.process(post('o3', '2022-10-01T00:00:00Z'));
+    assert(p.belowBoundary, 'default streak is 3');
+    console.log('✓ testDefaultStreak');
+}
+
+function testCoveredSkipped() {
+    const { p, valid } = processor({
+        covered: [{ from: new Date('2023-03-01T00:00:00Z'), to: new Date('2023-06-30T00:00:00Z') }],
+    });
+    p.process(post('new', '2023-08-01T00:00:00Z'));
+    p.process(post('archived', '2023-05-01T00:00:00Z'));
+    p.process(post('gap', '2023-02-01T00:00:00Z'));
+    assert(valid.join() === 'new,gap', `only uncovered posts kept: ${valid}`);
+    assert(p.oldestSeen.toISOString() === '2023-02-01T00:00:00.000Z', 'oldest seen tracked');
+    console.log('✓ testCoveredSkipped');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    testPinnedIgnored();
+    testStreakAndReset();
+    testCarouselCountsOnce();
+    testDefaultStreak();
+    testCoveredSkipped();
+    console.log('\n✅ All processor tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+}
@@ -0,0 +1,106 @@
+/**
+ * Persistent profile lock test
+ * Run: node tests/profile.test.js
+ *
+ * No browser needed: covers the lock --user-data-dir and save-auth.js take
+ * on a profile directory.
+ */
+import { spawnSync } from 'child_process';
+import { existsSync, mkdirSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { hostname, tmpdir } from 'os';
+import { join } from 'path';
+import { lockProfile, PROFILE_LOCK_FILE } from '../src/browser/profile.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'profile-test-'));
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+async function lockError(profile) {
+    try {
+        const lock = await lockProfile(profile);
+        await lock.release();
+        return null;
+    } catch (err) {
+        return err;
+    }
+}
+
+async function testLock() {
+    const profile = join(dir, 'news1');
+    const lock = await lockProfile(profile);
+    assert(existsSync(join(profile, PROFILE_LOCK_FILE)), 'profile directory created and locked');
+    assert(JSON.parse(readFileSync(lock.file, 'utf-8')).pid === process.pid, 'lock records our pid');
+
+    const err = await lockError(profile);
+    assert(err?.code === 'PROFILE_LOCKED' && err.message.includes(`pid ${process.pid}`), `second run refused: ${err?.message}`);
+
+    await lock.release();
+    assert(!existsSync(lock.file), 'released');
+    const again = await lockProfile(profile);
+    await again.release();
+    console.log('✓ testLock: one holder at a time, re-lockable after release');
+}
+
+async function testStaleLocks() {
+    const profile = join(dir, 'news2');
+    const file = join(profile, PROFILE_LOCK_FILE);
+
+    // A process that has already exited (crashed or killed run)
+    const dead = spawnSync(process.execPath, ['-e', '']).pid;
+    mkdirSync(profile);
+    writeFileSync(file, JSON.stringify({ pid: dead, host: hostname(), startedAt: '2026-01-01T00:00:00.000Z' }));
+    const lock = await lockProfile(profile);
+    assert(JSON.parse(readFileSync(file, 'utf-8')).pid === process.pid, 'lock of an exited process taken over');
+    await lock.release();
+
+    writeFileSync(file, '{not json');
+    const garbled = await lockProfile(profile);
+    await garbled.release();
+    assert(!existsSync(file), 'unreadable lock treated as stale');
+
+    // Another machine sharing the directory: its process cannot be checked
+    writeFileSync(file, JSON.stringify({ pid: dead, host: 'other-host', startedAt: '2026-01-01T00:00:00.000Z' }));
+    const err = await lockError(profile);
+    assert(err?.code === 'PROFILE_LOCKED' && err.message.includes('other-host'), 'lock from another host respected');
+    rmSync(file);
+    console.log('✓ testStaleLocks: exited holders and garbled files taken over, other hosts respected');
+}
+
+async function testConcurrentLocks() {
+    const profile = join(dir, 'news4');
+    // Nobody may read a lock before its owner is written and take it for stale
+    const results = await Promise.allSettled(Array.from({ length: 20 }, () => lockProfile(profile)));
+    const held = results.filter(r => r.status === 'fulfilled');
+    assert(held.length === 1, `exactly one holder, got ${held.length}`);
+    assert(results.every(r => r.status === 'fulfilled' || r.reason.code === 'PROFILE_LOCKED'), 'the others are refused');
+    await held[0].value.release();
+    assert(readdirSync(profile).length === 0, 'no temp files left behind');
+    console.log('✓ testConcurrentLocks');
+}
+
+async function testReleaseAfterTakeover() {
+    const profile = join(dir, 'news3');
+    const lock = await lockProfile(profile);
+    const foreign = JSON.stringify({ pid: process.pid + 1, host: 'other-host', startedAt: new Date().toISOString() });
+    writeFileSync(lock.file, foreign);
+    await lock.release();
+    assert(readFileSync(lock.file, 'utf-8') === foreign, 'release leaves a lock someone else holds');
+    console.log('✓ testReleaseAfterTakeover');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    await testLock();
+    await testStaleLocks();
+    await testConcurrentLocks();
+    await testReleaseAfterTakeover();
+    console.log('\n✅ All profile lock tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,165 @@
+/**
+ * Adaptive rate limiting test
+ * Run: node tests/ratelimit.test.js
+ *
+ * Uses millisecond backoffs and a local HTTP server for the downloader.
+ */
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { detectThrottle, createRateLimiter } from '../src/ratelimit/index.js';
+import { createPaginationTracker, drivePagination } from '../src/scroll/paginator.js';
+import { downloadImage } from '../src/image/downloader.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function testDetectThrottle() {
+    assert(detectThrottle(429, null) === 'HTTP 429', '429 status');
+    assert(detectThrottle(400, { message: 'Please wait a few minutes before you try again.', status: 'fail' }), '"Please wait" JSON');
+    assert(detectThrottle(400, { message: 'feedback_required', spam: true }) === 'feedback_required', 'feedback_required');
+    assert(detectThrottle(200, { spam: true, status: 'fail' }) === 'feedback_required', 'spam flag on a 200');
+    assert(detectThrottle(503, '<html>Please wait a few minutes</html>'), 'HTML body');
+    assert(detectThrottle(200, { data: { user: {} } }) === null, 'normal response');
+    assert(detectThrottle(404, { message: 'Page not found' }) === null, 'other errors are not throttles');
+    console.log('✓ testDetectThrottle');
+}
+
+async function testBackoffAndAbort() {
+    const limiter = createRateLimiter({ baseDelayMs: 20, maxThrottles: 3, random: () => 0 });
+
+    limiter.observe(429, null);
+    assert(limiter.paused && limiter.throttles === 1, 'first throttle pauses');
+    limiter.observe(429, null);
+    assert(limiter.throttles === 1, 'reports during a pause are the same episode');
+
+    let t0 = Date.now();
+    await limiter.wait();
+    assert(Date.now() - t0 >= 15 && !limiter.paused, 'wait() sleeps out the pause');
+
+    limiter.report('HTTP 429');
+    t0 = Date.now();
+    await limiter.wait();
+    assert(Date.now() - t0 >= 35, 'second consecutive throttle doubles the pause');
+
+    limiter.observe(200, { data: {} }); // clean response → backoff resets
+    limiter.report('HTTP 429');
+    t0 = Date.now();
+    await limiter.wait();
+    assert(Date.now() - t0 < 35, 'backoff reset after a clean response');
+
+    for (let i = 0; i < 3; i++) {
+        limiter.report('feedback_required');
+        await limiter.wait();
+    }
+    assert(limiter.exceeded && limiter.signal.aborted, 'aborts after more than maxThrottles in a row');
+    assert(limiter.reason === 'feedback_required', 'reason kept');
+
+    limiter.reset();
+    assert(!limiter.exceeded && !limiter.signal.aborted && limiter.throttles === 6, 'reset() clears state, keeps the tally');
+    console.log('✓ testBackoffAndAbort: exponential pauses, reset on success, abort past threshold');
+}
+
+async function testWaitCutShort() {
+    const limiter = createRateLimiter({ baseDelayMs: 60_000 });
+    limiter.report('HTTP 429');
+    const shutdown = new AbortController();
+    setTimeout(() => shutdown.abort(), 20);
+    const t0 = Date.now();
+    await limiter.wait(shutdown.signal);
+    assert(Date.now() - t0 < 1000, 'shutdown signal ends the pause');
+    console.log('✓ testWaitCutShort');
+}
+
+async function testPaginationRetriesThrottledPages() {
+    const tracker = createPaginationTracker();
+    const post = { id: 'p1', taken_at: 1700000000, display_url: 'https://cdn.example.com/p1.jpg' };
+    tracker.observe(
+        {
+            url: () => 'https://www.instagram.com/graphql/query',
+            method: () => 'POST',
+            postData: () => new URLSearchParams({ doc_id: '1', variables: '{"after":null}' }).toString(),
+            headers: () => ({ 'content-type': 'application/x-www-form-urlencoded' }),
+        },
+        { data: { page_info: { has_next_page: true, end_cursor: 'C1' }, edges: [{ node: post }] } },
+        [post]
+    );
+
+    let calls = 0;
+    const page = {
+        evaluate: async (fn, arg) => {
+            if (!arg) return undefined;
+            calls++;
+            if (calls <= 3) return { status: 429, text: '{"message":"Please wait a few minutes before you try again."}' };
+            return { status: 200, text: JSON.stringify({ data: { page_info: { has_next_page: false, end_cursor: 'C2' } } }) };
+        },
+        waitForTimeout: async () => { },
+    };
+
+    const limiter = createRateLimiter({ baseDelayMs: 5, maxThrottles: 5, random: () => 0 });
+    const gen = drivePagination(page, tracker, { rateLimiter: limiter });
+    let step = await gen.next();
+    while (!step.done) step = await gen.next(true);
+
+    assert(step.value.exhausted, `throttled pages retried, not failed: ${JSON.stringify(step.value)}`);
+    assert(calls === 4 && limiter.throttles === 3, `Expected 4 requests / 3 throttles, got ${calls} / ${limiter.throttles}`);
+
+    // Past the threshold the driver stops instead of falling back to scrolling
+    const strict = createRateLimiter({ baseDelayMs: 5, maxThrottles: 1, random: () => 0 });
+    calls = 0;
+    tracker.pageInfo = { hasNext: true, cursor: 'C1', style: 'page_info' };
+    const gen2 = drivePagination(page, tracker, { rateLimiter: strict });
+    step = await gen2.next();
+    while (!step.done) step = await gen2.next(true);
+    assert(step.value.rateLimited && strict.exceeded, 'rate-limited result');
+    console.log('✓ testPaginationRetriesThrottledPages');
+}
+
+async function testDownloaderSharesPause() {
+    let hits = 0;
+    const server = createServer((req, res) => {
+        hits++;
+        if (hits === 1) {
+            res.writeHead(429);
+            res.end();
+        } else {
+            res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+            res.end('jpegbytes');
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const dir = mkdtempSync(join(tmpdir(), 'ratelimit-test-'));
+
+    try {
+        const limiter = createRateLimiter({ baseDelayMs: 30, random: () => 0 });
+        const file = await downloadImage({
+            imageUrl: `http://127.0.0.1:${server.address().port}/a.jpg`,
+            postIdentifier: 'RL1',
+            publishedAt: new Date('2023-01-01T00:00:00Z'),
+            baseDir: dir,
+            rateLimiter: limiter,
+        });
+        assert(existsSync(file), 'downloaded after the retry');
+        assert(limiter.throttles === 1 && limiter.reason === 'HTTP 429 from media CDN', 'CDN 429 reported');
+    } finally {
+        server.close();
+        rmSync(dir, { recursive: true, force: true });
+    }
+    console.log('✓ testDownloaderSharesPause: CDN 429 pauses the shared limiter');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    testDetectThrottle();
+    await testBackoffAndAbort();
+    await testWaitCutShort();
+    await testPaginationRetriesThrottledPages();
+    await testDownloaderSharesPause();
+    console.log('\n✅ All rate-limit tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+}
@@ -0,0 +1,122 @@
+/**
+ * GraphQL response recorder test
+ * Run: node tests/recorder.test.js
+ *
+ * No browser needed: covers the session directory layout --record writes,
+ * that the interceptor hands non-2xx responses to the recorder too, and that
+ * close() waits for writes still queued.
+ */
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { gunzipSync } from 'zlib';
+import { createRecorder, RECORD_INDEX_FILE, RECORD_SESSION_FILE } from '../src/network/recorder.js';
+import { attachInterceptor } from '../src/network/interceptor.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'recorder-test-'));
+const SOURCE_URL = 'https://www.instagram.com/news/';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function readIndex(sessionDir) {
+    return readFileSync(join(sessionDir, RECORD_INDEX_FILE), 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+}
+
+/**
+ * Just enough of a Playwright page / response for attachInterceptor().
+ */
+function fakePage() {
+    const handlers = [];
+    return {
+        on: (event, fn) => handlers.push(fn),
+        off: () => { },
+        emit: (response) => Promise.all(handlers.map(fn => fn(response))),
+    };
+}
+
+function fakeResponse({ url, status, body, postData = null }) {
+    return {
+        url: () => url,
+        status: () => status,
+        headers: () => ({ 'content-type': 'application/json; charset=utf-8' }),
+        text: async () => body,
+        json: async () => JSON.parse(body),
+        request: () => ({ method: () => 'POST', headers: () => ({}), postData: () => postData }),
+    };
+}
+
+async function testLayout() {
+    const recorder = await createRecorder({ dir: join(dir, 'plain'), sessionId: 7, sourceUrl: SOURCE_URL });
+    assert(/session-7-\d{4}-\d{2}-\d{2}T[\d-]+Z$/.test(recorder.dir), `session directory name: ${recorder.dir}`);
+
+    const session = JSON.parse(readFileSync(join(recorder.dir, RECORD_SESSION_FILE), 'utf-8'));
+    assert(session.sessionId === 7 && session.sourceUrl === SOURCE_URL && session.gzip === false && session.startedAt, 'session.json');
+
+    const body = '{"data":{"user":{"edges":[]}}}';
+    await recorder.record({ url: 'https://www.instagram.com/graphql/query', method: 'POST', operation: 'PolarisProfilePostsQuery', status: 200, headers: { 'x-test': '1' }, body });
+    assert(await recorder.close() === 1, 'one response recorded');
+
+    const [line] = readIndex(recorder.dir);
+    assert(line.seq === 1 && line.file === '000001.json' && line.bytes === body.length, 'index line');
+    assert(line.operation === 'PolarisProfilePostsQuery' && line.status === 200, 'index keeps operation + status');
+
+    const saved = JSON.parse(readFileSync(join(recorder.dir, '000001.json'), 'utf-8'));
+    assert(saved.body === body && saved.headers['x-test'] === '1' && saved.method === 'POST', 'raw body + headers kept');
+    assert(readdirSync(recorder.dir).sort().join() === `000001.json,${RECORD_INDEX_FILE},${RECORD_SESSION_FILE}`, 'no other files');
+
+    const zipped = await createRecorder({ dir: join(dir, 'gzip'), sessionId: 8, sourceUrl: SOURCE_URL, gzip: true });
+    await zipped.record({ url: 'https://www.instagram.com/graphql/query', method: 'GET', status: 200, headers: {}, body });
+    await zipped.close();
+    const gz = JSON.parse(gunzipSync(readFileSync(join(zipped.dir, '000001.json.gz'))).toString());
+    assert(gz.body === body && readIndex(zipped.dir)[0].file === '000001.json.gz', 'gzip layout');
+    console.log('✓ testLayout: session.json, index.ndjson, numbered response files, gzip');
+}
+
+async function testNon2xx() {
+    const recorder = await createRecorder({ dir: join(dir, 'errors'), sessionId: 9, sourceUrl: SOURCE_URL });
+    const page = fakePage();
+    attachInterceptor(page, () => { }, { recorder });
+
+    const throttle = '{"message":"Please wait a few minutes before you try again.","status":"fail"}';
+    await page.emit(fakeResponse({ url: 'https://www.instagram.com/graphql/query', status: 429, body: throttle, postData: 'fb_api_req_friendly_name=PolarisProfilePostsQuery' }));
+    await page.emit(fakeResponse({ url: 'https://www.instagram.com/api/graphql', status: 500, body: '{"error":"internal"}' }));
+    assert(await recorder.close() === 2, 'both error responses recorded');
+
+    const [first, second] = readIndex(recorder.dir);
+    assert(first.status === 429 && first.operation === 'PolarisProfilePostsQuery', `429 recorded: ${JSON.stringify(first)}`);
+    assert(second.status === 500, '500 recorded');
+    assert(JSON.parse(readFileSync(join(recorder.dir, first.file), 'utf-8')).body === throttle, '429 body kept');
+    console.log('✓ testNon2xx: throttled and failed responses are captured');
+}
+
+async function testCloseFlushes() {
+    const recorder = await createRecorder({ dir: join(dir, 'burst'), sessionId: 10, sourceUrl: SOURCE_URL });
+    const count = 25;
+    for (let i = 0; i < count; i++) {
+        // Not awaited, as in the interceptor
+        recorder.record({ url: `https://www.instagram.com/graphql/query?page=${i}`, method: 'GET', status: 200, headers: {}, body: JSON.stringify({ page: i }) });
+    }
+    assert(await recorder.close() === count, 'close() reports every queued response');
+
+    const index = readIndex(recorder.dir);
+    assert(index.length === count, `all index lines written: ${index.length}`);
+    assert(index.every((line, i) => line.seq === i + 1 && line.url.endsWith(`page=${i}`)), 'index in arrival order');
+    assert(readdirSync(recorder.dir).filter(f => /^\d{6}\.json$/.test(f)).length === count, 'all response files written');
+    console.log('✓ testCloseFlushes');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    await testLayout();
+    await testNon2xx();
+    await testCloseFlushes();
+    console.log('\n✅ All recorder tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,217 @@
+/**
+ * Offline replay integration test (recorder → replay → JSON storage).
+ *
+ * Run: node tests/replay.test.js
+ *
+ * No browser or network needed: responses are written with the recorder (and
+ * as a HAR file), then replayed through the full pipeline into a JSON store
+ * inside a throwaway temp directory.
+ */
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createRecorder } from '../src/network/recorder.js';
+import { runReplay } from '../src/orchestrator/index.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'replay-test-'));
+const SOURCE_URL = 'https://www.instagram.com/test/';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function node(shortcode, iso, caption, extra = {}) {
+    return {
+        node: {
+            id: `id_${shortcode}`,
+            shortcode,
+            taken_at_timestamp: Math.floor(new Date(iso).getTime() / 1000),
+            display_url: `https://cdn.example.com/${shortcode}.jpg`,
+            edge_media_to_caption: { edges: [{ node: { text: caption } }] },
+            ...extra,
+        },
+    };
+}
+
+function timeline(...edges) {
+    return JSON.stringify({
+        data: { user: { edge_owner_to_timeline_media: { edges } } },
+    });
+}
+
+function replayOpts(jsonFile, extra) {
+    return {
+        storage: 'json',
+        json: { path: jsonFile },
+        startDate: new Date('2023-01-01T00:00:00Z'),
+        endDate: new Date('2023-12-31T23:59:59Z'),
+        keywords: [],
+        workers: 2,
+        ...extra,
+    };
+}
+
+async function testRecordedSession() {
+    const recorder = await createRecorder({ dir: join(dir, 'rec'), sessionId: 1, sourceUrl: SOURCE_URL, gzip: true });
+    recorder.record({
+        url: 'https://www.instagram.com/graphql/query',
+        method: 'POST',
+        status: 200,
+        headers: { 'content-type': 'application/json' },
+        body: timeline(
+            node('PIN', '2019-01-01T00:00:00Z', 'pinned and old', { pinned_for_users: [{ id: '1' }] }),
+            node('AAA', '2023-06-01T00:00:00Z', 'fire downtown'),
+            node('BBB', '2023-05-01T00:00:00Z', 'flood')
+        ),
+    });
+    recorder.record({
+        url: 'https://www.instagram.com/graphql/query',
+        method: 'POST',
+        status: 429,
+        headers: { 'content-type': 'application/json' },
+        body: '{"message":"Please wait a few minutes"}',
+    });
+    recorder.record({
+        url: 'https://www.instagram.com/graphql/query',
+        method: 'POST',
+        status: 200,
+        headers: { 'content-type': 'application/json' },
+        body: timeline(
+            node('CCC', '2022-01-01T00:00:00Z', 'too old'),
+            node('DDD', '2023-04-01T00:00:00Z', 'out of order'),
+            node('OL1', '2022-12-01T00:00:00Z', 'older 1'),
+            node('OL2', '2022-11-01T00:00:00Z', 'older 2'),
+            node('OL3', '2022-10-01T00:00:00Z', 'older 3')
+        ),
+    });
+    recorder.record({
+        url: 'https://www.instagram.com/graphql/query',
+        method: 'POST',
+        status: 200,
+        headers: { 'content-type': 'application/json' },
+        body: timeline(node('FFF', '2023-03-01T00:00:00Z', 'after boundary')),
+    });
+    await recorder.close();
+
+    const jsonFile = join(dir, 'rec.json');
+    const [summary] = await runReplay(replayOpts(jsonFile, { replay: join(dir, 'rec'), replayMedia: 'none' }));
+
+    assert(summary.totalPostsStored === 3, `Expected 3 stored posts, got ${summary.totalPostsStored}`);
+    assert(summary.pinnedOlderSkipped === 1, 'old pinned post ignored for the boundary');
+    assert(summary.stopReason.startsWith('date boundary: 3 consecutive'), `Unexpected stop reason: ${summary.stopReason}`);
+    const db = JSON.parse(readFileSync(jsonFile, 'utf-8'));
+    const ids = db.posts.map(p => p.post_identifier).sort();
+    assert(ids.join(',') === 'id_AAA,id_BBB,id_DDD', `Unexpected posts: ${ids}`);
+    assert(db.posts.every(p => p.source_url === SOURCE_URL), 'source URL taken from session.json');
+    assert(db.posts.every(p => p.image_path === null), 'media skipped with --replay-media=none');
+    assert(db.sessions[0].end_time !== null, 'session finalized');
+    console.log('✓ testRecordedSession: recorded responses replayed, pinned/out-of-order tolerated, boundary respected');
+}
+
+async function testHarWithRecordedMedia() {
+    const harFile = join(dir, 'capture.har');
+    writeFileSync(harFile, JSON.stringify({
+        log: {
+            pages: [{ title: SOURCE_URL }],
+            entries: [
+                {
+                    request: { method: 'POST', url: 'https://www.instagram.com/api/graphql' },
+                    response: {
+                        status: 200,
+                        headers: [{ name: 'Content-Type', value: 'application/json' }],
+                        content: { mimeType: 'application/json', text: timeline(node('EEE', '2023-07-01T00:00:00Z', 'crash')) },
+                    },
+                },
+                {
+                    request: { method: 'GET', url: 'https://cdn.example.com/EEE.jpg' },
+                    response: {
+                        status: 200,
+                        headers: [],
+                        content: { mimeType: 'image/jpeg', encoding: 'base64', text: Buffer.from('jpegbytes').toString('base64') },
+                    },
+                },
+            ],
+        },
+    }));
+
+    const jsonFile = join(dir, 'har.json');
+    const [summary] = await runReplay(replayOpts(jsonFile, { replay: harFile, replayMedia: 'recording' }));
+
+    assert(summary.totalPostsStored === 1, `Expected 1 stored post, got ${summary.totalPostsStored}`);
+    assert(summary.imagesDownloaded === 1, 'media served from the HAR');
+    const [post] = JSON.parse(readFileSync(jsonFile, 'utf-8')).posts;
+    assert(post.image_path && existsSync(post.image_path), 'media file written');
+    assert(readFileSync(post.image_path, 'utf-8') === 'jpegbytes', 'media bytes match the HAR');
+    console.log('✓ testHarWithRecordedMedia: HAR replayed, media served offline');
+}
+
+async function testInterruptDrainsAndFinalizes() {
+    // Media server that stalls every download; the first request triggers "Ctrl-C"
+    const controller = new AbortController();
+    const server = createServer(() => controller.abort());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const harFile = join(dir, 'interrupt.har');
+    const edges = ['GGG', 'HHH', 'III'].map((code, i) => {
+        const edge = node(code, `2023-0${8 - i}-01T00:00:00Z`, 'stalled');
+        edge.node.display_url = `${base}/${code}.jpg`;
+        return edge;
+    });
+    writeFileSync(harFile, JSON.stringify({
+        log: {
+            pages: [{ title: SOURCE_URL }],
+            entries: [{
+                request: { method: 'POST', url: 'https://www.instagram.com/api/graphql' },
+                response: {
+                    status: 200,
+                    headers: [],
+                    content: { mimeType: 'application/json', text: timeline(...edges) },
+                },
+            }],
+        },
+    }));
+
+    const jsonFile = join(dir, 'interrupt.json');
+    try {
+        const [summary] = await runReplay(replayOpts(jsonFile, {
+            replay: harFile,
+            replayMedia: 'network',
+            workers: 2,
+            signal: controller.signal,
+            drainTimeoutMs: 300,
+        }));
+
+        assert(summary.status === 'interrupted', `Expected interrupted, got ${summary.status}`);
+        assert(summary.jobsCancelled === 3, `Expected 3 cancelled jobs (2 running + 1 queued), got ${summary.jobsCancelled}`);
+        assert(summary.totalPostsStored === 0, 'cancelled posts are not stored');
+        const [session] = JSON.parse(readFileSync(jsonFile, 'utf-8')).sessions;
+        assert(session.status === 'interrupted' && session.end_time !== null, 'session finalized as interrupted');
+        const leftovers = existsSync(join(dir, 'downloads'))
+            ? readdirSync(join(dir, 'downloads'), { recursive: true }).filter(f => f.endsWith('.part'))
+            : [];
+        assert(leftovers.length === 0, `no partial downloads left: ${leftovers}`);
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+    console.log('✓ testInterruptDrainsAndFinalizes: drain timed out, jobs cancelled, session finalized');
+}
+
+// ── Run ───────────────────────────────────────────────────────────────────────
+const cwd = process.cwd();
+try {
+    process.chdir(dir); // keep downloads/ inside the temp dir
+    await testRecordedSession();
+    await testHarWithRecordedMedia();
+    await testInterruptDrainsAndFinalizes();
+    console.log('\n✅ All replay tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,87 @@
+/**
+ * Archive coverage interval unit test
+ * Run: node tests/resume.test.js
+ */
+import { mergeIntervals, findGaps, isCovered, keywordSet, coversKeywords } from '../src/resume/index.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+const d = (s) => new Date(`${s}T00:00:00Z`);
+const iv = (from, to) => ({ from: d(from), to: d(to) });
+const fmt = (list) => list.map(x => `${x.from.toISOString().slice(0, 10)}..${x.to.toISOString().slice(0, 10)}`).join(',');
+
+function testMerge() {
+    const merged = mergeIntervals([
+        iv('2023-05-01', '2023-06-01'),
+        iv('2022-01-01', '2022-12-31'),
+        iv('2023-05-15', '2023-08-01'),
+        iv('2024-02-01', '2024-01-01'), // inverted → dropped
+    ]);
+    assert(fmt(merged) === '2022-01-01..2022-12-31,2023-05-01..2023-08-01', `merged: ${fmt(merged)}`);
+    console.log('✓ testMerge: overlapping intervals merged, invalid dropped');
+}
+
+function testGapsOlderRangeAfterNewer() {
+    // 2024 archived first, then 2022–2024 requested: only 2022–2023 is missing
+    const gaps = findGaps(d('2022-01-01'), d('2024-12-31'), [iv('2024-01-01', '2024-12-31')]);
+    assert(gaps.length === 1, `Expected 1 gap, got ${gaps.length}`);
+    assert(gaps[0].from.getTime() === d('2022-01-01').getTime(), 'gap starts at --start');
+    assert(gaps[0].to.getTime() === d('2024-01-01').getTime() - 1, 'gap ends right before coverage');
+    console.log('✓ testGapsOlderRangeAfterNewer');
+}
+
+function testGapsAroundAndBetween() {
+    const gaps = findGaps(d('2023-01-01'), d('2023-12-31'), [
+        iv('2023-03-01', '2023-04-01'),
+        iv('2023-06-01', '2023-07-01'),
+        iv('2020-01-01', '2020-12-31'), // outside the request
+    ]);
+    assert(gaps.length === 3, `Expected 3 gaps, got ${gaps.length}: ${fmt(gaps)}`);
+    assert(gaps[1].from.getTime() === d('2023-04-01').getTime() + 1, 'middle gap starts after first interval');
+    assert(gaps[2].to.getTime() === d('2023-12-31').getTime(), 'last gap runs to --end');
+    console.log('✓ testGapsAroundAndBetween');
+}
+
+function testFullyCoveredAndEmpty() {
+    assert(findGaps(d('2023-02-01'), d('2023-03-01'), [iv('2023-01-01', '2023-12-31')]).length === 0, 'fully covered → no gaps');
+    const all = findGaps(d('2023-01-01'), d('2023-12-31'), []);
+    assert(all.length === 1 && fmt(all) === '2023-01-01..2023-12-31', 'no coverage → whole range');
+    console.log('✓ testFullyCoveredAndEmpty');
+}
+
+function testIsCovered() {
+    const list = [iv('2023-01-01', '2023-02-01')];
+    assert(isCovered(d('2023-01-15'), list), 'inside');
+    assert(isCovered(d('2023-02-01'), list), 'inclusive end');
+    assert(!isCovered(d('2023-02-02'), list), 'outside');
+    console.log('✓ testIsCovered');
+}
+
+function testKeywordCoverage() {
+    assert(keywordSet([' Fire', 'flood', 'FIRE', '']).join() === 'fire,flood', 'trimmed, lowercased, deduplicated, sorted');
+
+    const filtered = keywordSet(['fire', 'flood']);
+    assert(coversKeywords([], filtered) && coversKeywords([], []), 'an unfiltered session covers any run');
+    assert(coversKeywords(filtered, keywordSet(['Flood'])), 'a subset of the keywords is covered');
+    assert(!coversKeywords(filtered, keywordSet(['fire', 'crash'])), 'other keywords are not');
+    assert(!coversKeywords(filtered, []), 'a filtered session does not cover an unfiltered run');
+    assert(!coversKeywords(null, []), 'sessions without a recorded keyword set cover nothing');
+    console.log('✓ testKeywordCoverage');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    testMerge();
+    testGapsOlderRangeAfterNewer();
+    testGapsAroundAndBetween();
+    testFullyCoveredAndEmpty();
+    testIsCovered();
+    testKeywordCoverage();
+    console.log('\n✅ All resume coverage tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+}
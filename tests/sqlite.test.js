@@ -0,0 +1,262 @@
+/**
+ * Database module unit test (SQLite adapter).
+ *
+ * Run: node --experimental-sqlite tests/sqlite.test.js
+ *
+ * Requires Node.js ≥ 22.5 (built-in node:sqlite). Uses an in-memory
+ * database, so no files are left behind.
+ */
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+    initDb,
+    createSession,
+    finalizeSession,
+    insertPost,
+    updateImagePath,
+    addPendingJob,
+    removePendingJob,
+    getPendingJobs,
+    recordFailure,
+    resolveFailure,
+    getFailures,
+    getComments,
+    getCoverage,
+    getLatestPublishedAt,
+    getPostDateRange,
+    closeDb,
+} from '../src/database/sqlite.js';
+
+const SOURCE_URL = 'https://www.instagram.com/test/';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+let conn;
+
+async function setup() {
+    conn = await initDb({ path: ':memory:' });
+    console.log('✓ Opened in-memory SQLite database');
+}
+
+async function testSchemaIndexes() {
+    const names = conn
+        .prepare(`SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'posts'`)
+        .all()
+        .map(r => r.name);
+    assert(names.includes('uq_posts_identifier'), 'unique post_identifier index should exist');
+    assert(names.includes('idx_posts_source_published'), 'source/published index should exist');
+
+    const plan = conn
+        .prepare(`EXPLAIN QUERY PLAN SELECT MAX(published_at) FROM posts WHERE source_url = ?`)
+        .all(SOURCE_URL)
+        .map(r => r.detail)
+        .join(' ');
+    assert(plan.includes('idx_posts_source_published'), `latest-date query should use index, got: ${plan}`);
+    console.log('✓ testSchemaIndexes: indexes present and used');
+}
+
+async function testCreateSession() {
+    const id = await createSession(conn, {
+        sourceUrl: SOURCE_URL,
+        startDateFilter: '2021-01-01',
+        endDateFilter: '2025-12-31',
+        keywords: ['fire', 'flood'],
+    });
+    assert(typeof id === 'number' && id > 0, `Session id should be positive, got ${id}`);
+    console.log('✓ testCreateSession: id =', id);
+    return id;
+}
+
+async function testInsertPost(sessionId) {
+    const postData = {
+        postIdentifier: 'ABC123shortcode',
+        sourceUrl: SOURCE_URL,
+        postUrl: 'https://www.instagram.com/p/ABC123/',
+        imageUrl: 'https://cdn.example.com/img/1.jpg',
+        imagePath: 'downloads/2023/06/ABC123shortcode.jpg',
+        captionText: 'Test caption with emoji 🎉',
+        comments: [
+            { username: 'alice', text: 'Hello!' },
+            { username: 'bob', text: 'World!' },
+        ],
+        publishedAt: new Date('2023-06-15T10:00:00Z'),
+    };
+
+    const inserted = await insertPost(conn, sessionId, postData);
+    assert(inserted === true, 'First insert should return true');
+
+    const insertedAgain = await insertPost(conn, sessionId, postData);
+    assert(insertedAgain === false, 'Duplicate should return false');
+
+    const { c } = conn
+        .prepare(`SELECT COUNT(*) AS c FROM posts WHERE post_identifier = ?`)
+        .get('ABC123shortcode');
+    assert(c === 1, `Expected 1 row, got ${c}`);
+
+    const comments = await getComments(conn, 'ABC123shortcode');
+    assert(comments.length === 2, `Expected 2 comments (no duplicates), got ${comments.length}`);
+    assert(comments[0].username === 'alice', 'First comment user should be alice');
+    console.log('✓ testInsertPost: idempotent, comments stored in order');
+}
+
+async function testGetLatestPublishedAt(sessionId) {
+    await insertPost(conn, sessionId, {
+        postIdentifier: 'DEF456shortcode',
+        sourceUrl: SOURCE_URL,
+        captionText: 'Older post',
+        publishedAt: new Date('2022-03-10T08:00:00Z'),
+    });
+    await insertPost(conn, sessionId, {
+        postIdentifier: 'OTHERsource',
+        sourceUrl: 'https://www.instagram.com/other/',
+        captionText: 'Newer post elsewhere',
+        publishedAt: new Date('2024-01-01T00:00:00Z'),
+    });
+
+    const latest = await getLatestPublishedAt(conn, SOURCE_URL);
+    assert(latest instanceof Date, 'Should return a Date');
+    assert(latest.toISOString() === '2023-06-15T10:00:00.000Z', `Wrong latest: ${latest.toISOString()}`);
+
+    const none = await getLatestPublishedAt(conn, 'https://www.instagram.com/nobody/');
+    assert(none === null, 'Unknown source should return null');
+    console.log('✓ testGetLatestPublishedAt:', latest.toISOString());
+}
+
+async function testFinalizeSession(sessionId) {
+    await finalizeSession(conn, sessionId, {
+        processed: 3,
+        skipped: 2,
+        errors: 0,
+        durationSeconds: 42,
+        coveredFrom: new Date('2022-01-01T00:00:00Z'),
+        coveredTo: new Date('2024-06-30T12:00:00Z'),
+    });
+    const row = conn.prepare(`SELECT * FROM scrape_sessions WHERE id = ?`).get(sessionId);
+    assert(row.total_posts_processed === 3, 'total_posts_processed should be 3');
+    assert(row.total_posts_skipped === 2, 'total_posts_skipped should be 2');
+    assert(row.duration_seconds === 42, 'duration should be 42');
+    assert(row.end_time !== null, 'end_time should be set');
+
+    const coverage = await getCoverage(conn, SOURCE_URL);
+    assert(coverage.length === 1, `Expected 1 covered interval, got ${coverage.length}`);
+    assert(coverage[0].from.toISOString() === '2022-01-01T00:00:00.000Z', 'covered_from round-trips');
+    assert(coverage[0].to.toISOString() === '2024-06-30T12:00:00.000Z', 'covered_to round-trips');
+    assert(coverage[0].keywords.join() === 'fire,flood', 'keyword set round-trips');
+    console.log('✓ testFinalizeSession: all fields correct');
+}
+
+async function testPendingJobs(sessionId) {
+    const job = (caption) => ({
+        postIdentifier: 'PENDING1',
+        sessionId,
+        sourceUrl: 'https://www.instagram.com/test/',
+        payload: { postIdentifier: 'PENDING1', captionText: caption, publishedAt: '2023-01-01T00:00:00.000Z' },
+    });
+    await addPendingJob(conn, job('first'));
+    await addPendingJob(conn, job('second')); // upsert, not a second row
+    let jobs = await getPendingJobs(conn);
+    assert(jobs.length === 1, `Expected 1 pending job, got ${jobs.length}`);
+    assert(jobs[0].payload.captionText === 'second', 'payload replaced on upsert');
+    assert(jobs[0].sessionId === sessionId, 'session id kept');
+
+    await removePendingJob(conn, 'PENDING1');
+    jobs = await getPendingJobs(conn);
+    assert(jobs.length === 0, 'job removed');
+    console.log('✓ testPendingJobs: upsert, list, remove');
+}
+
+async function testFailedJobs(sessionId) {
+    const failure = (errorClass) => ({
+        postIdentifier: 'FAILED1',
+        kind: 'media',
+        sessionId,
+        sourceUrl: 'https://www.instagram.com/test/',
+        postUrl: 'https://www.instagram.com/p/FAILED1/',
+        mediaUrl: 'https://cdn.example.com/failed1.jpg',
+        errorClass,
+        errorMessage: `download failed (${errorClass})`,
+        payload: { postIdentifier: 'FAILED1', publishedAt: '2023-01-01T00:00:00.000Z' },
+    });
+    await insertPost(conn, sessionId, {
+        postIdentifier: 'FAILED1',
+        sourceUrl: 'https://www.instagram.com/test/',
+        captionText: 'media failed',
+        publishedAt: new Date('2023-01-01T00:00:00Z'),
+    });
+    await recordFailure(conn, failure('timeout'));
+    await recordFailure(conn, failure('http_403')); // upsert bumps attempts
+    await recordFailure(conn, { ...failure('duplicate'), kind: 'insert' });
+    let failures = await getFailures(conn);
+    assert(failures.length === 2, `Expected 2 failures (media + insert), got ${failures.length}`);
+    const media = failures.find(f => f.kind === 'media');
+    assert(media.attempts === 2 && media.errorClass === 'http_403', 'attempts bumped, latest error kept');
+    assert(media.firstFailedAt <= media.lastFailedAt, 'timestamps recorded');
+    assert(media.payload.publishedAt === '2023-01-01T00:00:00.000Z', 'payload stored');
+
+    assert(await updateImagePath(conn, 'FAILED1', 'downloads/2023/01/FAILED1.jpg'), 'image_path updated');
+    assert(!(await updateImagePath(conn, 'NOPE', 'x.jpg')), 'unknown post reports false');
+
+    await resolveFailure(conn, 'FAILED1', 'media');
+    await resolveFailure(conn, 'FAILED1', 'insert');
+    failures = await getFailures(conn);
+    assert(failures.length === 0, 'failures resolved');
+    console.log('✓ testFailedJobs: upsert with attempts, list, resolve, image_path update');
+}
+
+async function testAddsColumnsToOldSchema() {
+    const { DatabaseSync } = await import('node:sqlite');
+    const dir = mkdtempSync(join(tmpdir(), 'sqlite-migrate-'));
+    try {
+        // Sessions table as created before coverage tracking existed
+        const file = join(dir, 'old.sqlite');
+        const legacy = new DatabaseSync(file);
+        legacy.exec(`CREATE TABLE scrape_sessions (id INTEGER PRIMARY KEY AUTOINCREMENT, source_url TEXT,
+            start_date_filter TEXT, end_date_filter TEXT, start_time TEXT NOT NULL, end_time TEXT,
+            total_posts_processed INTEGER DEFAULT 0, total_posts_skipped INTEGER DEFAULT 0,
+            total_errors INTEGER DEFAULT 0, duration_seconds INTEGER)`);
+        legacy.close();
+
+        const migrated = await initDb({ path: file });
+        const columns = migrated.prepare(`PRAGMA table_info(scrape_sessions)`).all().map(c => c.name);
+        assert(columns.includes('covered_from') && columns.includes('covered_to'), 'coverage columns added');
+        assert(columns.includes('keyword_filter'), 'keyword set column added');
+        await closeDb(migrated);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+    console.log('✓ testAddsColumnsToOldSchema: pre-coverage files upgraded');
+}
+
+async function testGetPostDateRange(sessionId) {
+    const range = await getPostDateRange(conn, sessionId);
+    assert(range.oldest.toISOString() === '2022-03-10T08:00:00.000Z', 'oldest should be 2022-03-10');
+    assert(range.newest.toISOString() === '2024-01-01T00:00:00.000Z', 'newest should be 2024-01-01');
+
+    const empty = await getPostDateRange(conn, 9999);
+    assert(empty.oldest === null && empty.newest === null, 'Unknown session should return nulls');
+    console.log('✓ testGetPostDateRange: oldest =', range.oldest.toISOString());
+}
+
+// ── Run ───────────────────────────────────────────────────────────────────────
+try {
+    await setup();
+    await testSchemaIndexes();
+    const sessionId = await testCreateSession();
+    await testInsertPost(sessionId);
+    await testGetLatestPublishedAt(sessionId);
+    await testFinalizeSession(sessionId);
+    await testGetPostDateRange(sessionId);
+    await testPendingJobs(sessionId);
+    await testFailedJobs(sessionId);
+    await testAddsColumnsToOldSchema();
+    await closeDb(conn);
+    console.log('\n✅ All SQLite database tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    try { if (conn) await closeDb(conn); } catch { /* ignore cleanup errors */ }
+    process.exit(1);
+}
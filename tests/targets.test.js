@@ -0,0 +1,115 @@
+/**
+ * Targets file loader unit test
+ * Run: node tests/targets.test.js
+ */
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadTargets } from '../src/targets/index.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'targets-test-'));
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function fixture(name, content) {
+    const file = join(dir, name);
+    writeFileSync(file, content);
+    return file;
+}
+
+async function testJson() {
+    const targets = await loadTargets(fixture('t.json', JSON.stringify([
+        'https://www.instagram.com/a/',
+        { url: 'https://www.instagram.com/b/', start: '2024-01-01', keywords: 'fire, flood', workers: '2' },
+    ])));
+    assert(targets.length === 2, `Expected 2 targets, got ${targets.length}`);
+    assert(targets[0].url === 'https://www.instagram.com/a/' && !('startDate' in targets[0]), 'String shorthand → url only');
+    assert(targets[1].startDate.getFullYear() === 2024, 'start parsed to Date');
+    assert(targets[1].keywords.join('|') === 'fire|flood', 'keywords split and trimmed');
+    assert(targets[1].workers === 2, 'workers parsed to number');
+    console.log('✓ testJson');
+}
+
+async function testYaml() {
+    const targets = await loadTargets(fixture('t.yaml', [
+        'targets:',
+        '  - url: https://www.instagram.com/a/',
+        '    end: 2025-06-30',
+        '    keywords: [crash, death]',
+    ].join('\n')));
+    assert(targets[0].endDate.getMonth() === 5, 'end parsed to June');
+    assert(targets[0].keywords.length === 2, 'keyword list kept');
+    console.log('✓ testYaml');
+}
+
+async function testCsv() {
+    const targets = await loadTargets(fixture('t.csv', [
+        'url,start,end,keywords,workers',
+        'https://www.instagram.com/a/,2024-01-01,,"fire,flood",',
+        'https://www.instagram.com/b/,,,crash;death,4',
+        '',
+    ].join('\r\n')));
+    assert(targets.length === 2, `Expected 2 CSV targets, got ${targets.length}`);
+    assert(targets[0].keywords.join('|') === 'fire|flood', 'quoted comma keywords');
+    assert(!('endDate' in targets[0]) && !('workers' in targets[0]), 'empty cells are not overrides');
+    assert(targets[1].keywords.join('|') === 'crash|death', 'semicolon keywords');
+    assert(targets[1].workers === 4, 'CSV workers');
+    console.log('✓ testCsv');
+}
+
+async function testDatesAgreeAcrossFormats() {
+    const csv = await loadTargets(fixture('dates.csv', 'url,start,end\nhttps://www.instagram.com/a/,2024-01-01,2024-06-30\n'));
+    const yaml = await loadTargets(fixture('dates.yaml', 'targets:\n  - url: https://www.instagram.com/a/\n    start: 2024-01-01\n    end: 2024-06-30\n'));
+    // YAML 1.1 parses bare dates into Date objects (UTC midnight)
+    const yaml11 = await loadTargets(fixture('dates11.yaml', '%YAML 1.1\n---\n- url: https://www.instagram.com/a/\n  start: 2024-01-01\n  end: !!timestamp 2024-06-30\n'));
+    const json = await loadTargets(fixture('dates.json', '[{"url":"https://www.instagram.com/a/","start":"2024-01-01","end":"2024-06-30"}]'));
+
+    const local = (y, m, d) => new Date(y, m - 1, d).getTime();
+    for (const [format, [t]] of Object.entries({ csv, yaml, yaml11, json })) {
+        assert(t.startDate.getTime() === local(2024, 1, 1), `${format} start is local midnight: ${t.startDate.toISOString()}`);
+        assert(t.endDate.getTime() === local(2024, 6, 30), `${format} end is local midnight: ${t.endDate.toISOString()}`);
+    }
+
+    const [timed] = await loadTargets(fixture('timed.yaml', '%YAML 1.1\n---\n- url: https://www.instagram.com/a/\n  start: 2024-01-01T10:30:00Z\n'));
+    assert(timed.startDate.toISOString() === '2024-01-01T10:30:00.000Z', 'timestamps with a time kept');
+    console.log('✓ testDatesAgreeAcrossFormats: YAML (1.1 and 1.2), CSV and JSON dates are the same local day');
+}
+
+async function testInvalid() {
+    const cases = {
+        'no-url.json': '[{"start":"2024-01-01"}]',
+        'bad-date.json': '[{"url":"https://x.test/a","start":"yesterday"}]',
+        'reversed.json': '[{"url":"https://x.test/a","start":"2025-01-01","end":"2024-01-01"}]',
+        'bad-workers.json': '[{"url":"https://x.test/a","workers":0}]',
+        'empty.json': '[]',
+        'no-header.csv': 'https://x.test/a\n',
+    };
+    for (const [name, content] of Object.entries(cases)) {
+        let threw = false;
+        try {
+            await loadTargets(fixture(name, content));
+        } catch {
+            threw = true;
+        }
+        assert(threw, `${name} should be rejected`);
+    }
+    console.log('✓ testInvalid: all malformed files rejected');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    await testJson();
+    await testYaml();
+    await testCsv();
+    await testDatesAgreeAcrossFormats();
+    await testInvalid();
+    console.log('\n✅ All targets tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,92 @@
+/**
+ * Watch schedule parser unit test
+ * Run: node tests/watch.test.js
+ */
+import { parseSchedule, parseDuration, sleep } from '../src/watch/index.js';
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+// Monday 2026-10-19 10:07:30 local time
+const FROM = new Date(2026, 9, 19, 10, 7, 30);
+
+function local(y, mo, d, h, mi) {
+    return new Date(y, mo - 1, d, h, mi).getTime();
+}
+
+function testDurations() {
+    assert(parseDuration('30s') === 30_000, '30s');
+    assert(parseDuration('15m') === 900_000, '15m');
+    assert(parseDuration('1.5h') === 5_400_000, '1.5h');
+    assert(parseDuration('45') === 45_000, 'bare number is seconds');
+    let threw = false;
+    try { parseDuration('soon'); } catch { threw = true; }
+    assert(threw, 'invalid duration rejected');
+    console.log('✓ testDurations');
+}
+
+function testInterval() {
+    const next = parseSchedule('15m').next(FROM);
+    assert(next.getTime() === FROM.getTime() + 900_000, 'interval adds 15 minutes');
+    console.log('✓ testInterval');
+}
+
+function testCron() {
+    const cases = [
+        ['*/15 * * * *', local(2026, 10, 19, 10, 15)],
+        ['0 6 * * 1-5', local(2026, 10, 20, 6, 0)],
+        ['30 8 1 * *', local(2026, 11, 1, 8, 30)],
+        ['0 0 * * 7', local(2026, 10, 25, 0, 0)],       // 7 = Sunday
+        ['0 12 25 * 1', local(2026, 10, 19, 12, 0)],    // dom OR dow when both set
+        ['7 10 * * *', local(2026, 10, 20, 10, 7)],     // strictly after FROM
+    ];
+    for (const [spec, expected] of cases) {
+        const next = parseSchedule(spec).next(FROM);
+        assert(next.getTime() === expected, `${spec}: expected ${new Date(expected)}, got ${next}`);
+    }
+    console.log('✓ testCron: all expressions resolve to the expected next run');
+}
+
+function testInvalidCron() {
+    for (const spec of ['61 * * * *', '* 24 * * *', '*/0 * * * *', 'a b c d e']) {
+        let threw = false;
+        try { parseSchedule(spec); } catch { threw = true; }
+        assert(threw, `${spec} should be rejected`);
+    }
+    let threw = false;
+    try { parseSchedule('0 0 31 2 *').next(FROM); } catch { threw = true; }
+    assert(threw, 'impossible date should be rejected');
+    console.log('✓ testInvalidCron');
+}
+
+async function testLongSleep() {
+    // 30 days overflows a single setTimeout, which would then fire at once
+    const controller = new AbortController();
+    let woke = false;
+    const pending = sleep(30 * 86_400_000, controller.signal).then(() => { woke = true; });
+    await new Promise(r => setTimeout(r, 100));
+    assert(!woke, '30-day sleep still waiting');
+    controller.abort();
+    await pending;
+    assert(woke, 'abort ends the sleep');
+
+    const start = Date.now();
+    await sleep(50);
+    assert(Date.now() - start >= 45, 'short sleep waits its time');
+    console.log('✓ testLongSleep');
+}
+
+// ── Run all tests ─────────────────────────────────────────────────────────────
+try {
+    testDurations();
+    testInterval();
+    testCron();
+    testInvalidCron();
+    await testLongSleep();
+    console.log('\n✅ All watch schedule tests passed!');
+} catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+}